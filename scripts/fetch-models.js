@@ -0,0 +1,88 @@
+// Downloads detection model weights and the onnxruntime .wasm binaries into
+// public/models/ so the app can be served (and precached) without reaching
+// the Hugging Face hub or jsDelivr.
+//
+//   node scripts/fetch-models.js [model-key ...]
+//
+// Defaults to $VITE_PRECACHE_MODEL, then yolos-tiny; add `verifier` to also
+// fetch the receipt verification model. Build with
+// VITE_MODEL_BASE_PATH=<base>models/ and VITE_ONNX_WASM_PATH=<base>models/wasm/
+// to load from the downloaded copy.
+import { mkdir, writeFile, copyFile, readdir, access } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_MODELS, MODEL_FILES, VERIFIER_MODEL } from '../src/js/models.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const outputDir = join(root, 'public', 'models');
+const hubUrl = process.env.HF_HUB_URL || 'https://huggingface.co';
+
+async function exists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function downloadModel(key) {
+  // `verifier` fetches the zero-shot receipt classifier
+  const model = key === 'verifier' ? VERIFIER_MODEL : DEFAULT_MODELS[key];
+  if (!model) {
+    throw new Error(`Unknown model: ${key}. Available: ${Object.keys(DEFAULT_MODELS).join(', ')}`);
+  }
+
+  if (model.format === 'classical') {
+    console.log(`✓ ${key} has no weights to download`);
+    return;
+  }
+
+  for (const file of model.files || MODEL_FILES) {
+    const target = join(outputDir, model.name, file);
+    if (await exists(target)) {
+      console.log(`✓ ${model.name}/${file} (already downloaded)`);
+      continue;
+    }
+
+    const url = `${hubUrl}/${model.name}/resolve/main/${file}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+    }
+
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, Buffer.from(await response.arrayBuffer()));
+    console.log(`✓ ${model.name}/${file}`);
+  }
+}
+
+async function copyWasm() {
+  // Same binaries transformers.js would otherwise fetch from jsDelivr
+  const wasmSource = join(root, 'node_modules', '@xenova', 'transformers', 'dist');
+  const wasmTarget = join(outputDir, 'wasm');
+  await mkdir(wasmTarget, { recursive: true });
+
+  const files = (await readdir(wasmSource)).filter(file => file.endsWith('.wasm'));
+  for (const file of files) {
+    await copyFile(join(wasmSource, file), join(wasmTarget, file));
+    console.log(`✓ wasm/${file}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const keys = args.length > 0 ? args : [process.env.VITE_PRECACHE_MODEL || 'yolos-tiny'];
+
+  for (const key of keys) {
+    await downloadModel(key);
+  }
+  await copyWasm();
+
+  console.log(`Models written to ${outputDir}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
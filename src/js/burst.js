@@ -0,0 +1,47 @@
+import { FrameSampler } from './frame-sampler.js';
+
+// Takes several frames over a short window once the stability gate has
+// passed and keeps the one the quality model likes best. Each frame is
+// scored on a downscaled sample; only the best full-resolution frame so far
+// is held on to.
+export class BurstCapture {
+  constructor(options = {}) {
+    this.frames = options.frames ?? 3;
+    this.windowMs = options.windowMs ?? 600; // Span the burst is spread over
+    this.sampler = options.sampler || new FrameSampler();
+  }
+
+  // `score(frame)` returns a quality object with an `overall` score;
+  // `grabFrame(source)` returns a full-resolution canvas of the current
+  // frame. Resolves to { canvas, scores, selected }, where `canvas` is null
+  // if no frame could be scored.
+  async capture(source, score, grabFrame) {
+    const interval = this.frames > 1 ? this.windowMs / (this.frames - 1) : 0;
+    const scores = [];
+    let best = null;
+    let selected = -1;
+
+    for (let i = 0; i < this.frames; i++) {
+      if (i > 0) {
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+
+      const frame = this.sampler.sample(source);
+      if (!frame) {
+        scores.push(null);
+        continue;
+      }
+
+      const quality = score(frame);
+      scores.push(quality);
+
+      if (!best || quality.overall > best.overall) {
+        // Grab right after sampling so both see the same video frame
+        best = { overall: quality.overall, canvas: grabFrame(source) };
+        selected = i;
+      }
+    }
+
+    return { canvas: best ? best.canvas : null, scores, selected };
+  }
+}
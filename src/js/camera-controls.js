@@ -0,0 +1,257 @@
+// On-screen torch, zoom and focus controls. Each control only appears when
+// the current video track reports the capability; unsupported browsers and
+// cameras simply show none of them.
+
+const FOCUS_LABELS = {
+  continuous: 'AF-C',
+  'single-shot': 'AF-S'
+};
+
+// Turns the torch on after the receipt has looked dark for a while and
+// back off if the torch itself starts causing glare. Readings are the
+// exposure and glare scores from the capture quality analysis.
+export class AutoTorch {
+  constructor(options = {}) {
+    this.darkLevel = options.darkLevel ?? 0.35; // Exposure score below which the scene is dark
+    this.glareLevel = options.glareLevel ?? 0.5; // Glare score below which the torch is reflecting
+    this.onReadings = options.onReadings ?? 5;
+    this.offReadings = options.offReadings ?? 8;
+    this.cooldownMs = options.cooldownMs ?? 10000; // Before trying again after backing off
+    this.reset();
+  }
+
+  reset() {
+    this.on = false;
+    this.darkCount = 0;
+    this.glareCount = 0;
+    this.blockedUntil = 0;
+  }
+
+  // Returns true or false when the torch should change, otherwise null
+  update({ exposure, glare } = {}, now = Date.now()) {
+    if (typeof exposure !== 'number') return null;
+
+    if (!this.on) {
+      this.darkCount = exposure < this.darkLevel ? this.darkCount + 1 : 0;
+      if (this.darkCount >= this.onReadings && now >= this.blockedUntil) {
+        this.on = true;
+        this.darkCount = 0;
+        return true;
+      }
+      return null;
+    }
+
+    this.glareCount = typeof glare === 'number' && glare < this.glareLevel ? this.glareCount + 1 : 0;
+    if (this.glareCount >= this.offReadings) {
+      this.on = false;
+      this.glareCount = 0;
+      this.blockedUntil = now + this.cooldownMs;
+      return false;
+    }
+    return null;
+  }
+}
+
+export class CameraControls {
+  constructor(camera) {
+    this.camera = camera;
+    this.elements = null;
+    this.support = { torch: false, zoom: null, focusModes: [] };
+    this.torchOn = false;
+    this.zoom = 1;
+    this.focusMode = null;
+    this.autoTorch = new AutoTorch();
+    this.autoTorchEnabled = true;
+    this.manualTorch = false; // A tap on the torch button overrides auto-torch
+    this.zoomPending = false;
+    this.pointers = new Map();
+    this.pinch = null;
+  }
+
+  init() {
+    this.elements = {
+      container: document.getElementById('camera-container'),
+      torch: document.getElementById('torch-btn'),
+      zoomControl: document.getElementById('zoom-control'),
+      zoomSlider: document.getElementById('zoom-slider'),
+      zoomValue: document.getElementById('zoom-value'),
+      focus: document.getElementById('focus-mode-btn')
+    };
+
+    const { container, torch, zoomSlider, focus } = this.elements;
+
+    torch.addEventListener('click', () => {
+      this.manualTorch = true;
+      this.setTorch(!this.torchOn);
+    });
+
+    zoomSlider.addEventListener('input', (e) => {
+      this.setZoom(parseFloat(e.target.value));
+    });
+
+    focus.addEventListener('click', () => this.cycleFocusMode());
+
+    // Two-finger pinch on the preview zooms like the slider
+    container.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    container.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    container.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    container.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+
+    return this.refresh();
+  }
+
+  // Read what the current track supports and show the matching controls.
+  // Called again whenever the camera changes.
+  async refresh() {
+    const capabilities = await this.camera.getCapabilities() || {};
+    const settings = this.camera.getSettings() || {};
+
+    this.support = {
+      torch: capabilities.torch === true,
+      zoom: capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min
+        ? { min: capabilities.zoom.min, max: capabilities.zoom.max, step: capabilities.zoom.step || 0.1 }
+        : null,
+      focusModes: (capabilities.focusMode || []).filter(mode => FOCUS_LABELS[mode])
+    };
+
+    this.torchOn = settings.torch === true;
+    this.zoom = settings.zoom ?? this.support.zoom?.min ?? 1;
+    this.focusMode = this.support.focusModes.includes(settings.focusMode)
+      ? settings.focusMode
+      : this.support.focusModes[0] || null;
+    this.autoTorch.reset();
+    this.manualTorch = false;
+
+    this.render();
+    return this.support;
+  }
+
+  render() {
+    if (!this.elements) return;
+
+    const { torch, zoomControl, zoomSlider, zoomValue, focus } = this.elements;
+
+    torch.hidden = !this.support.torch;
+    torch.classList.toggle('active', this.torchOn);
+    torch.setAttribute('aria-pressed', String(this.torchOn));
+
+    zoomControl.hidden = !this.support.zoom;
+    if (this.support.zoom) {
+      zoomSlider.min = this.support.zoom.min;
+      zoomSlider.max = this.support.zoom.max;
+      zoomSlider.step = this.support.zoom.step;
+      zoomSlider.value = this.zoom;
+      zoomValue.textContent = `${this.zoom.toFixed(1)}×`;
+    }
+
+    // Switching needs at least two modes to switch between
+    focus.hidden = this.support.focusModes.length < 2;
+    focus.querySelector('.mode-text').textContent = FOCUS_LABELS[this.focusMode] || 'AF';
+  }
+
+  async setTorch(enabled) {
+    if (!this.support.torch) return;
+
+    try {
+      await this.camera.setTorch(enabled);
+      this.torchOn = enabled;
+    } catch (error) {
+      console.warn('Could not switch the torch:', error.message);
+    }
+    this.render();
+  }
+
+  async setZoom(level) {
+    if (!this.support.zoom) return;
+
+    const { min, max } = this.support.zoom;
+    this.zoom = Math.min(max, Math.max(min, level));
+    this.render();
+
+    // A pinch fires far faster than constraints apply; only the latest
+    // level is sent once the previous one has gone through
+    if (this.zoomPending) return;
+    this.zoomPending = true;
+
+    try {
+      let applied = null;
+      while (applied !== this.zoom) {
+        applied = this.zoom;
+        await this.camera.setZoom(applied);
+      }
+    } catch (error) {
+      console.warn('Could not zoom:', error.message);
+    } finally {
+      this.zoomPending = false;
+    }
+  }
+
+  async cycleFocusMode() {
+    const modes = this.support.focusModes;
+    if (modes.length < 2) return;
+
+    const next = modes[(modes.indexOf(this.focusMode) + 1) % modes.length];
+    try {
+      await this.camera.setFocus(next);
+      this.focusMode = next;
+    } catch (error) {
+      console.warn('Could not change focus mode:', error.message);
+    }
+    this.render();
+  }
+
+  // Whether lighting readings are acted on, so callers can skip measuring
+  get wantsLighting() {
+    return this.autoTorchEnabled && !this.manualTorch && this.support.torch;
+  }
+
+  // Feed the lighting of the receipt being tracked, or of the whole frame
+  // when there is none, to auto-torch
+  updateLighting(quality) {
+    if (!this.wantsLighting || !quality) return;
+
+    const change = this.autoTorch.update(quality);
+    if (change !== null && change !== this.torchOn) {
+      console.log(`Auto-torch ${change ? 'on' : 'off'}`);
+      this.setTorch(change);
+    }
+  }
+
+  setAutoTorch(enabled) {
+    this.autoTorchEnabled = enabled;
+    this.autoTorch.reset();
+
+    // Leave a torch the user switched on alone
+    if (!enabled && this.torchOn && !this.manualTorch) {
+      this.setTorch(false);
+    }
+  }
+
+  onPointerDown(e) {
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (this.pointers.size === 2 && this.support.zoom) {
+      this.pinch = { distance: this.getPointerDistance(), zoom: this.zoom };
+    }
+  }
+
+  onPointerMove(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (this.pinch && this.pointers.size === 2 && this.pinch.distance > 0) {
+      this.setZoom(this.pinch.zoom * this.getPointerDistance() / this.pinch.distance);
+    }
+  }
+
+  onPointerUp(e) {
+    this.pointers.delete(e.pointerId);
+    if (this.pointers.size < 2) {
+      this.pinch = null;
+    }
+  }
+
+  getPointerDistance() {
+    const [a, b] = [...this.pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+}
@@ -0,0 +1,257 @@
+// Keeps the camera stream alive through what takes it away mid-session:
+// the tab going to the background, the track ending when another app
+// grabs the camera or it is unplugged, and camera permission being
+// revoked. Lost streams are re-acquired with exponential backoff.
+//
+// States: idle, starting, live, paused (tab hidden), interrupted (track
+// muted), reconnecting, denied and failed (gave up retrying).
+
+const RECOVERING_STATES = new Set(['starting', 'paused', 'interrupted', 'reconnecting', 'denied', 'failed']);
+
+// CameraManager.init() rewraps getUserMedia errors, keeping the original as the cause
+function isPermissionError(error) {
+  return error?.name === 'NotAllowedError' || error?.cause?.name === 'NotAllowedError';
+}
+
+export class CameraLifecycle {
+  constructor(camera, options = {}) {
+    this.camera = camera;
+    this.onStateChange = options.onStateChange || (() => {});
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 15000;
+    this.maxAttempts = options.maxAttempts ?? 6;
+    this.muteGraceMs = options.muteGraceMs ?? 3000; // A track muted this long is reopened
+
+    this.state = 'idle';
+    this.attempts = 0;
+    this.track = null;
+    this.permission = null;
+    this.opening = null;
+    this.retryTimer = null;
+    this.muteTimer = null;
+
+    // Bound once so the same functions can be removed again
+    this.handleVisibility = this.handleVisibility.bind(this);
+    this.handleEnded = this.handleEnded.bind(this);
+    this.handleMute = this.handleMute.bind(this);
+    this.handleUnmute = this.handleUnmute.bind(this);
+    this.handlePermission = this.handlePermission.bind(this);
+  }
+
+  get isRecovering() {
+    return RECOVERING_STATES.has(this.state);
+  }
+
+  // Start reacting to the page and permission; call once the app is up
+  attach() {
+    document.addEventListener('visibilitychange', this.handleVisibility);
+    return this.watchPermission();
+  }
+
+  detach() {
+    document.removeEventListener('visibilitychange', this.handleVisibility);
+    if (this.permission) {
+      this.permission.removeEventListener('change', this.handlePermission);
+      this.permission = null;
+    }
+    this.clearTimers();
+    this.unwatchTrack();
+  }
+
+  async watchPermission() {
+    if (!navigator.permissions?.query) return;
+
+    try {
+      this.permission = await navigator.permissions.query({ name: 'camera' });
+      this.permission.addEventListener('change', this.handlePermission);
+    } catch (error) {
+      // Not every browser can query the camera permission; a revocation
+      // still shows up as the track ending and reopening being refused
+      console.warn('Camera permission cannot be watched:', error.message);
+    }
+  }
+
+  // Open the camera with `open` and watch the track it gives. Errors are
+  // passed on to the caller, which reports them.
+  async start(open = () => this.camera.init()) {
+    this.clearTimers();
+    this.unwatchTrack();
+    this.setState('starting');
+
+    try {
+      const stream = await open();
+      this.attempts = 0;
+      this.watchTrack(stream);
+      this.setState('live', { stream, recovered: false });
+      return stream;
+    } catch (error) {
+      this.setState(isPermissionError(error) ? 'denied' : 'failed', { error });
+      throw error;
+    }
+  }
+
+  // Reopen the camera now; overlapping calls share one attempt
+  reconnect() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    if (!this.opening) {
+      this.opening = this.reopen().finally(() => {
+        this.opening = null;
+      });
+    }
+    return this.opening;
+  }
+
+  async reopen() {
+    this.unwatchTrack();
+    this.camera.stop();
+    this.setState('reconnecting', { attempt: this.attempts, delay: 0 });
+
+    try {
+      const stream = await this.camera.init();
+
+      // Hidden again while the camera was opening
+      if (document.hidden) {
+        this.suspend();
+        return null;
+      }
+
+      this.attempts = 0;
+      this.watchTrack(stream);
+      this.setState('live', { stream, recovered: true });
+      return stream;
+    } catch (error) {
+      console.warn('Could not reopen the camera:', error.message);
+      if (isPermissionError(error)) {
+        this.setState('denied', { error });
+      } else {
+        this.scheduleReconnect();
+      }
+      return null;
+    }
+  }
+
+  scheduleReconnect() {
+    clearTimeout(this.retryTimer);
+
+    if (this.attempts >= this.maxAttempts) {
+      this.retryTimer = null;
+      this.setState('failed', { attempts: this.attempts });
+      return;
+    }
+
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** this.attempts);
+    this.attempts++;
+    this.setState('reconnecting', { attempt: this.attempts, delay });
+    this.retryTimer = setTimeout(() => this.reconnect(), delay);
+  }
+
+  // Try again straight away after giving up, e.g. when a camera is plugged in
+  retry() {
+    if (this.state !== 'failed' && this.state !== 'denied') return null;
+
+    this.attempts = 0;
+    return this.reconnect();
+  }
+
+  // Release the camera while the tab is in the background
+  suspend() {
+    if (this.state === 'idle') return;
+
+    this.clearTimers();
+    this.unwatchTrack();
+    this.camera.stop();
+    this.setState('paused');
+  }
+
+  // The detection loop saw the video stop; catch a track that ended
+  // without its event reaching us
+  checkTrack() {
+    if (this.track?.readyState === 'ended') {
+      this.handleEnded();
+    }
+  }
+
+  handleVisibility() {
+    if (document.hidden) {
+      this.suspend();
+    } else if (['paused', 'reconnecting', 'failed', 'denied'].includes(this.state)) {
+      this.attempts = 0;
+      this.reconnect();
+    }
+  }
+
+  handleEnded() {
+    console.warn('Camera track ended');
+    this.unwatchTrack();
+    this.camera.stop();
+    this.scheduleReconnect();
+  }
+
+  handleMute() {
+    if (this.state !== 'live') return;
+
+    this.setState('interrupted');
+    clearTimeout(this.muteTimer);
+    this.muteTimer = setTimeout(() => {
+      console.warn('Camera still muted, reopening it');
+      this.handleEnded();
+    }, this.muteGraceMs);
+  }
+
+  handleUnmute() {
+    clearTimeout(this.muteTimer);
+    this.muteTimer = null;
+
+    if (this.state === 'interrupted') {
+      this.setState('live', { stream: this.camera.getStream(), recovered: true });
+    }
+  }
+
+  handlePermission() {
+    if (this.permission.state === 'denied') {
+      this.clearTimers();
+      this.unwatchTrack();
+      this.camera.stop();
+      this.setState('denied');
+    } else if (this.permission.state === 'granted') {
+      this.retry();
+    }
+  }
+
+  watchTrack(stream) {
+    const track = stream?.getVideoTracks?.()[0];
+    if (!track) return;
+
+    this.track = track;
+    track.addEventListener('ended', this.handleEnded);
+    track.addEventListener('mute', this.handleMute);
+    track.addEventListener('unmute', this.handleUnmute);
+  }
+
+  unwatchTrack() {
+    clearTimeout(this.muteTimer);
+    this.muteTimer = null;
+
+    if (!this.track) return;
+
+    this.track.removeEventListener('ended', this.handleEnded);
+    this.track.removeEventListener('mute', this.handleMute);
+    this.track.removeEventListener('unmute', this.handleUnmute);
+    this.track = null;
+  }
+
+  clearTimers() {
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.muteTimer);
+    this.retryTimer = null;
+    this.muteTimer = null;
+  }
+
+  setState(state, detail = {}) {
+    const previous = this.state;
+    this.state = state;
+    this.onStateChange(state, { ...detail, previous });
+  }
+}
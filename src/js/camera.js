@@ -1,7 +1,20 @@
+import { cropReceipt } from './perspective.js';
+
+// Preview sizes to ask for, best first, per tradeoff. Smaller frames keep
+// detection quick; larger ones give sharper captures where stills are not
+// available. Each step accepts anything down to the next one.
+export const RESOLUTION_PRESETS = {
+  speed: { label: 'Detection Speed', sizes: [[1280, 720], [960, 540], [640, 480]] },
+  balanced: { label: 'Balanced', sizes: [[1920, 1080], [1280, 720], [640, 480]] },
+  detail: { label: 'Capture Detail', sizes: [[3840, 2160], [2560, 1440], [1920, 1080], [1280, 720], [640, 480]] }
+};
+
 export class CameraManager {
   constructor() {
     this.stream = null;
     this.video = null;
+    // Sizes are replaced step by step from the resolution preset when
+    // negotiating; these match the first balanced step
     this.constraints = {
       video: {
         facingMode: 'environment',
@@ -11,12 +24,29 @@ export class CameraManager {
       },
       audio: false
     };
+    
+    // Resolution preset to negotiate and what the camera actually delivered
+    this.resolution = 'balanced';
+    this.obtainedResolution = null;
+    
+    // Camera picked in settings; null uses the rear camera by facing mode
+    this.deviceId = null;
+    this.activeDeviceId = null;
+    this.deviceUnavailable = false; // The picked camera could not be opened
+    
+    // Full-resolution stills via ImageCapture where the browser has it
+    this.useStillCapture = true;
+    this.imageCapture = null;
+    this.photoSettings = null;
+    this.resizeOverlay = null; // Window listeners added by setupOverlay
   }
 
   async init() {
     try {
       // Request camera permission
-      this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+      this.stream = await this.openStream();
+      this.activeDeviceId = this.stream.getVideoTracks()[0]?.getSettings?.().deviceId ?? null;
+      this.setupImageCapture();
       
       // Set up video element
       this.video = document.getElementById('camera-feed');
@@ -31,19 +61,146 @@ export class CameraManager {
         };
       });
       
+      // The decoded size is the final word on what the camera delivers
+      if (this.obtainedResolution && this.video.videoWidth) {
+        this.obtainedResolution.width = this.video.videoWidth;
+        this.obtainedResolution.height = this.video.videoHeight;
+      }
+      console.log(`Camera resolution: ${this.describeResolution()}`);
+      
       return this.stream;
       
     } catch (error) {
       if (error.name === 'NotAllowedError') {
-        throw new Error('Camera permission denied. Please allow camera access.');
+        throw new Error('Camera permission denied. Please allow camera access.', { cause: error });
       } else if (error.name === 'NotFoundError') {
-        throw new Error('No camera found. Please connect a camera.');
+        throw new Error('No camera found. Please connect a camera.', { cause: error });
       } else if (error.name === 'NotReadableError') {
-        throw new Error('Camera is already in use by another application.');
+        throw new Error('Camera is already in use by another application.', { cause: error });
+      } else if (error.name === 'OverconstrainedError') {
+        throw new Error(`Camera does not support the requested ${error.constraint || 'settings'}.`, { cause: error });
       } else {
-        throw new Error(`Camera initialization failed: ${error.message}`);
+        throw new Error(`Camera initialization failed: ${error.message}`, { cause: error });
+      }
+    }
+  }
+
+  // Open the picked camera, falling back to the default one when it has
+  // been unplugged or cannot be opened
+  async openStream() {
+    this.deviceUnavailable = false;
+    
+    if (this.deviceId) {
+      try {
+        return await this.negotiate(this.deviceId);
+      } catch (error) {
+        if (!['NotFoundError', 'OverconstrainedError', 'NotReadableError'].includes(error.name)) {
+          throw error;
+        }
+        console.warn(`Camera ${this.deviceId} unavailable, using the default camera:`, error.message);
+        this.deviceUnavailable = true;
       }
     }
+    
+    return this.negotiate();
+  }
+
+  // Walk down the resolution ladder until the camera accepts a step. Only
+  // an unsatisfiable size moves on; any other error is passed on.
+  async negotiate(deviceId = null) {
+    const ladder = this.getConstraintLadder();
+    
+    for (let step = 0; step < ladder.length; step++) {
+      const constraints = deviceId ? this.getDeviceConstraints(deviceId, ladder[step]) : ladder[step];
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia(constraints);
+        this.obtainedResolution = this.readResolution(stream, step);
+        return stream;
+      } catch (error) {
+        // A missing device is reported as its deviceId not being satisfiable
+        if (error.name !== 'OverconstrainedError' || error.constraint === 'deviceId' || step === ladder.length - 1) {
+          throw error;
+        }
+        console.warn(`Camera rejected ${error.constraint || 'constraints'} at step ${step + 1}, asking for less`);
+      }
+    }
+  }
+
+  // Constraint sets to try in order: the preset's sizes, then whatever
+  // the camera gives with no size asked for
+  getConstraintLadder() {
+    const { sizes } = RESOLUTION_PRESETS[this.resolution] || RESOLUTION_PRESETS.balanced;
+    const { width, height, aspectRatio, ...video } = this.constraints.video;
+    
+    return [
+      ...sizes.map((size, i) => ({
+        ...this.constraints,
+        video: { ...video, aspectRatio, ...this.getSizeConstraints(sizes, i) }
+      })),
+      { ...this.constraints, video }
+    ];
+  }
+
+  getSizeConstraints(sizes, i) {
+    const [width, height] = sizes[i];
+    const [minWidth, minHeight] = sizes[i + 1] || sizes[i];
+    return {
+      width: { ideal: width, min: minWidth },
+      height: { ideal: height, min: minHeight }
+    };
+  }
+
+  readResolution(stream, step) {
+    const settings = stream.getVideoTracks()[0]?.getSettings?.() || {};
+    return {
+      width: settings.width ?? null,
+      height: settings.height ?? null,
+      step,
+      fallback: step > 0 // The preferred size was refused
+    };
+  }
+
+  describeResolution() {
+    const { width, height } = this.obtainedResolution || {};
+    return width && height ? `${width}×${height}` : 'unknown';
+  }
+
+  getDeviceConstraints(deviceId, constraints = this.constraints) {
+    const { facingMode, ...video } = constraints.video;
+    return { ...constraints, video: { ...video, deviceId: { exact: deviceId } } };
+  }
+
+  // Video inputs with a label and, where the browser exposes them, their
+  // largest resolution and facing direction. Labels are empty until camera
+  // permission has been granted.
+  async listCameras() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'videoinput')
+      .map((device, index) => {
+        const capabilities = device.getCapabilities?.() || {};
+        return {
+          deviceId: device.deviceId,
+          label: device.label || `Camera ${index + 1}`,
+          facingMode: capabilities.facingMode?.[0] || null,
+          maxWidth: capabilities.width?.max || null,
+          maxHeight: capabilities.height?.max || null
+        };
+      });
+  }
+
+  // Switch to a camera by deviceId, or back to the default with null
+  async selectCamera(deviceId) {
+    this.deviceId = deviceId || null;
+    return this.restart();
+  }
+
+  // Reopen the camera, e.g. to apply a new resolution preset
+  async restart() {
+    this.stop();
+    return this.init();
   }
 
   setupOverlay() {
@@ -60,12 +217,158 @@ export class CameraManager {
     // Initial resize
     resizeOverlay();
     
-    // Resize on window change
+    // Resize on window change, replacing the listeners from any earlier init
+    this.removeOverlayListeners();
+    this.resizeOverlay = resizeOverlay;
     window.addEventListener('resize', resizeOverlay);
     window.addEventListener('orientationchange', resizeOverlay);
   }
 
+  removeOverlayListeners() {
+    if (this.resizeOverlay) {
+      window.removeEventListener('resize', this.resizeOverlay);
+      window.removeEventListener('orientationchange', this.resizeOverlay);
+      this.resizeOverlay = null;
+    }
+  }
+
+  setupImageCapture() {
+    this.imageCapture = null;
+    this.photoSettings = null;
+    
+    const track = this.stream?.getVideoTracks()[0];
+    if (!track || typeof ImageCapture === 'undefined') return;
+    
+    try {
+      this.imageCapture = new ImageCapture(track);
+    } catch (error) {
+      console.warn('ImageCapture unavailable, capturing video frames:', error.message);
+    }
+  }
+
   async captureImage(sourceElement = null) {
+    const still = await this.captureStill(sourceElement);
+    
+    // The camera's own JPEG needs no re-encoding
+    return still.blob || this.canvasToBlob(still.canvas);
+  }
+
+  // The sharpest image of the scene we can get: a full-resolution still when
+  // the live camera supports takePhoto(), else the current video frame.
+  // `mapping` takes preview (video pixel) coordinates into the canvas.
+  async captureStill(sourceElement = null) {
+    const source = sourceElement || this.video;
+    
+    if (this.canTakePhoto(source)) {
+      try {
+        const blob = await this.takePhoto();
+        const canvas = await this.blobToCanvas(blob);
+        const mapping = this.getPreviewMapping(source, canvas);
+        
+        if (mapping) {
+          return { canvas, blob, mapping };
+        }
+        console.warn('Still is framed differently from the preview, using the video frame');
+      } catch (error) {
+        console.warn('takePhoto failed, using the video frame:', error.message);
+      }
+    }
+    
+    return { canvas: this.captureFrame(source), blob: null, mapping: { scale: 1, offsetX: 0, offsetY: 0 } };
+  }
+
+  // Stills only describe the live camera, not canvases or other sources
+  canTakePhoto(source) {
+    return this.useStillCapture &&
+      this.imageCapture !== null &&
+      source === this.video &&
+      this.imageCapture.track?.readyState === 'live';
+  }
+
+  async takePhoto() {
+    const settings = await this.getPhotoSettings();
+    
+    try {
+      return await this.imageCapture.takePhoto(settings);
+    } catch (error) {
+      if (Object.keys(settings).length === 0) throw error;
+      
+      // Some cameras reject their own advertised maximum
+      console.warn('takePhoto rejected the largest size, retrying with defaults:', error.message);
+      this.photoSettings = {};
+      return this.imageCapture.takePhoto();
+    }
+  }
+
+  // Largest photo the camera supports, looked up once per stream
+  async getPhotoSettings() {
+    if (this.photoSettings) return this.photoSettings;
+    
+    const settings = {};
+    try {
+      const capabilities = await this.imageCapture.getPhotoCapabilities();
+      if (capabilities.imageWidth?.max) settings.imageWidth = capabilities.imageWidth.max;
+      if (capabilities.imageHeight?.max) settings.imageHeight = capabilities.imageHeight.max;
+    } catch (error) {
+      console.warn('Could not read photo capabilities:', error.message);
+    }
+    
+    this.photoSettings = settings;
+    return settings;
+  }
+
+  async blobToCanvas(blob) {
+    const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close?.();
+    
+    return canvas;
+  }
+
+  // The preview is the still scaled down and, when their aspect ratios
+  // differ, centre-cropped (e.g. a 16:9 stream from a 4:3 sensor). Returns
+  // null if the still is rotated relative to the preview.
+  getPreviewMapping(video, still) {
+    const previewWidth = video.videoWidth;
+    const previewHeight = video.videoHeight;
+    if (!previewWidth || !previewHeight) return null;
+    
+    const previewPortrait = previewHeight > previewWidth;
+    const stillPortrait = still.height > still.width;
+    if (previewWidth !== previewHeight && still.width !== still.height && previewPortrait !== stillPortrait) {
+      return null;
+    }
+    
+    const scale = Math.min(still.width / previewWidth, still.height / previewHeight);
+    return {
+      scale,
+      offsetX: (still.width - previewWidth * scale) / 2,
+      offsetY: (still.height - previewHeight * scale) / 2
+    };
+  }
+
+  // Detection with its box and corners moved into still-image coordinates
+  mapDetection(detection, mapping) {
+    const { scale, offsetX, offsetY } = mapping;
+    const mapPoint = (point) => ({ x: point.x * scale + offsetX, y: point.y * scale + offsetY });
+    
+    return {
+      ...detection,
+      box: {
+        x: detection.box.x * scale + offsetX,
+        y: detection.box.y * scale + offsetY,
+        width: detection.box.width * scale,
+        height: detection.box.height * scale
+      },
+      quad: detection.quad ? detection.quad.map(mapPoint) : detection.quad
+    };
+  }
+
+  captureFrame(sourceElement = null) {
     const source = sourceElement || this.video;
     
     // Create a canvas for capturing
@@ -79,16 +382,80 @@ export class CameraManager {
     // Draw video frame to canvas
     ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
     
-    // Convert to blob
+    return canvas;
+  }
+
+  canvasToBlob(canvas, type = 'image/jpeg', quality = 0.95) {
     return new Promise((resolve) => {
       canvas.toBlob((blob) => {
         resolve(blob);
-      }, 'image/jpeg', 0.95);
+      }, type, quality);
     });
   }
 
+  // Capture the frame and a flattened crop of the detected receipt.
+  // The full frame is returned too so the crop can be redone later.
+  async captureReceipt(sourceElement, detection, options = {}) {
+    const still = await this.captureStill(sourceElement);
+    const frame = still.canvas;
+    const original = still.blob || await this.canvasToBlob(frame);
+    
+    const frameData = frame.getContext('2d').getImageData(0, 0, frame.width, frame.height);
+    const crop = cropReceipt(frameData, this.mapDetection(detection, still.mapping), options);
+    
+    return {
+      image: await this.imageDataToBlob(crop),
+      original,
+      crop: {
+        quad: crop.quad,
+        padding: options.padding ?? 0,
+        width: crop.width,
+        height: crop.height,
+        frameWidth: frame.width,
+        frameHeight: frame.height,
+        scale: still.mapping.scale, // Preview pixels to frame pixels
+        still: still.blob !== null
+      }
+    };
+  }
+
+  // Crop a captured frame again with corners placed by hand, given in the
+  // frame's own pixels. No padding is added; the corners are taken as is.
+  async recropReceipt(frameBlob, quad) {
+    const frame = await this.blobToCanvas(frameBlob);
+    const frameData = frame.getContext('2d').getImageData(0, 0, frame.width, frame.height);
+    const crop = cropReceipt(frameData, { quad }, { padding: 0 });
+
+    return {
+      image: await this.imageDataToBlob(crop),
+      crop: {
+        quad: crop.quad,
+        padding: 0,
+        width: crop.width,
+        height: crop.height,
+        frameWidth: frame.width,
+        frameHeight: frame.height,
+        adjusted: true
+      }
+    };
+  }
+
+  // Encode raw RGBA pixels ({ data, width, height }) as an image
+  imageDataToBlob(image, type = 'image/jpeg', quality = 0.95) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(image.width, image.height);
+    imageData.data.set(image.data);
+    ctx.putImageData(imageData, 0, 0);
+    
+    return this.canvasToBlob(canvas, type, quality);
+  }
+
   async switchCamera() {
     // Toggle between front and back camera
+    this.deviceId = null;
     const currentFacingMode = this.constraints.video.facingMode;
     this.constraints.video.facingMode = currentFacingMode === 'environment' ? 'user' : 'environment';
     
@@ -125,6 +492,10 @@ export class CameraManager {
       this.stream = null;
     }
     
+    this.imageCapture = null;
+    this.photoSettings = null;
+    this.activeDeviceId = null;
+    
     if (this.video) {
       this.video.srcObject = null;
     }
@@ -141,6 +512,12 @@ export class CameraManager {
     return null;
   }
 
+  // Current torch, zoom and focus values, among others
+  getSettings() {
+    const videoTrack = this.stream?.getVideoTracks()[0];
+    return videoTrack && videoTrack.getSettings ? videoTrack.getSettings() : null;
+  }
+
   async applyConstraints(newConstraints) {
     if (!this.stream) return;
     
@@ -173,6 +550,23 @@ export class CameraManager {
     }
   }
 
+  // Focus and metering point, normalised to 0-1 across the frame
+  async setPointOfInterest(point) {
+    const capabilities = await this.getCapabilities();
+    if (!capabilities) return;
+
+    // The focus mode is left as chosen: single-shot refocuses once on the
+    // new point, continuous keeps tracking it. Exposure meters there too.
+    const constraint = { pointsOfInterest: [{ x: point.x, y: point.y }] };
+    if (capabilities.exposureMode?.includes('continuous')) {
+      constraint.exposureMode = 'continuous';
+    }
+
+    await this.applyConstraints({
+      advanced: [constraint]
+    });
+  }
+
   async setFocus(mode = 'continuous') {
     const capabilities = await this.getCapabilities();
     
@@ -0,0 +1,261 @@
+import { CaptureManager } from './capture.js';
+import { BurstCapture } from './burst.js';
+import { DuplicateFilter } from './duplicates.js';
+import { ImageEnhancer } from './enhancer.js';
+import { CaptureReview } from './review.js';
+
+// Per-frame burst scores as stored with the receipt
+function summarizeQuality(quality) {
+  if (!quality) return null;
+
+  const summary = {};
+  for (const key of ['overall', 'confidence', 'blur', 'highlights', 'glare', 'exposure', 'shadow']) {
+    if (quality[key] !== undefined) {
+      summary[key] = Math.round(quality[key] * 1000) / 1000;
+    }
+  }
+  return summary;
+}
+
+// Takes a receipt from the camera to storage: burst, crop, review,
+// enhance, encode and save. Captures run beside the detection loop rather
+// than inside it, so tracking carries on through a burst or an open review.
+export class CapturePipeline {
+  constructor(camera, storage, options = {}) {
+    this.camera = camera;
+    this.storage = storage;
+    this.ui = options.ui;
+    this.encoder = options.encoder;
+    this.sampler = options.sampler;
+    this.settings = options.settings; // Live app settings, read on every capture
+    this.getTrack = options.getTrack || (() => null);
+    this.onSaved = options.onSaved || (() => {});
+
+    this.burst = new BurstCapture({ frames: this.settings.burstFrames, sampler: this.sampler });
+    this.duplicates = new DuplicateFilter({ similarity: this.settings.duplicateSimilarity });
+    this.enhancer = new ImageEnhancer();
+    this.review = new CaptureReview();
+    this.queue = Promise.resolve(); // Captures waiting to be taken, in order
+  }
+
+  // Captures are taken one after another; the returned promise settles
+  // when this one is done
+  enqueue(detection, options = {}) {
+    // Claimed now so the next detection pass does not trigger it again
+    const track = detection && this.getTrack(detection.trackId);
+    if (track) {
+      track.captured = true;
+    }
+
+    this.queue = this.queue
+      .then(() => this.capture(detection, options))
+      .catch((error) => {
+        console.error('Capture failed:', error);
+        this.ui.updateStatus(`Capture failed: ${error.message}`, 'error');
+      });
+    return this.queue;
+  }
+
+  // `options.auto` marks captures triggered by the stability gate rather
+  // than the capture button
+  async capture(detection = null, options = {}) {
+    const video = document.getElementById('camera-feed');
+
+    if (!video) {
+      console.error('Camera feed not found for capture');
+      return;
+    }
+
+    // Never auto-capture the same receipt twice
+    const track = detection && this.getTrack(detection.trackId);
+    if (track) {
+      track.captured = true;
+    }
+
+    // In burst mode, capture from the best of several frames
+    let source = video;
+    let burst = null;
+    let quality = track ? track.capture.lastQuality ?? null : null;
+
+    if (this.settings.burstFrames > 1 && detection) {
+      try {
+        const result = await this.captureBurst(video, detection);
+        if (result.canvas) {
+          source = result.canvas;
+          burst = { frames: result.scores.map(summarizeQuality), selected: result.selected };
+          quality = result.scores[result.selected];
+        }
+      } catch (error) {
+        console.warn('Burst capture failed, using a single frame:', error.message);
+      }
+    }
+
+    // Fingerprint the receipt so it is not saved again while it stays put
+    const hash = detection ? this.duplicates.hash(this.sampler.sample(source), detection.box) : null;
+
+    // Capture image, cropped to the receipt when we know where it is
+    let blob;
+    let original = null;
+    let crop = null;
+
+    if (this.settings.cropEnabled && detection) {
+      try {
+        ({ image: blob, original, crop } = await this.camera.captureReceipt(source, detection, {
+          padding: this.settings.cropPadding
+        }));
+      } catch (error) {
+        console.warn('Crop failed, saving full frame:', error.message);
+      }
+    }
+
+    if (!blob) {
+      blob = await this.camera.captureImage(source);
+    }
+
+    // Let the user check the shot before it is saved
+    if (this.needsReview(quality, options.auto)) {
+      const shot = { blob, original, crop };
+      if (!await this.reviewShot(shot, quality)) {
+        this.discard(track);
+        return;
+      }
+      ({ blob, original, crop } = shot);
+    }
+
+    const enhanced = await this.enhance(blob);
+    const encoded = await this.encode(enhanced.blob);
+
+    // Save to storage
+    const metadata = {
+      timestamp: Date.now(),
+      detection,
+      crop,
+      burst,
+      hash,
+      enhancement: enhanced.enhancement,
+      output: encoded.output,
+      settings: this.settings
+    };
+
+    const id = await this.storage.saveReceipt(encoded.blob, metadata, original, enhanced.attachments);
+    if (hash) {
+      this.duplicates.remember(hash, detection.box, id);
+    }
+
+    await this.onSaved(id);
+    console.log(`Receipt captured: ${id}`);
+  }
+
+  // Auto captures that score well enough are trusted without review
+  needsReview(quality, auto = false) {
+    if (!this.settings.reviewCaptures) return false;
+    if (!auto || !quality) return true;
+
+    return this.settings.reviewSkipQuality >= 1 || quality.overall < this.settings.reviewSkipQuality;
+  }
+
+  // Show the shot until it is accepted or retaken. Adjusting the crop
+  // re-crops the full frame and shows the result again; `shot` is updated
+  // in place. Resolves to true if the shot should be saved.
+  async reviewShot(shot, quality) {
+    try {
+      for (;;) {
+        const decision = await this.review.open({
+          image: shot.blob,
+          frame: shot.original || shot.blob,
+          quad: shot.original ? shot.crop?.quad ?? null : null,
+          quality
+        });
+
+        if (decision.action !== 'crop') {
+          return decision.action === 'accept';
+        }
+
+        try {
+          const frame = shot.original || shot.blob;
+          const { image, crop } = await this.camera.recropReceipt(frame, decision.quad);
+          shot.blob = image;
+          shot.original = frame;
+          shot.crop = { ...shot.crop, ...crop };
+        } catch (error) {
+          console.warn('Could not adjust crop:', error.message);
+          this.ui.updateStatus('Could not adjust crop - try different corners', 'warning');
+        }
+      }
+    } finally {
+      this.review.close();
+    }
+  }
+
+  // A retaken receipt can be captured again once it is steady
+  discard(track) {
+    if (track) {
+      track.captured = false;
+      track.capture.reset?.();
+    }
+    this.ui.updateStatus('Capture discarded', 'info');
+  }
+
+  // Score each burst frame with the tracked receipt's own quality model;
+  // the detection box is reused since the receipt was just steady. Its box
+  // history is cleared once the capture fires, so the stability measured
+  // on the steady frames is carried over. A manual shot of an untracked
+  // receipt has no history and is scored without stability.
+  async captureBurst(video, detection) {
+    const track = this.getTrack(detection.trackId);
+    const scorer = track
+      ? track.capture
+      : new CaptureManager({ minSharpness: this.settings.minSharpness });
+    const stability = track?.capture.lastQuality?.stability ?? null;
+
+    const result = await this.burst.capture(
+      video,
+      (frame) => scorer.analyzeQuality(detection, scorer.getFrameSize(frame), frame, stability),
+      (source) => this.camera.captureFrame(source)
+    );
+
+    if (result.canvas) {
+      console.log(`Burst: kept frame ${result.selected + 1} of ${result.scores.length}`);
+    }
+    return result;
+  }
+
+  // Apply the enhancement preset to a captured image. The unprocessed
+  // image is kept as an attachment; if enhancement fails it is saved as is.
+  async enhance(blob) {
+    const preset = this.settings.enhancement;
+    if (!preset || preset === 'original') {
+      return { blob, attachments: [], enhancement: null };
+    }
+
+    try {
+      const enhanced = await this.enhancer.enhance(blob, preset, blob.type || 'image/jpeg');
+      return {
+        blob: enhanced,
+        attachments: [{ kind: 'unprocessed', blob }],
+        enhancement: preset
+      };
+    } catch (error) {
+      console.warn('Enhancement failed, saving unprocessed image:', error.message);
+      return { blob, attachments: [], enhancement: null };
+    }
+  }
+
+  // Encode the image to be saved with the output settings; on failure
+  // (e.g. an unsupported format) the image is saved as captured
+  async encode(blob) {
+    try {
+      return await this.encoder.encode(blob);
+    } catch (error) {
+      console.warn('Output encoding failed, saving as captured:', error.message);
+      return { blob, output: null };
+    }
+  }
+
+  // Recent capture that this detection would repeat, judged on the
+  // sampled frame; without pixels there is nothing to compare
+  findDuplicate(detection, frame) {
+    const hash = this.duplicates.hash(frame, detection.box);
+    return this.duplicates.findDuplicate(hash, detection.box);
+  }
+}
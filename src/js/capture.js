@@ -1,14 +1,107 @@
+import { cropImageData, toGrayscale, laplacianVariance, histogram, percentile } from './image-utils.js';
+
+// Laplacian variance that maps to a sharpness of 0.5; crisp receipt print
+// in a downscaled frame sits well above it, motion blur well below
+const SHARPNESS_REFERENCE = 200;
+
+// Lighting components and the score each needs before auto-capture
+const LIGHTING_GATES = {
+  highlights: 0.5, // Receipt blown out to pure white
+  glare: 0.5, // Specular hotspot over part of the receipt
+  exposure: 0.5, // Too dark to read
+  shadow: 0.5 // Hard shadow edge across the paper
+};
+
+// Assumed until a frame with real dimensions has been seen
+const DEFAULT_FRAME_SIZE = { width: 1920, height: 1080 };
+
+// Movement limits as fractions of the frame diagonal; 10px, 30px and 50px
+// at 1080p
+const STABLE_MOVEMENT = 0.0045;
+const RECENT_MOVEMENT = 0.014;
+const MAX_MOVEMENT = 0.023;
+
+const CLIPPED_LEVEL = 250;
+const LIGHTING_GRID = 4; // Cells per side for local glare/shadow checks
+
+// Histogram checks on the pixels in `box` (frame pixels, mapped onto a
+// downscaled `imageData` by its `scale`), each scored 0 (bad) to 1 (fine).
+// Returns no components when there are no pixels to look at.
+export function analyzeLighting(imageData, box) {
+  if (!imageData || !imageData.data) return {};
+  
+  const scale = imageData.scale || 1;
+  const region = cropImageData(imageData, {
+    x: box.x * scale,
+    y: box.y * scale,
+    width: box.width * scale,
+    height: box.height * scale
+  });
+  
+  if (region.width < LIGHTING_GRID * 4 || region.height < LIGHTING_GRID * 4) return {};
+  
+  const gray = toGrayscale(region);
+  const bins = histogram(gray);
+  
+  // Paper brightness ignoring the ink, per grid cell
+  const cells = [];
+  const cellWidth = Math.floor(region.width / LIGHTING_GRID);
+  const cellHeight = Math.floor(region.height / LIGHTING_GRID);
+  for (let cy = 0; cy < LIGHTING_GRID; cy++) {
+    for (let cx = 0; cx < LIGHTING_GRID; cx++) {
+      const cellBins = new Uint32Array(256);
+      let clipped = 0;
+      for (let y = cy * cellHeight; y < (cy + 1) * cellHeight; y++) {
+        for (let x = cx * cellWidth; x < (cx + 1) * cellWidth; x++) {
+          const value = gray[y * region.width + x];
+          cellBins[value]++;
+          if (value >= CLIPPED_LEVEL) clipped++;
+        }
+      }
+      const total = cellWidth * cellHeight;
+      cells.push({
+        paper: percentile(cellBins, total, 0.75),
+        clipped: clipped / total
+      });
+    }
+  }
+  
+  let clippedTotal = 0;
+  for (let value = CLIPPED_LEVEL; value < 256; value++) clippedTotal += bins[value];
+  const clippedFraction = clippedTotal / gray.length;
+  const brightest = percentile(bins, gray.length, 0.9);
+  
+  const paperLevels = cells.map(cell => cell.paper);
+  const shadowRatio = Math.min(...paperLevels) / Math.max(1, Math.max(...paperLevels));
+  const hotspot = Math.max(...cells.map(cell => cell.clipped));
+  
+  const clamp = (value) => Math.max(0, Math.min(1, value));
+  return {
+    highlights: clamp(1 - clippedFraction / 0.3),
+    glare: clamp(1 - hotspot / 0.6),
+    exposure: clamp((brightest - 60) / 100),
+    shadow: clamp((shadowRatio - 0.45) / 0.35)
+  };
+}
+
 export class CaptureManager {
-  constructor() {
+  constructor(options = {}) {
     this.lastBox = null;
     this.stabilityFrames = 0;
     this.lastCaptureTime = 0;
     this.minCaptureInterval = 2000; // Minimum 2 seconds between captures
     this.boxHistory = [];
     this.maxHistoryLength = 10;
+    this.lastQuality = null;
+    this.minSharpness = options.minSharpness ?? 0.35; // Blur gate for auto-capture
+    this.lightingGates = { ...LIGHTING_GATES, ...options.lightingGates };
+    this.issues = []; // Quality components currently blocking capture
+    this.frameSize = { ...(options.frameSize || DEFAULT_FRAME_SIZE) }; // Video pixels the boxes are in
   }
 
-  shouldCapture(detection, requiredStabilityFrames = 5) {
+  // `frame` is the sampled frame (or just its `frameWidth`/`frameHeight`)
+  // the detection was made on
+  shouldCapture(detection, requiredStabilityFrames = 5, frame = null) {
     // Check if enough time has passed since last capture
     const now = Date.now();
     if (now - this.lastCaptureTime < this.minCaptureInterval) {
@@ -16,7 +109,9 @@ export class CaptureManager {
     }
     
     // Analyze detection quality first
-    const quality = this.analyzeQuality(detection, { width: 1920, height: 1080 }); // Use reasonable default
+    this.frameSize = this.getFrameSize(frame);
+    const quality = this.analyzeQuality(detection, this.frameSize, frame);
+    this.lastQuality = quality;
     
     // Only proceed if quality is decent
     if (quality.overall < 0.3) {
@@ -25,6 +120,15 @@ export class CaptureManager {
       return false;
     }
     
+    // Smeared or badly lit frames are unreadable however steady the box looks
+    this.issues = frame?.data ? this.getBlockingIssues(quality) : [];
+    if (this.issues.length > 0) {
+      this.stabilityFrames = Math.max(0, this.stabilityFrames - 2);
+      this.lastBox = { ...detection.box };
+      this.updateHistory(detection.box);
+      return false;
+    }
+    
     // Enhanced stability check with multiple criteria
     if (this.isStableEnhanced(detection.box, detection.score)) {
       this.stabilityFrames++;
@@ -50,6 +154,35 @@ export class CaptureManager {
     return false;
   }
 
+  // Full-resolution frame dimensions, falling back to the last known size
+  getFrameSize(frame) {
+    if (frame?.frameWidth && frame?.frameHeight) {
+      return { width: frame.frameWidth, height: frame.frameHeight };
+    }
+    
+    if (frame?.width && frame?.height) {
+      const scale = frame.scale || 1;
+      return { width: Math.round(frame.width / scale), height: Math.round(frame.height / scale) };
+    }
+    
+    return this.frameSize;
+  }
+
+  // Box as fractions of the frame, so scores are the same at any resolution
+  normalizeBox(box, frameSize = this.frameSize) {
+    return {
+      x: box.x / frameSize.width,
+      y: box.y / frameSize.height,
+      width: box.width / frameSize.width,
+      height: box.height / frameSize.height
+    };
+  }
+
+  // Pixel distance as a fraction of the frame diagonal
+  normalizeDistance(distance, frameSize = this.frameSize) {
+    return distance / Math.hypot(frameSize.width, frameSize.height);
+  }
+
   getAdaptiveStabilityFrames(quality, baseFrames) {
     // Reduce required frames for high-quality detections
     if (quality.overall > 0.8) {
@@ -70,13 +203,13 @@ export class CaptureManager {
     const movement = this.calculateMovement(this.lastBox, currentBox);
     
     // Dynamic threshold based on confidence and box size
-    const baseThreshold = 10;
+    const box = this.normalizeBox(currentBox);
     const confidenceMultiplier = Math.max(0.5, 2 - confidence * 2); // Higher confidence = lower threshold
-    const sizeMultiplier = Math.min(2, Math.sqrt(currentBox.width * currentBox.height) / 100); // Larger boxes allow more movement
-    const threshold = baseThreshold * confidenceMultiplier * sizeMultiplier;
+    const sizeMultiplier = Math.min(2, Math.sqrt(box.width * box.height) / 0.07); // Larger boxes allow more movement
+    const threshold = STABLE_MOVEMENT * confidenceMultiplier * sizeMultiplier;
     
     // Check multiple stability criteria
-    const positionStable = movement.distance < threshold;
+    const positionStable = this.normalizeDistance(movement.distance) < threshold;
     const sizeStable = movement.sizeChange < (currentBox.width + currentBox.height) * 0.1; // 10% size change tolerance
     const recentStability = this.calculateRecentStability() > 0.7;
     
@@ -100,12 +233,12 @@ export class CaptureManager {
       totalSizeChange += movement.sizeChange;
     }
     
-    const avgMovement = totalMovement / (recentFrames.length - 1);
-    const avgSizeChange = totalSizeChange / (recentFrames.length - 1);
+    const avgMovement = this.normalizeDistance(totalMovement / (recentFrames.length - 1));
+    const avgSizeChange = this.normalizeDistance(totalSizeChange / (recentFrames.length - 1));
     
     // Stability score based on movement and size consistency
-    const movementScore = Math.max(0, 1 - avgMovement / 30);
-    const sizeScore = Math.max(0, 1 - avgSizeChange / 50);
+    const movementScore = Math.max(0, 1 - avgMovement / RECENT_MOVEMENT);
+    const sizeScore = Math.max(0, 1 - avgSizeChange / MAX_MOVEMENT);
     
     return (movementScore + sizeScore) / 2;
   }
@@ -120,8 +253,7 @@ export class CaptureManager {
     const movement = this.calculateMovement(this.lastBox, currentBox);
     
     // Consider stable if movement is minimal
-    const threshold = 10; // pixels
-    return movement.distance < threshold;
+    return this.normalizeDistance(movement.distance) < STABLE_MOVEMENT;
   }
 
   calculateMovement(box1, box2) {
@@ -170,28 +302,34 @@ export class CaptureManager {
     }
   }
 
-  analyzeQuality(detection, imageData) {
+  // `frameSize` is the full-resolution frame the box coordinates refer to;
+  // `frame` optionally carries pixels for the sharpness and lighting checks.
+  // `stability` replaces the score from the box history; null leaves it out.
+  analyzeQuality(detection, frameSize = this.frameSize, frame = null, stability = this.calculateStability(frameSize)) {
     // Analyze detection quality for better capture decisions
     const quality = {
       confidence: detection.score,
-      size: this.calculateSize(detection.box),
-      position: this.analyzePosition(detection.box, imageData),
-      stability: this.calculateStability(),
-      blur: this.estimateBlur(imageData, detection.box)
+      size: this.calculateSize(detection.box, frameSize),
+      position: this.analyzePosition(detection.box, frameSize),
+      blur: this.estimateBlur(frame, detection.box),
+      ...this.analyzeLighting(frame, detection.box)
     };
     
+    if (stability !== null) {
+      quality.stability = stability;
+    }
+    
     // Calculate overall quality score
     quality.overall = this.calculateQualityScore(quality);
     
     return quality;
   }
 
-  calculateSize(box) {
-    const area = box.width * box.height;
-    const totalArea = window.innerWidth * window.innerHeight;
-    const percentage = (area / totalArea) * 100;
+  calculateSize(box, frameSize = this.frameSize) {
+    const normalized = this.normalizeBox(box, frameSize);
+    const percentage = normalized.width * normalized.height * 100;
     
-    // Ideal size is 20-60% of screen
+    // Ideal size is 20-60% of the frame
     if (percentage >= 20 && percentage <= 60) {
       return 1.0;
     } else if (percentage < 20) {
@@ -201,29 +339,24 @@ export class CaptureManager {
     }
   }
 
-  analyzePosition(box, imageData) {
-    const centerX = box.x + box.width / 2;
-    const centerY = box.y + box.height / 2;
-    
-    const imageCenterX = imageData.width / 2;
-    const imageCenterY = imageData.height / 2;
+  analyzePosition(box, frameSize = this.frameSize) {
+    const normalized = this.normalizeBox(box, frameSize);
+    const centerX = normalized.x + normalized.width / 2;
+    const centerY = normalized.y + normalized.height / 2;
     
     // Calculate distance from center
     const distance = Math.sqrt(
-      Math.pow(centerX - imageCenterX, 2) + 
-      Math.pow(centerY - imageCenterY, 2)
+      Math.pow(centerX - 0.5, 2) + 
+      Math.pow(centerY - 0.5, 2)
     );
     
-    const maxDistance = Math.sqrt(
-      Math.pow(imageCenterX, 2) + 
-      Math.pow(imageCenterY, 2)
-    );
+    const maxDistance = Math.sqrt(0.5);
     
     // Normalize to 0-1 (1 being perfectly centered)
-    return 1 - (distance / maxDistance);
+    return Math.max(0, 1 - (distance / maxDistance));
   }
 
-  calculateStability() {
+  calculateStability(frameSize = this.frameSize) {
     if (this.boxHistory.length < 2) return 0;
     
     let totalMovement = 0;
@@ -235,20 +368,57 @@ export class CaptureManager {
       totalMovement += movement.distance;
     }
     
-    const avgMovement = totalMovement / (this.boxHistory.length - 1);
+    const avgMovement = this.normalizeDistance(totalMovement / (this.boxHistory.length - 1), frameSize);
     
     // Convert to stability score (lower movement = higher stability)
-    const maxMovement = 50; // pixels
-    return Math.max(0, 1 - (avgMovement / maxMovement));
+    return Math.max(0, 1 - (avgMovement / MAX_MOVEMENT));
   }
 
+  // Sharpness of the pixels inside the box, 0 (smeared) to 1 (crisp).
+  // `imageData` may be a downscaled frame whose `scale` maps frame-pixel
+  // boxes onto it.
   estimateBlur(imageData, box) {
-    // Simple blur estimation using edge detection
-    // This is a simplified version - real implementation would analyze pixels
+    // Without pixels there is nothing to measure
+    if (!imageData || !imageData.data) {
+      return 0.8; // Assume reasonably sharp
+    }
+    
+    const scale = imageData.scale || 1;
+    const region = cropImageData(imageData, {
+      x: box.x * scale,
+      y: box.y * scale,
+      width: box.width * scale,
+      height: box.height * scale
+    });
+    
+    if (region.width < 3 || region.height < 3) {
+      return 0.8;
+    }
+    
+    const variance = laplacianVariance(toGrayscale(region), region.width, region.height);
+    return variance / (variance + SHARPNESS_REFERENCE);
+  }
+
+  // Lighting of the receipt pixels; see analyzeLighting
+  analyzeLighting(imageData, box) {
+    return analyzeLighting(imageData, box);
+  }
+
+  // Names of the quality components too poor to capture with
+  getBlockingIssues(quality) {
+    const issues = [];
+    
+    if (quality.blur < this.minSharpness) {
+      issues.push('blur');
+    }
+    
+    for (const [name, minimum] of Object.entries(this.lightingGates)) {
+      if (quality[name] !== undefined && quality[name] < minimum) {
+        issues.push(name);
+      }
+    }
     
-    // For now, return a reasonable default
-    // In production, you'd analyze the image data within the box
-    return 0.8; // Assume reasonably sharp
+    return issues;
   }
 
   calculateQualityScore(quality) {
@@ -258,21 +428,29 @@ export class CaptureManager {
       size: 0.2,
       position: 0.2,
       stability: 0.2,
-      blur: 0.1
+      blur: 0.1,
+      highlights: 0.05,
+      glare: 0.05,
+      exposure: 0.05,
+      shadow: 0.05
     };
     
+    // Normalize by the components actually measured
     let score = 0;
+    let totalWeight = 0;
     for (const [key, weight] of Object.entries(weights)) {
       if (quality[key] !== undefined) {
         score += quality[key] * weight;
+        totalWeight += weight;
       }
     }
     
-    return score;
+    return totalWeight > 0 ? score / totalWeight : 0;
   }
 
   reset() {
     this.stabilityFrames = 0;
+    this.issues = [];
     this.lastBox = null;
     this.boxHistory = [];
   }
@@ -282,7 +460,10 @@ export class CaptureManager {
       stabilityFrames: this.stabilityFrames,
       lastCaptureTime: this.lastCaptureTime,
       historyLength: this.boxHistory.length,
-      currentStability: this.calculateStability()
+      currentStability: this.calculateStability(),
+      quality: this.lastQuality ? this.lastQuality.overall : null,
+      sharpness: this.lastQuality ? this.lastQuality.blur : null,
+      issues: [...this.issues]
     };
   }
 }
\ No newline at end of file
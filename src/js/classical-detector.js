@@ -0,0 +1,112 @@
+import {
+  downscaleGray,
+  boxBlur,
+  otsuThreshold,
+  labelComponents,
+  boundaryPoints,
+  convexHull,
+  simplifyHull,
+  largestQuadrilateral,
+  polygonArea
+} from './image-utils.js';
+
+// Model-free receipt finder: bright, unsaturated, rectangular regions. The
+// returned function mirrors the transformers.js object-detection pipeline so
+// the Detector can swap it in when no ML model can be loaded.
+
+const ANALYSIS_SIZE = 160;
+const MAX_HULL_POINTS = 32;
+const MIN_CONTRAST = 40; // Paper vs background brightness gap for full confidence
+const MIN_AREA = 0.02; // Of the frame
+const MAX_AREA = 0.9; // Bigger regions are walls or tables, not paper
+const MIN_FILL = 0.75; // Region area / fitted quadrilateral area
+
+export function createClassicalModel(config = {}) {
+  const analysisSize = config.analysisSize || ANALYSIS_SIZE;
+
+  return async (image, { threshold = 0.5 } = {}) => {
+    return findPaperRegions(image, { analysisSize })
+      .filter(detection => detection.score >= threshold);
+  };
+}
+
+// Brightness minus colour saturation, so white paper stands out from
+// bright but coloured surfaces like wood or skin
+export function paperness(image) {
+  const { data, width, height, channels } = image;
+  const out = new Uint8ClampedArray(width * height);
+
+  for (let i = 0, p = 0; i < out.length; i++, p += channels) {
+    const r = data[p];
+    const g = channels > 1 ? data[p + 1] : r;
+    const b = channels > 2 ? data[p + 2] : r;
+    const luma = (r * 77 + g * 150 + b * 29) >> 8;
+    out[i] = luma - (Math.max(r, g, b) - Math.min(r, g, b));
+  }
+
+  return out;
+}
+
+export function findPaperRegions(image, options = {}) {
+  const analysisSize = options.analysisSize || ANALYSIS_SIZE;
+  const small = downscaleGray(paperness(image), image.width, image.height, analysisSize);
+  const { width, height } = small;
+  const gray = boxBlur(small.gray, width, height);
+  const threshold = otsuThreshold(gray);
+
+  const mask = new Uint8Array(gray.length);
+  for (let i = 0; i < gray.length; i++) {
+    mask[i] = gray[i] > threshold ? 1 : 0;
+  }
+
+  const frameArea = width * height;
+  const detections = [];
+
+  for (const component of labelComponents(mask, width, height)) {
+    if (component.size < frameArea * MIN_AREA || component.size > frameArea * MAX_AREA) continue;
+
+    const hull = convexHull(boundaryPoints(component.pixels, mask, width, height));
+    const quad = hull.length >= 4 ? largestQuadrilateral(simplifyHull(hull, MAX_HULL_POINTS)) : null;
+    if (!quad) continue;
+
+    // Rectangular regions fill their fitted quadrilateral almost completely
+    const fill = Math.min(1, component.size / Math.max(1, polygonArea(quad)));
+    if (fill < MIN_FILL) continue;
+
+    const contrast = regionContrast(gray, component.pixels, mask);
+    const score = fill * Math.min(1, contrast / MIN_CONTRAST);
+
+    const xs = quad.map(point => point.x);
+    const ys = quad.map(point => point.y);
+    detections.push({
+      label: 'receipt',
+      score,
+      box: {
+        xmin: Math.min(...xs) / small.scale,
+        ymin: Math.min(...ys) / small.scale,
+        xmax: (Math.max(...xs) + 1) / small.scale,
+        ymax: (Math.max(...ys) + 1) / small.scale
+      }
+    });
+  }
+
+  return detections.sort((a, b) => b.score - a.score);
+}
+
+// Mean brightness gap between the region and everything outside the mask
+function regionContrast(gray, pixels, mask) {
+  let inside = 0;
+  for (const index of pixels) inside += gray[index];
+
+  let outside = 0;
+  let outsideCount = 0;
+  for (let i = 0; i < gray.length; i++) {
+    if (!mask[i]) {
+      outside += gray[i];
+      outsideCount++;
+    }
+  }
+
+  if (outsideCount === 0) return 0;
+  return inside / pixels.length - outside / outsideCount;
+}
@@ -0,0 +1,80 @@
+import {
+  cropImageData,
+  toGrayscale,
+  downscaleGray,
+  boxBlur,
+  otsuThreshold,
+  largestComponent,
+  convexHull,
+  polygonArea,
+  orderCorners,
+  boundaryPoints,
+  simplifyHull,
+  largestQuadrilateral
+} from './image-utils.js';
+
+// Working resolution for the corner search; receipts only need the outline
+const MAX_ANALYSIS_SIZE = 192;
+const MAX_HULL_POINTS = 48;
+const MIN_CONTRAST = 24;
+
+/**
+ * Find the four corners of the receipt inside a detection box.
+ *
+ * Segments the bright paper from the background with an Otsu threshold,
+ * keeps the largest connected region, and fits the largest quadrilateral
+ * to its convex hull. Returns [topLeft, topRight, bottomRight, bottomLeft]
+ * in the same coordinates as `box`, or null when no convincing outline is
+ * found (the caller keeps using the axis-aligned box).
+ */
+export function findReceiptCorners(imageData, box, options = {}) {
+  const margin = options.margin ?? 0.08;
+  const minCoverage = options.minCoverage ?? 0.25;
+
+  // Look slightly past the box, detectors often clip the paper edge
+  const region = cropImageData(imageData, {
+    x: box.x - box.width * margin,
+    y: box.y - box.height * margin,
+    width: box.width * (1 + margin * 2),
+    height: box.height * (1 + margin * 2)
+  });
+
+  if (region.width < 8 || region.height < 8) return null;
+
+  const small = downscaleGray(toGrayscale(region), region.width, region.height, MAX_ANALYSIS_SIZE);
+  const gray = boxBlur(small.gray, small.width, small.height);
+
+  // Paper and background need some separation to be worth segmenting
+  let min = 255;
+  let max = 0;
+  for (let i = 0; i < gray.length; i++) {
+    if (gray[i] < min) min = gray[i];
+    if (gray[i] > max) max = gray[i];
+  }
+  if (max - min < MIN_CONTRAST) return null;
+
+  const threshold = otsuThreshold(gray);
+
+  const mask = new Uint8Array(gray.length);
+  for (let i = 0; i < gray.length; i++) {
+    mask[i] = gray[i] > threshold ? 1 : 0;
+  }
+
+  const component = largestComponent(mask, small.width, small.height);
+  if (component.size < gray.length * minCoverage * 0.5) return null;
+
+  const hull = convexHull(boundaryPoints(component.pixels, mask, small.width, small.height));
+  if (hull.length < 4) return null;
+
+  const quad = largestQuadrilateral(simplifyHull(hull, MAX_HULL_POINTS));
+  if (!quad) return null;
+
+  // Reject outlines that cover only a sliver of the detection
+  const boxArea = box.width * box.height * small.scale * small.scale;
+  if (polygonArea(quad) < boxArea * minCoverage) return null;
+
+  return orderCorners(quad).map(point => ({
+    x: Math.round(region.x + point.x / small.scale),
+    y: Math.round(region.y + point.y / small.scale)
+  }));
+}
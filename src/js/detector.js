@@ -1,34 +1,43 @@
-import { pipeline, env } from '@xenova/transformers';
+import { pipeline, env, RawImage } from '@xenova/transformers';
+import { DEFAULT_MODELS, DEFAULT_RECEIPT_LABELS, MODEL_SOURCE, normalizeModelConfig } from './models.js';
+import { loadYoloModel } from './yolo-model.js';
+import { createClassicalModel } from './classical-detector.js';
+import { findReceiptCorners } from './corners.js';
+import { ReceiptVerifier } from './verifier.js';
 
 // Configure Transformers.js
 env.allowLocalModels = false;
 env.useBrowserCache = true;
 
 export class Detector {
-  constructor() {
+  constructor(options = {}) {
     this.model = null;
     this.modelName = null;
     this.isLoading = false;
     this.modelCache = new Map();
+    this.inputCanvas = null;
+    
+    // Downscale frames to the model's input size before handing them over
+    this.downscaleInput = options.downscaleInput ?? true;
+    
+    // Fit receipt corners inside detection boxes (exposed as `quad`)
+    this.detectCorners = options.detectCorners ?? true;
+    this.maxCornerDetections = 5;
+    
+    // Optional zero-shot check that candidates really are receipts
+    this.verifier = null;
+    
+    // Progress reporting (workers have no window to dispatch events on)
+    this.onProgress = options.onProgress || ((progress) => {
+      const event = new CustomEvent('model-progress', { detail: progress });
+      window.dispatchEvent(event);
+    });
     
     // Model configurations
-    this.models = {
-      'yolos-tiny': {
-        name: 'Xenova/yolos-tiny',
-        size: 'tiny',
-        speed: 'fast'
-      },
-      'yolos-small': {
-        name: 'Xenova/yolos-small', 
-        size: 'small',
-        speed: 'balanced'
-      },
-      'detr-resnet-50': {
-        name: 'Xenova/detr-resnet-50',
-        size: 'large',
-        speed: 'slow'
-      }
-    };
+    this.models = { ...DEFAULT_MODELS };
+    
+    // Hub, self-hosted directory, or both
+    this.modelSource = { ...MODEL_SOURCE, ...options.modelSource };
   }
 
   async init(modelName = 'yolos-tiny') {
@@ -54,15 +63,24 @@ export class Detector {
         
         console.log(`Loading model: ${modelConfig.name}`);
         
-        // Create object detection pipeline
-        this.model = await pipeline('object-detection', modelConfig.name, {
-          quantized: true, // Use quantized model for better performance
-          progress_callback: (progress) => {
-            console.log(`Loading progress: ${Math.round(progress * 100)}%`);
-            const event = new CustomEvent('model-progress', { detail: progress });
-            window.dispatchEvent(event);
-          }
-        });
+        if (modelConfig.format === 'classical') {
+          // Pure JS image processing, nothing to download
+          this.model = createClassicalModel(modelConfig);
+        } else if (modelConfig.format === 'yolo') {
+          // Raw ONNX export, run without the transformers.js pipeline
+          this.configureModelSource(modelConfig);
+          this.model = await loadYoloModel(modelConfig);
+        } else {
+          const modelId = this.configureModelSource(modelConfig);
+          // Create object detection pipeline
+          this.model = await pipeline('object-detection', modelId, {
+            quantized: true, // Use quantized model for better performance
+            progress_callback: (progress) => {
+              console.log(`Loading progress: ${Math.round(progress * 100)}%`);
+              this.onProgress(progress);
+            }
+          });
+        }
         
         // Cache the model
         this.modelCache.set(modelName, this.model);
@@ -79,6 +97,64 @@ export class Detector {
     }
   }
 
+  configureModelSource(modelConfig = null) {
+    const { basePath, allowRemote, wasmPath } = this.modelSource;
+    
+    if (wasmPath && env.backends?.onnx?.wasm) {
+      env.backends.onnx.wasm.wasmPaths = wasmPath;
+    }
+    
+    if (modelConfig?.path) {
+      // Custom model directory: load it as a local model named after its last segment
+      const path = modelConfig.path.replace(/\/+$/, '');
+      const split = path.lastIndexOf('/');
+      env.allowLocalModels = true;
+      env.allowRemoteModels = false;
+      env.localModelPath = split >= 0 ? path.slice(0, split + 1) : './';
+      return path.slice(split + 1);
+    }
+    
+    // Only look for local files when a base path is configured, otherwise
+    // every load would first 404 against the app's own origin
+    env.allowLocalModels = Boolean(basePath);
+    env.allowRemoteModels = !basePath || allowRemote;
+    
+    if (basePath) {
+      env.localModelPath = basePath.endsWith('/') ? basePath : `${basePath}/`;
+    }
+    
+    return modelConfig?.name;
+  }
+
+  registerModel(key, config) {
+    const modelConfig = normalizeModelConfig(key, config);
+    
+    // Re-registering replaces any previously loaded weights for this key
+    this.modelCache.delete(key);
+    this.models[key] = modelConfig;
+    
+    console.log(`Registered model: ${key}`);
+    return modelConfig;
+  }
+
+  async configureVerifier(options = {}) {
+    if (!options.enabled) {
+      this.verifier?.dispose();
+      this.verifier = null;
+      return false;
+    }
+    
+    const verifier = this.verifier || new ReceiptVerifier({ onProgress: this.onProgress });
+    verifier.threshold = options.threshold ?? verifier.threshold;
+    
+    // Same hub or self-hosted directory as the detection models
+    this.configureModelSource({ name: verifier.modelName });
+    await verifier.init();
+    
+    this.verifier = verifier;
+    return true;
+  }
+
   async switchModel(modelName) {
     await this.init(modelName);
   }
@@ -98,7 +174,18 @@ export class Detector {
       // Convert source to canvas for consistent processing
       let canvas;
       
-      if (source instanceof HTMLVideoElement) {
+      if (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) {
+        // Frames transferred from the main thread when running in a worker
+        if (source.width === 0 || source.height === 0) {
+          console.warn('ImageBitmap dimensions not available, skipping detection');
+          return [];
+        }
+        
+        canvas = this.createCanvas(source.width, source.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0);
+        
+      } else if (source instanceof HTMLVideoElement) {
         // Enhanced video validation
         if (!source.videoWidth || !source.videoHeight) {
           console.warn('Video dimensions not available:', {
@@ -163,7 +250,7 @@ export class Detector {
         };
         
         console.error('Unsupported input type for detection:', sourceInfo);
-        throw new Error(`Unsupported input type: ${sourceInfo.constructor || sourceInfo.type}. Expected HTMLVideoElement, HTMLCanvasElement, or HTMLImageElement. Received: ${JSON.stringify(sourceInfo)}`);
+        throw new Error(`Unsupported input type: ${sourceInfo.constructor || sourceInfo.type}. Expected HTMLVideoElement, HTMLCanvasElement, HTMLImageElement, or ImageBitmap. Received: ${JSON.stringify(sourceInfo)}`);
       }
       
       // Ensure we have a valid canvas with dimensions
@@ -181,7 +268,7 @@ export class Detector {
         }
         
         // Only validate image data in real browser environment
-        if (typeof window !== 'undefined' && ctx.getImageData && !window.location.href.includes('test')) {
+        if (typeof window !== 'undefined' && window.location && ctx.getImageData && !window.location.href.includes('test')) {
           // Check if canvas has any image data (not just transparent pixels)
           const sampleWidth = Math.min(canvas.width, 10);
           const sampleHeight = Math.min(canvas.height, 10);
@@ -205,7 +292,7 @@ export class Detector {
       }
       
       // Final validation before passing to model
-      if (!(canvas instanceof HTMLCanvasElement)) {
+      if (!this.isCanvas(canvas)) {
         const actualType = {
           type: typeof canvas,
           constructor: canvas?.constructor?.name || 'unknown',
@@ -220,54 +307,33 @@ export class Detector {
       console.log('DEBUG: About to pass to model:', {
         type: typeof canvas,
         constructor: canvas.constructor.name,
-        isCanvas: canvas instanceof HTMLCanvasElement,
+        isCanvas: this.isCanvas(canvas),
         width: canvas.width,
         height: canvas.height,
         tagName: canvas.tagName
       });
       
-      // Convert canvas to blob URL for transformers library compatibility
-      let modelInput = canvas;
-      try {
-        // Method 1: Try converting canvas to Blob URL (most compatible)
-        const blob = await new Promise((resolve) => {
-          canvas.toBlob(resolve, 'image/png');
-        });
-        
-        if (blob) {
-          const blobUrl = URL.createObjectURL(blob);
-          console.log('DEBUG: Created blob URL for model input:', blobUrl);
-          modelInput = blobUrl;
-          
-          // Clean up the blob URL after detection
-          setTimeout(() => URL.revokeObjectURL(blobUrl), 5000);
-        } else {
-          console.warn('Could not create blob from canvas');
-        }
-      } catch (blobError) {
-        console.warn('Could not convert canvas to blob, trying data URL:', blobError.message);
-        
-        // Method 2: Try data URL as fallback
-        try {
-          const dataUrl = canvas.toDataURL('image/png');
-          console.log('DEBUG: Created data URL for model input (first 100 chars):', dataUrl.substring(0, 100));
-          modelInput = dataUrl;
-        } catch (dataUrlError) {
-          console.error('Could not convert canvas to data URL, using canvas directly:', dataUrlError.message);
-          modelInput = canvas;
-        }
-      }
-      
-      console.log('DEBUG: Final model input type:', typeof modelInput);
+      // Hand the model raw pixels instead of round-tripping through an encoded image
+      const { image, imageData, scale } = this.createModelInput(canvas);
       
       // Run detection with proper error handling
-      const results = await this.model(modelInput, {
+      const results = await this.model(image, {
         threshold: 0.5,
         percentage: false // Get pixel coordinates instead of percentages
       });
       
-      // Format results for our use case
-      return this.formatResults(results, canvas);
+      // Format results for our use case, mapping boxes back to source pixels
+      let detections = this.formatResults(results, canvas, scale);
+      
+      if (this.verifier) {
+        detections = await this.verifier.verify(detections, imageData, scale);
+      }
+      
+      if (this.detectCorners) {
+        this.addCorners(detections, imageData, scale);
+      }
+      
+      return detections;
       
     } catch (error) {
       console.error('Detection error:', error);
@@ -281,7 +347,102 @@ export class Detector {
     }
   }
 
-  formatResults(results, canvas) {
+  createCanvas(width, height) {
+    // Workers have no DOM, so fall back to an OffscreenCanvas there
+    if (typeof document === 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  isCanvas(canvas) {
+    if (typeof HTMLCanvasElement !== 'undefined' && canvas instanceof HTMLCanvasElement) {
+      return true;
+    }
+    return typeof OffscreenCanvas !== 'undefined' && canvas instanceof OffscreenCanvas;
+  }
+
+  getInputScale(width, height) {
+    const modelConfig = this.models[this.modelName];
+    const inputSize = modelConfig?.inputSize;
+    if (!this.downscaleInput || !inputSize) return 1;
+    
+    // YOLO letterboxes and the classical detector works on the long edge;
+    // transformers.js resizes the short edge
+    const edge = modelConfig.format === 'yolo' || modelConfig.format === 'classical'
+      ? Math.max(width, height)
+      : Math.min(width, height);
+    return Math.min(1, inputSize / edge);
+  }
+
+  createModelInput(canvas) {
+    const scale = this.getInputScale(canvas.width, canvas.height);
+    let pixelSource = canvas;
+    
+    if (scale < 1) {
+      const width = Math.max(1, Math.round(canvas.width * scale));
+      const height = Math.max(1, Math.round(canvas.height * scale));
+      
+      // Reuse one scratch canvas rather than allocating per frame
+      if (!this.inputCanvas) {
+        this.inputCanvas = this.createCanvas(width, height);
+      }
+      this.inputCanvas.width = width;
+      this.inputCanvas.height = height;
+      this.inputCanvas.getContext('2d').drawImage(canvas, 0, 0, width, height);
+      pixelSource = this.inputCanvas;
+    }
+    
+    const ctx = pixelSource.getContext('2d');
+    if (!ctx || !ctx.getImageData) {
+      throw new Error('Model input validation failed: cannot read canvas pixels');
+    }
+    
+    const imageData = ctx.getImageData(0, 0, pixelSource.width, pixelSource.height);
+    const image = new RawImage(imageData.data, imageData.width, imageData.height, 4);
+    
+    // Each axis is rounded on its own, so the two scales can differ slightly
+    return {
+      image,
+      imageData,
+      scale: { x: imageData.width / canvas.width, y: imageData.height / canvas.height }
+    };
+  }
+
+  addCorners(detections, imageData, scale) {
+    // Corner search runs on the already-downscaled model input
+    const candidates = [...detections]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxCornerDetections);
+    
+    for (const detection of candidates) {
+      try {
+        const box = {
+          x: detection.box.x * scale.x,
+          y: detection.box.y * scale.y,
+          width: detection.box.width * scale.x,
+          height: detection.box.height * scale.y
+        };
+        const quad = findReceiptCorners(imageData, box);
+        
+        if (quad) {
+          detection.quad = quad.map(point => ({
+            x: Math.round(point.x / scale.x),
+            y: Math.round(point.y / scale.y)
+          }));
+        }
+      } catch (error) {
+        console.warn('Corner detection failed:', error.message);
+      }
+    }
+  }
+
+  // `scale` maps frame pixels onto the model input, per axis
+  formatResults(results, canvas, scale = { x: 1, y: 1 }) {
     if (!results || !Array.isArray(results)) return [];
     
     // Get canvas dimensions for scaling
@@ -292,7 +453,15 @@ export class Detector {
       // Ensure we have proper box coordinates
       let box;
       
-      if (result.box) {
+      if (result.box && result.box.xmax !== undefined) {
+        // transformers.js returns corner coordinates
+        box = {
+          x: result.box.xmin,
+          y: result.box.ymin,
+          width: result.box.xmax - result.box.xmin,
+          height: result.box.ymax - result.box.ymin
+        };
+      } else if (result.box) {
         box = result.box;
       } else if (result.bbox) {
         // Some models return bbox instead of box
@@ -309,30 +478,36 @@ export class Detector {
       }
       
       return {
-        label: result.label || 'object',
+        label: this.mapLabel(result.label) || 'object',
         score: result.score || 0,
         box: {
-          x: Math.round(box.x),
-          y: Math.round(box.y),
-          width: Math.round(box.width || box.w || 0),
-          height: Math.round(box.height || box.h || 0)
+          x: Math.round(box.x / scale.x),
+          y: Math.round(box.y / scale.y),
+          width: Math.round((box.width || box.w || 0) / scale.x),
+          height: Math.round((box.height || box.h || 0) / scale.y)
         }
       };
     });
   }
 
+  mapLabel(label) {
+    const labels = this.models[this.modelName]?.labels;
+    if (!labels || label === undefined) return label;
+    
+    // Accept both the model's own label names and class indices (LABEL_3 -> 3)
+    const index = /^LABEL_(\d+)$/.exec(label)?.[1];
+    return labels[label] ?? (index !== undefined ? labels[index] : undefined) ?? label;
+  }
+
   isReceiptCandidate(detection) {
     // Check if detection could be a receipt
-    const receiptLabels = [
-      'paper', 'document', 'receipt', 'invoice', 
-      'bill', 'ticket', 'card', 'note', 'letter'
-    ];
+    const receiptLabels = this.models[this.modelName]?.receiptLabels || DEFAULT_RECEIPT_LABELS;
     
     const label = detection.label?.toLowerCase() || '';
     
     // Check if label matches receipt-like objects
     const isLabelMatch = receiptLabels.some(receiptLabel => 
-      label.includes(receiptLabel)
+      label.includes(receiptLabel.toLowerCase())
     );
     
     // Check aspect ratio (receipts are usually taller than wide)
@@ -344,7 +519,10 @@ export class Detector {
     const minArea = 10000; // Minimum 100x100 pixels
     const isSizeValid = area > minArea;
     
-    return (isLabelMatch || detection.score > 0.8) && isSizeValid;
+    // Crops that passed the verifier count whatever the detector called them
+    const isVerified = typeof detection.receiptScore === 'number';
+    
+    return (isVerified || isLabelMatch || detection.score > 0.8) && isSizeValid;
   }
 
   async detectReceipts(source) {
@@ -356,6 +534,8 @@ export class Detector {
     // Clean up resources
     this.model = null;
     this.modelCache.clear();
+    this.verifier?.dispose();
+    this.verifier = null;
   }
 
   getModelInfo() {
@@ -0,0 +1,59 @@
+import { Detector } from './detector.js';
+
+// Runs the transformers.js pipeline off the main thread. Frames arrive as
+// transferred ImageBitmaps and only the formatted detections are sent back.
+const detector = new Detector({
+  onProgress: (progress) => {
+    self.postMessage({ type: 'progress', progress });
+  }
+});
+
+async function handleMessage({ type, payload = {} }) {
+  switch (type) {
+    case 'init':
+      await detector.init(payload.modelName);
+      return detector.getModelInfo();
+
+    case 'switchModel':
+      await detector.switchModel(payload.modelName);
+      return detector.getModelInfo();
+
+    case 'detect':
+      try {
+        return await detector.detect(payload.frame);
+      } finally {
+        payload.frame?.close?.();
+      }
+
+    case 'detectReceipts':
+      try {
+        return await detector.detectReceipts(payload.frame);
+      } finally {
+        payload.frame?.close?.();
+      }
+
+    case 'configureVerifier':
+      return detector.configureVerifier(payload.options);
+
+    case 'registerModel':
+      return detector.registerModel(payload.key, payload.config);
+
+    case 'dispose':
+      detector.dispose();
+      return null;
+
+    default:
+      throw new Error(`Unknown detector message: ${type}`);
+  }
+}
+
+self.addEventListener('message', async (event) => {
+  const { id } = event.data;
+
+  try {
+    const result = await handleMessage(event.data);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
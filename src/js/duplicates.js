@@ -0,0 +1,66 @@
+import { cropImageData, toGrayscale, perceptualHash, hammingDistance, boxIoU } from './image-utils.js';
+
+// Remembers recent captures so a receipt left under the camera is not saved
+// again every time the capture interval runs out. A new capture counts as a
+// duplicate when its perceptual hash is close to a recent one and the
+// receipt sits in roughly the same place.
+export class DuplicateFilter {
+  constructor(options = {}) {
+    this.similarity = options.similarity ?? 0.85; // Share of hash bits that must match
+    this.minOverlap = options.minOverlap ?? 0.5; // Box IoU with the earlier capture
+    this.maxAgeMs = options.maxAgeMs ?? 10 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 20;
+    this.recent = []; // { hash, box, id, time }
+  }
+
+  // Hash of the receipt inside a sampled frame, or null without pixels
+  hash(frame, box) {
+    if (!frame || !frame.data) return null;
+
+    const scale = frame.scale || 1;
+    const region = cropImageData(frame, {
+      x: box.x * scale,
+      y: box.y * scale,
+      width: box.width * scale,
+      height: box.height * scale
+    });
+
+    if (region.width < 8 || region.height < 8) return null;
+    return perceptualHash(toGrayscale(region), region.width, region.height);
+  }
+
+  // The most similar recent capture this one would duplicate, or null
+  findDuplicate(hash, box, now = Date.now()) {
+    this.prune(now);
+    if (!hash) return null;
+
+    let best = null;
+    for (const entry of this.recent) {
+      const similarity = 1 - hammingDistance(hash, entry.hash) / (hash.length * 4);
+      if (similarity < this.similarity || boxIoU(entry.box, box) < this.minOverlap) continue;
+
+      if (!best || similarity > best.similarity) {
+        best = { ...entry, similarity };
+      }
+    }
+
+    return best;
+  }
+
+  remember(hash, box, id = null, now = Date.now()) {
+    if (!hash) return;
+
+    this.recent.push({ hash, box: { ...box }, id, time: now });
+    if (this.recent.length > this.maxEntries) {
+      this.recent.shift();
+    }
+  }
+
+  prune(now = Date.now()) {
+    this.recent = this.recent.filter(entry => now - entry.time < this.maxAgeMs);
+  }
+
+  reset() {
+    this.recent = [];
+  }
+}
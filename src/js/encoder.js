@@ -0,0 +1,151 @@
+// Final encoding of saved receipt images: output format, a cap on the long
+// edge and an optional file-size budget, met by lowering the quality and,
+// if that is not enough, the resolution.
+
+export const OUTPUT_FORMATS = {
+  'image/jpeg': 'JPEG',
+  'image/webp': 'WebP',
+  'image/png': 'PNG'
+};
+
+const LOSSY_FORMATS = new Set(['image/jpeg', 'image/webp']);
+const QUALITY_STEPS = 6; // Bisection steps when searching for the budget
+const MAX_DOWNSCALES = 4;
+
+export class ImageEncoder {
+  constructor(options = {}) {
+    this.format = options.format ?? 'image/jpeg';
+    this.quality = options.quality ?? 0.92; // Used whenever the budget allows
+    this.minQuality = options.minQuality ?? 0.4; // Below this, shrink instead
+    this.maxDimension = options.maxDimension ?? 0; // Long edge in pixels; 0 keeps full size
+    this.maxBytes = options.maxBytes ?? 0; // File size budget; 0 is unlimited
+  }
+
+  // The settings as recorded with each receipt
+  getSettings() {
+    return {
+      format: this.format,
+      maxDimension: this.maxDimension,
+      maxBytes: this.maxBytes
+    };
+  }
+
+  // Bring an encoded image in line with the settings. Images that already
+  // comply are kept as they are rather than re-compressed. Resolves to
+  // { blob, output } where `output` describes the result for metadata.
+  async encode(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const { width, height } = bitmap;
+
+    if (blob.type === this.format && this.fitsDimension(width, height) && this.fitsBudget(blob.size)) {
+      bitmap.close?.();
+      return { blob, output: this.describe(blob, width, height, null) };
+    }
+
+    const canvas = this.resize(bitmap, this.getScale(width, height));
+    bitmap.close?.();
+    return this.encodeCanvas(canvas);
+  }
+
+  async encodeCanvas(canvas) {
+    let target = this.resize(canvas, this.getScale(canvas.width, canvas.height));
+    let result = await this.fitQuality(target);
+
+    for (let attempt = 0; attempt < MAX_DOWNSCALES && !this.fitsBudget(result.blob.size); attempt++) {
+      // Even the lowest quality is too big; file size goes roughly with area
+      const scale = Math.sqrt(this.maxBytes / result.blob.size) * 0.95;
+      target = this.resize(target, scale);
+      result = await this.fitQuality(target);
+    }
+
+    if (!this.fitsBudget(result.blob.size)) {
+      console.warn(`Could not encode within ${this.maxBytes} bytes, saving ${result.blob.size}`);
+    }
+
+    return { blob: result.blob, output: this.describe(result.blob, target.width, target.height, result.quality) };
+  }
+
+  // Highest quality that fits the budget, found by bisection. Lossless
+  // formats have no quality to trade.
+  async fitQuality(canvas) {
+    const lossy = LOSSY_FORMATS.has(this.format);
+    const best = { blob: await this.toBlob(canvas, this.quality), quality: lossy ? this.quality : null };
+    if (!lossy || this.fitsBudget(best.blob.size)) return best;
+
+    const lowest = await this.toBlob(canvas, this.minQuality);
+    if (!this.fitsBudget(lowest.size)) return { blob: lowest, quality: this.minQuality };
+
+    best.blob = lowest;
+    best.quality = this.minQuality;
+
+    let low = this.minQuality;
+    let high = this.quality;
+    for (let i = 0; i < QUALITY_STEPS; i++) {
+      const quality = (low + high) / 2;
+      const blob = await this.toBlob(canvas, quality);
+
+      if (this.fitsBudget(blob.size)) {
+        best.blob = blob;
+        best.quality = quality;
+        low = quality;
+      } else {
+        high = quality;
+      }
+    }
+
+    best.quality = Math.round(best.quality * 100) / 100;
+    return best;
+  }
+
+  toBlob(canvas, quality) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error(`Could not encode image as ${this.format}`));
+        } else if (blob.type && blob.type !== this.format) {
+          // Browsers without an encoder for the format silently return PNG
+          reject(new Error(`This browser cannot encode ${this.format}`));
+        } else {
+          resolve(blob);
+        }
+      }, this.format, quality);
+    });
+  }
+
+  fitsDimension(width, height) {
+    return !this.maxDimension || Math.max(width, height) <= this.maxDimension;
+  }
+
+  fitsBudget(size) {
+    return !this.maxBytes || size <= this.maxBytes;
+  }
+
+  getScale(width, height) {
+    return this.fitsDimension(width, height) ? 1 : this.maxDimension / Math.max(width, height);
+  }
+
+  // Canvas copy of `source` (canvas or ImageBitmap) scaled by `scale`
+  resize(source, scale) {
+    if (scale === 1 && source.toBlob) return source;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(source.width * scale));
+    canvas.height = Math.max(1, Math.round(source.height * scale));
+
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  describe(blob, width, height, quality) {
+    return {
+      ...this.getSettings(),
+      type: blob.type,
+      quality,
+      width,
+      height,
+      size: blob.size
+    };
+  }
+}
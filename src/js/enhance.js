@@ -0,0 +1,173 @@
+import { toGrayscale, boxBlur, histogram, percentile, windowSum } from './image-utils.js';
+
+// Document clean-up for saved receipts. Everything works in place on plain
+// RGBA { data, width, height } images so it runs the same in the
+// enhancement worker, on the main thread and under test.
+
+export const ENHANCEMENT_PRESETS = {
+  original: 'Original',
+  color: 'Auto Color',
+  grayscale: 'Grayscale',
+  scan: 'Black & White Scan'
+};
+
+const BACKGROUND_GRID = 48; // Cells along the long edge for the lighting estimate
+const PAPER_LEVEL = 240; // Brightness flattened paper ends up at
+
+export function enhanceImage(image, preset) {
+  switch (preset) {
+    case 'original':
+      return image;
+
+    case 'color':
+      whiteBalance(image);
+      flattenShadows(image);
+      return autoContrast(image);
+
+    case 'grayscale':
+      whiteBalance(image);
+      flattenShadows(image);
+      autoContrast(image);
+      return desaturate(image);
+
+    case 'scan':
+      flattenShadows(image);
+      return adaptiveThreshold(image);
+
+    default:
+      throw new Error(`Unknown enhancement preset: ${preset}`);
+  }
+}
+
+// Scale the channels so the brightest tenth of the image (the paper) comes
+// out neutral, removing the tint of warm or cool light
+export function whiteBalance(image) {
+  const { data } = image;
+  const gray = toGrayscale(image);
+  const cutoff = percentile(histogram(gray), gray.length, 0.9);
+
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let count = 0;
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    if (gray[i] >= cutoff) {
+      r += data[p];
+      g += data[p + 1];
+      b += data[p + 2];
+      count++;
+    }
+  }
+  if (count === 0 || r === 0 || g === 0 || b === 0) return image;
+
+  const neutral = (r + g + b) / 3;
+  const clampGain = (gain) => Math.min(1.6, Math.max(0.6, gain));
+  const gains = [clampGain(neutral / r), clampGain(neutral / g), clampGain(neutral / b)];
+
+  for (let p = 0; p < data.length; p += 4) {
+    data[p] *= gains[0];
+    data[p + 1] *= gains[1];
+    data[p + 2] *= gains[2];
+  }
+  return image;
+}
+
+// Divide out the slowly varying lighting (shadows, vignetting, gradients).
+// The lighting is the brightest value per coarse cell, so dark print does
+// not count, smoothed and interpolated back to full size.
+export function flattenShadows(image) {
+  const { data, width, height } = image;
+  const gray = toGrayscale(image);
+
+  const cell = Math.max(1, Math.ceil(Math.max(width, height) / BACKGROUND_GRID));
+  const gridWidth = Math.ceil(width / cell);
+  const gridHeight = Math.ceil(height / cell);
+  let grid = new Uint8ClampedArray(gridWidth * gridHeight);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / cell) * gridWidth;
+    for (let x = 0; x < width; x++) {
+      const index = row + Math.floor(x / cell);
+      if (gray[y * width + x] > grid[index]) grid[index] = gray[y * width + x];
+    }
+  }
+  grid = boxBlur(boxBlur(grid, gridWidth, gridHeight), gridWidth, gridHeight);
+
+  for (let y = 0; y < height; y++) {
+    const gy = Math.min(gridHeight - 1, Math.max(0, (y + 0.5) / cell - 0.5));
+    const y0 = Math.floor(gy);
+    const y1 = Math.min(gridHeight - 1, y0 + 1);
+    const fy = gy - y0;
+
+    for (let x = 0; x < width; x++) {
+      const gx = Math.min(gridWidth - 1, Math.max(0, (x + 0.5) / cell - 0.5));
+      const x0 = Math.floor(gx);
+      const x1 = Math.min(gridWidth - 1, x0 + 1);
+      const fx = gx - x0;
+
+      const background =
+        grid[y0 * gridWidth + x0] * (1 - fx) * (1 - fy) +
+        grid[y0 * gridWidth + x1] * fx * (1 - fy) +
+        grid[y1 * gridWidth + x0] * (1 - fx) * fy +
+        grid[y1 * gridWidth + x1] * fx * fy;
+      const gain = PAPER_LEVEL / Math.max(16, background);
+
+      const p = (y * width + x) * 4;
+      data[p] *= gain;
+      data[p + 1] *= gain;
+      data[p + 2] *= gain;
+    }
+  }
+  return image;
+}
+
+// Stretch brightness so the darkest 1% is black and the brightest 1% white;
+// all channels share one stretch so colours keep their hue
+export function autoContrast(image) {
+  const { data } = image;
+  const gray = toGrayscale(image);
+  const bins = histogram(gray);
+  const low = percentile(bins, gray.length, 0.01);
+  const high = percentile(bins, gray.length, 0.99);
+  if (high - low < 8) return image;
+
+  const scale = 255 / (high - low);
+  for (let p = 0; p < data.length; p += 4) {
+    data[p] = (data[p] - low) * scale;
+    data[p + 1] = (data[p + 1] - low) * scale;
+    data[p + 2] = (data[p + 2] - low) * scale;
+  }
+  return image;
+}
+
+export function desaturate(image) {
+  const { data } = image;
+  const gray = toGrayscale(image);
+
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    data[p] = data[p + 1] = data[p + 2] = gray[i];
+  }
+  return image;
+}
+
+// Bradley's adaptive threshold: ink is anything clearly darker than the
+// mean of its neighbourhood, which keeps faint thermal print legible
+export function adaptiveThreshold(image, options = {}) {
+  const { data, width, height } = image;
+  const sensitivity = options.sensitivity ?? 0.15;
+  const radius = options.radius ?? Math.max(7, Math.round(Math.min(width, height) / 32));
+  const gray = toGrayscale(image);
+  const sums = windowSum(gray, width, height, radius);
+
+  for (let y = 0; y < height; y++) {
+    const rows = Math.min(height, y + radius + 1) - Math.max(0, y - radius);
+    for (let x = 0; x < width; x++) {
+      const count = rows * (Math.min(width, x + radius + 1) - Math.max(0, x - radius));
+
+      const value = gray[y * width + x] * count < sums[y * width + x] * (1 - sensitivity) ? 0 : 255;
+      const p = (y * width + x) * 4;
+      data[p] = data[p + 1] = data[p + 2] = value;
+    }
+  }
+  return image;
+}
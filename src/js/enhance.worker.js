@@ -0,0 +1,30 @@
+import { enhanceImage } from './enhance.js';
+
+// Decodes, enhances and re-encodes captured images off the main thread.
+// Blobs go in and come out; pixels never cross threads.
+async function enhance({ blob, preset, type = 'image/jpeg', quality = 0.92 }) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  enhanceImage(imageData, preset);
+  ctx.putImageData(imageData, 0, 0);
+
+  return canvas.convertToBlob({ type, quality });
+}
+
+self.addEventListener('message', async (event) => {
+  const { id, type, payload } = event.data;
+
+  try {
+    if (type !== 'enhance') {
+      throw new Error(`Unknown enhancement message: ${type}`);
+    }
+    self.postMessage({ id, result: await enhance(payload) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,55 @@
+import { enhanceImage } from './enhance.js';
+import { WorkerClient } from './worker-client.js';
+
+// Main-thread handle on the enhancement worker. Browsers without
+// OffscreenCanvas in workers get the same pipeline on the main thread.
+export class ImageEnhancer {
+  constructor(options = {}) {
+    this.quality = options.quality ?? 0.92;
+    this.client = new WorkerClient(options.createWorker || (() => new Worker(
+      new URL('./enhance.worker.js', import.meta.url),
+      { type: 'module' }
+    )), {
+      name: 'Enhancement worker',
+      timeoutMs: options.timeoutMs ?? 60000 // Full-resolution photos take a while
+    });
+    this.useWorker = options.useWorker ?? ImageEnhancer.isSupported();
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined';
+  }
+
+  // Enhanced copy of `blob`; the 'original' preset returns it untouched
+  async enhance(blob, preset, type = 'image/jpeg') {
+    if (preset === 'original') return blob;
+
+    if (!this.useWorker) {
+      return this.enhanceOnMainThread(blob, preset, type);
+    }
+
+    return this.client.request('enhance', { blob, preset, type, quality: this.quality });
+  }
+
+  async enhanceOnMainThread(blob, preset, type) {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close?.();
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    enhanceImage(imageData, preset);
+    ctx.putImageData(imageData, 0, 0);
+
+    return new Promise((resolve) => canvas.toBlob(resolve, type, this.quality));
+  }
+
+  dispose() {
+    this.client.terminate(new Error('Enhancer disposed'));
+  }
+}
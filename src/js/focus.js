@@ -0,0 +1,153 @@
+// Focus and exposure points of interest: tap the preview to focus there,
+// or let the point follow the receipt being tracked. Points are kept in
+// video pixels, the same space the detection overlay draws in.
+
+const INDICATOR_MS = 1200; // How long the focus square stays on screen
+const INDICATOR_SIZE = 0.12; // Square side as a fraction of the short edge
+
+// Map a tap on an element showing the video with `object-fit: cover` to
+// video pixels; null when the tap lands on a cropped-away edge
+export function coverToVideo(clientX, clientY, rect, videoWidth, videoHeight) {
+  if (!rect.width || !rect.height || !videoWidth || !videoHeight) return null;
+
+  const scale = Math.max(rect.width / videoWidth, rect.height / videoHeight);
+  const offsetX = (rect.width - videoWidth * scale) / 2;
+  const offsetY = (rect.height - videoHeight * scale) / 2;
+
+  const x = (clientX - rect.left - offsetX) / scale;
+  const y = (clientY - rect.top - offsetY) / scale;
+  if (x < 0 || y < 0 || x > videoWidth || y > videoHeight) return null;
+
+  return { x, y };
+}
+
+export class FocusController {
+  constructor(camera, options = {}) {
+    this.camera = camera;
+    this.followEnabled = options.follow ?? true;
+    this.minShift = options.minShift ?? 0.08; // Centre movement, as a fraction of the frame, worth refocusing for
+    this.minIntervalMs = options.minIntervalMs ?? 500;
+    this.tapHoldMs = options.tapHoldMs ?? 4000; // A tapped point wins over following for this long
+    this.supported = false;
+    this.reset();
+  }
+
+  reset() {
+    this.point = null; // { x, y } in video pixels
+    this.frameSize = null;
+    this.source = null; // 'tap' or 'receipt'
+    this.setAt = 0;
+    this.pending = false;
+  }
+
+  // Check the current track; called again whenever the camera changes
+  async refresh() {
+    this.reset();
+    this.supported = await this.isSupported();
+    return this.supported;
+  }
+
+  // Browsers advertise the constraint; the track must also accept it
+  async isSupported() {
+    const supported = navigator.mediaDevices?.getSupportedConstraints?.() || {};
+    if (!supported.pointsOfInterest) return false;
+
+    const capabilities = await this.camera.getCapabilities() || {};
+    return 'pointsOfInterest' in capabilities ||
+      (capabilities.focusMode || []).length > 0 ||
+      (capabilities.exposureMode || []).length > 0;
+  }
+
+  async focusAt(point, frameSize, source = 'tap', now = Date.now()) {
+    if (!this.supported || this.pending || !frameSize?.width || !frameSize?.height) return false;
+
+    this.pending = true;
+    try {
+      await this.camera.setPointOfInterest({
+        x: Math.min(1, Math.max(0, point.x / frameSize.width)),
+        y: Math.min(1, Math.max(0, point.y / frameSize.height))
+      });
+      this.point = { x: point.x, y: point.y };
+      this.frameSize = { width: frameSize.width, height: frameSize.height };
+      this.source = source;
+      this.setAt = now;
+      return true;
+    } catch (error) {
+      console.warn('Could not set focus point:', error.message);
+      return false;
+    } finally {
+      this.pending = false;
+    }
+  }
+
+  // Keep the point on the centre of the tracked receipt, refocusing only
+  // once it has moved far enough and never on every frame
+  followReceipt(detection, frameSize, now = Date.now()) {
+    if (!detection?.box) {
+      // Receipt gone; the camera keeps its last point but the marker goes
+      if (this.source === 'receipt') {
+        this.point = null;
+        this.source = null;
+      }
+      return null;
+    }
+    if (!this.followEnabled || !frameSize?.width || !frameSize?.height) return null;
+    if (this.source === 'tap' && now - this.setAt < this.tapHoldMs) return null;
+    if (now - this.setAt < this.minIntervalMs) return null;
+
+    const { x, y, width, height } = detection.box;
+    const centre = { x: x + width / 2, y: y + height / 2 };
+
+    if (this.point && this.source === 'receipt') {
+      const shift = Math.hypot(
+        (centre.x - this.point.x) / frameSize.width,
+        (centre.y - this.point.y) / frameSize.height
+      );
+      if (shift < this.minShift) return null;
+    }
+
+    return this.focusAt(centre, frameSize, 'receipt', now);
+  }
+
+  setFollow(enabled) {
+    this.followEnabled = enabled;
+    if (!enabled && this.source === 'receipt') {
+      this.point = null;
+      this.source = null;
+    }
+  }
+
+  // Corner brackets around the point, fading out after a tap and kept
+  // faint while following a receipt
+  drawIndicator(ctx, now = Date.now()) {
+    if (!this.point || !this.frameSize) return;
+
+    const age = now - this.setAt;
+    let alpha;
+    if (this.source === 'tap') {
+      if (age > INDICATOR_MS) return;
+      alpha = 1 - age / INDICATOR_MS;
+    } else {
+      alpha = age < INDICATOR_MS ? 1 : 0.4;
+    }
+
+    const half = Math.min(this.frameSize.width, this.frameSize.height) * INDICATOR_SIZE / 2;
+    const arm = half / 2;
+    const { x, y } = this.point;
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = '#FFD60A';
+    ctx.lineWidth = Math.max(2, half / 12);
+    ctx.beginPath();
+    for (const [dx, dy] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+      const cx = x + dx * half;
+      const cy = y + dy * half;
+      ctx.moveTo(cx - dx * arm, cy);
+      ctx.lineTo(cx, cy);
+      ctx.lineTo(cx, cy - dy * arm);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+}
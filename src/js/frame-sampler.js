@@ -0,0 +1,36 @@
+// Grabs a downscaled copy of the current camera frame for pixel-level
+// quality checks (sharpness, exposure) on the main thread. One scratch
+// canvas is reused so sampling every detection stays cheap.
+export class FrameSampler {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize ?? 640;
+    this.canvas = null;
+    this.ctx = null;
+  }
+
+  sample(source) {
+    const frameWidth = source?.videoWidth || source?.width;
+    const frameHeight = source?.videoHeight || source?.height;
+    if (!frameWidth || !frameHeight) return null;
+
+    const scale = Math.min(1, this.maxSize / Math.max(frameWidth, frameHeight));
+    const width = Math.max(1, Math.round(frameWidth * scale));
+    const height = Math.max(1, Math.round(frameHeight * scale));
+
+    try {
+      if (!this.canvas) {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+      }
+      this.canvas.width = width;
+      this.canvas.height = height;
+      this.ctx.drawImage(source, 0, 0, width, height);
+
+      const imageData = this.ctx.getImageData(0, 0, width, height);
+      return { data: imageData.data, width, height, scale: width / frameWidth, frameWidth, frameHeight };
+    } catch (error) {
+      console.warn('Could not sample frame for quality checks:', error.message);
+      return null;
+    }
+  }
+}
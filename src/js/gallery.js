@@ -1,6 +1,7 @@
 export class GalleryManager {
-  constructor(storageManager) {
+  constructor(storageManager, encoder = null) {
     this.storage = storageManager;
+    this.encoder = encoder; // Output settings for bulk re-encoding
     this.selectedReceipts = new Set();
     this.receipts = [];
     this.currentViewIndex = 0;
@@ -126,18 +127,23 @@ export class GalleryManager {
     const count = this.selectedReceipts.size;
     const exportBtn = document.getElementById('export-selected-btn');
     const deleteBtn = document.getElementById('delete-selected-btn');
+    const reencodeBtn = document.getElementById('reencode-selected-btn');
     const selectAllBtn = document.getElementById('select-all-btn');
     
     if (count > 0) {
       exportBtn.disabled = false;
       deleteBtn.disabled = false;
+      reencodeBtn.disabled = false;
       exportBtn.textContent = `Export (${count})`;
       deleteBtn.textContent = `Delete (${count})`;
+      reencodeBtn.textContent = `Re-encode (${count})`;
     } else {
       exportBtn.disabled = true;
       deleteBtn.disabled = true;
+      reencodeBtn.disabled = true;
       exportBtn.textContent = 'Export Selected';
       deleteBtn.textContent = 'Delete Selected';
+      reencodeBtn.textContent = 'Re-encode Selected';
     }
     
     // Update select all button
@@ -182,7 +188,7 @@ export class GalleryManager {
       const receipt = receipts[0];
       const blob = this.storage.base64ToBlob(receipt.image);
       const date = new Date(receipt.timestamp);
-      const filename = `receipt_${date.getFullYear()}${(date.getMonth() + 1).toString().padStart(2, '0')}${date.getDate().toString().padStart(2, '0')}_${date.getHours().toString().padStart(2, '0')}${date.getMinutes().toString().padStart(2, '0')}.jpg`;
+      const filename = `receipt_${date.getFullYear()}${(date.getMonth() + 1).toString().padStart(2, '0')}${date.getDate().toString().padStart(2, '0')}_${date.getHours().toString().padStart(2, '0')}${date.getMinutes().toString().padStart(2, '0')}.${this.getExtension(receipt.type)}`;
       
       this.downloadBlob(blob, filename);
       
@@ -195,7 +201,7 @@ export class GalleryManager {
       receipts.forEach((receipt, index) => {
         const blob = this.storage.base64ToBlob(receipt.image);
         const date = new Date(receipt.timestamp);
-        const filename = `receipt_${index + 1}_${date.getFullYear()}${(date.getMonth() + 1).toString().padStart(2, '0')}${date.getDate().toString().padStart(2, '0')}.jpg`;
+        const filename = `receipt_${index + 1}_${date.getFullYear()}${(date.getMonth() + 1).toString().padStart(2, '0')}${date.getDate().toString().padStart(2, '0')}.${this.getExtension(receipt.type)}`;
         
         const link = document.createElement('a');
         link.href = URL.createObjectURL(blob);
@@ -216,6 +222,10 @@ export class GalleryManager {
     }
   }
 
+  getExtension(type) {
+    return { 'image/png': 'png', 'image/webp': 'webp' }[type] || 'jpg';
+  }
+
   downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
@@ -258,6 +268,47 @@ export class GalleryManager {
     }
   }
 
+  // Re-encode the selected receipts with the current output settings, e.g.
+  // to shrink a library captured before a size budget was set
+  async reencodeSelected() {
+    if (this.selectedReceipts.size === 0 || !this.encoder) return;
+    
+    const confirmed = await this.showConfirm(
+      `Re-encode ${this.selectedReceipts.size} receipts with the current output settings? This cannot be undone.`,
+      'Re-encode'
+    );
+    if (!confirmed) return;
+    
+    const receiptIds = Array.from(this.selectedReceipts);
+    let saved = 0;
+    let failed = 0;
+    
+    for (const id of receiptIds) {
+      try {
+        const receipt = await this.storage.getReceipt(id);
+        if (!receipt) continue;
+        
+        const before = receipt.size;
+        const { blob, output } = await this.encoder.encode(this.storage.base64ToBlob(receipt.image));
+        await this.storage.replaceImage(id, blob, { output });
+        saved += Math.max(0, before - blob.size);
+      } catch (error) {
+        console.error(`Re-encoding receipt ${id} failed:`, error);
+        failed++;
+      }
+    }
+    
+    await this.loadReceipts();
+    this.selectedReceipts.clear();
+    this.updateSelectionUI();
+    
+    if (failed > 0) {
+      this.showError(`Could not re-encode ${failed} of ${receiptIds.length} receipts`);
+    } else {
+      this.showSuccess(`Re-encoded ${receiptIds.length} receipts, saved ${Math.round(saved / 1024)} KB`);
+    }
+  }
+
   viewReceipt(receiptId) {
     const receipt = this.receipts.find(r => r.id == receiptId);
     if (!receipt) return;
@@ -381,7 +432,7 @@ export class GalleryManager {
     }, 5000);
   }
 
-  async showConfirm(message) {
+  async showConfirm(message, confirmLabel = 'Delete') {
     return new Promise((resolve) => {
       const dialog = document.createElement('div');
       dialog.className = 'confirm-dialog';
@@ -391,7 +442,7 @@ export class GalleryManager {
           <p>${message}</p>
           <div class="dialog-buttons">
             <button class="btn-cancel">Cancel</button>
-            <button class="btn-confirm danger">Delete</button>
+            <button class="btn-confirm danger">${confirmLabel}</button>
           </div>
         </div>
       `;
@@ -0,0 +1,455 @@
+// Small pixel-processing helpers shared by the vision stages. They work on
+// plain { data, width, height } objects so they run the same on the main
+// thread, in the detector worker and under test without a real canvas.
+
+// Intersection over union of two { x, y, width, height } boxes
+export function boxIoU(a, b) {
+  const ix = Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x));
+  const iy = Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+  const intersection = ix * iy;
+  const union = a.width * a.height + b.width * b.height - intersection;
+
+  return union > 0 ? intersection / union : 0;
+}
+
+export function cropImageData(imageData, rect) {
+  const x0 = Math.max(0, Math.floor(rect.x));
+  const y0 = Math.max(0, Math.floor(rect.y));
+  const x1 = Math.min(imageData.width, Math.ceil(rect.x + rect.width));
+  const y1 = Math.min(imageData.height, Math.ceil(rect.y + rect.height));
+  const width = Math.max(0, x1 - x0);
+  const height = Math.max(0, y1 - y0);
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const sourceStart = ((y + y0) * imageData.width + x0) * 4;
+    data.set(imageData.data.subarray(sourceStart, sourceStart + width * 4), y * width * 4);
+  }
+
+  return { data, width, height, x: x0, y: y0 };
+}
+
+export function toGrayscale(imageData) {
+  const { data, width, height } = imageData;
+  const gray = new Uint8ClampedArray(width * height);
+
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    // Rec. 601 luma
+    gray[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+  }
+
+  return gray;
+}
+
+// Box-average downscale so the longest edge is at most maxSize
+export function downscaleGray(gray, width, height, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  if (scale === 1) {
+    return { gray, width, height, scale };
+  }
+
+  const outWidth = Math.max(1, Math.round(width * scale));
+  const outHeight = Math.max(1, Math.round(height * scale));
+  const out = new Uint8ClampedArray(outWidth * outHeight);
+
+  for (let y = 0; y < outHeight; y++) {
+    const sy0 = Math.floor(y / scale);
+    const sy1 = Math.min(height, Math.max(sy0 + 1, Math.floor((y + 1) / scale)));
+    for (let x = 0; x < outWidth; x++) {
+      const sx0 = Math.floor(x / scale);
+      const sx1 = Math.min(width, Math.max(sx0 + 1, Math.floor((x + 1) / scale)));
+      let sum = 0;
+      for (let sy = sy0; sy < sy1; sy++) {
+        for (let sx = sx0; sx < sx1; sx++) {
+          sum += gray[sy * width + sx];
+        }
+      }
+      out[y * outWidth + x] = sum / ((sy1 - sy0) * (sx1 - sx0));
+    }
+  }
+
+  return { gray: out, width: outWidth, height: outHeight, scale: outWidth / width };
+}
+
+export function boxBlur(gray, width, height) {
+  const out = new Uint8ClampedArray(gray.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        const yy = y + dy;
+        if (yy < 0 || yy >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const xx = x + dx;
+          if (xx < 0 || xx >= width) continue;
+          sum += gray[yy * width + xx];
+          count++;
+        }
+      }
+      out[y * width + x] = sum / count;
+    }
+  }
+
+  return out;
+}
+
+// Sum over a (2r+1)^2 window around each pixel, clipped at the edges,
+// via an integral image
+export function windowSum(values, width, height, radius) {
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += values[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + row;
+    }
+  }
+
+  const out = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius);
+    const y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius);
+      const x1 = Math.min(width, x + radius + 1);
+      out[y * width + x] = integral[y1 * stride + x1] - integral[y0 * stride + x1]
+        - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+    }
+  }
+  return out;
+}
+
+export function histogram(gray) {
+  const bins = new Uint32Array(256);
+  for (let i = 0; i < gray.length; i++) {
+    bins[gray[i]]++;
+  }
+  return bins;
+}
+
+// Otsu's method: the threshold that best separates two brightness classes
+export function otsuThreshold(gray) {
+  const bins = histogram(gray);
+  const total = gray.length;
+
+  let sumAll = 0;
+  for (let i = 0; i < 256; i++) sumAll += i * bins[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = -1;
+  let threshold = 127;
+
+  for (let t = 0; t < 256; t++) {
+    weightBackground += bins[t];
+    if (weightBackground === 0) continue;
+
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * bins[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = t;
+    }
+  }
+
+  return threshold;
+}
+
+// 4-connected regions of non-zero mask pixels, each as a list of pixel indices
+export function labelComponents(mask, width, height) {
+  const labels = new Int32Array(mask.length);
+  const stack = new Int32Array(mask.length);
+  const components = [];
+  let nextLabel = 1;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    const label = nextLabel++;
+    const pixels = [];
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = label;
+
+    while (top > 0) {
+      const index = stack[--top];
+      pixels.push(index);
+      const x = index % width;
+      const y = (index - x) / width;
+
+      if (x > 0 && mask[index - 1] && !labels[index - 1]) { labels[index - 1] = label; stack[top++] = index - 1; }
+      if (x < width - 1 && mask[index + 1] && !labels[index + 1]) { labels[index + 1] = label; stack[top++] = index + 1; }
+      if (y > 0 && mask[index - width] && !labels[index - width]) { labels[index - width] = label; stack[top++] = index - width; }
+      if (y < height - 1 && mask[index + width] && !labels[index + width]) { labels[index + width] = label; stack[top++] = index + width; }
+    }
+
+    components.push({ label, size: pixels.length, pixels });
+  }
+
+  return components;
+}
+
+export function largestComponent(mask, width, height) {
+  let best = { label: 0, size: 0, pixels: null };
+  for (const component of labelComponents(mask, width, height)) {
+    if (component.size > best.size) best = component;
+  }
+  return best;
+}
+
+// Monotone chain convex hull, counter-clockwise in image coordinates
+export function convexHull(points) {
+  if (points.length < 3) return [...points];
+
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+  const lower = [];
+  for (const point of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+      lower.pop();
+    }
+    lower.push(point);
+  }
+
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const point = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+      upper.pop();
+    }
+    upper.push(point);
+  }
+
+  upper.pop();
+  lower.pop();
+  return lower.concat(upper);
+}
+
+export function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+// Order four corners as top-left, top-right, bottom-right, bottom-left
+export function orderCorners(points) {
+  const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+
+  const byAngle = [...points].sort((a, b) =>
+    Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx)
+  );
+
+  // Start from the corner closest to the image origin
+  let start = 0;
+  for (let i = 1; i < byAngle.length; i++) {
+    if (byAngle[i].x + byAngle[i].y < byAngle[start].x + byAngle[start].y) {
+      start = i;
+    }
+  }
+
+  return byAngle.slice(start).concat(byAngle.slice(0, start));
+}
+
+// Pixels of the region that touch the background (or the crop edge)
+export function boundaryPoints(pixels, mask, width, height) {
+  const points = [];
+
+  for (const index of pixels) {
+    const x = index % width;
+    const y = (index - x) / width;
+    const isEdge = x === 0 || y === 0 || x === width - 1 || y === height - 1 ||
+      !mask[index - 1] || !mask[index + 1] || !mask[index - width] || !mask[index + width];
+
+    if (isEdge) {
+      points.push({ x, y });
+    }
+  }
+
+  return points;
+}
+
+export function simplifyHull(hull, maxPoints) {
+  if (hull.length <= maxPoints) return hull;
+
+  const step = hull.length / maxPoints;
+  const simplified = [];
+  for (let i = 0; i < maxPoints; i++) {
+    simplified.push(hull[Math.floor(i * step)]);
+  }
+  return simplified;
+}
+
+// Largest-area quadrilateral with vertices on the hull, O(n^3)
+export function largestQuadrilateral(hull) {
+  const n = hull.length;
+  if (n < 4) return null;
+
+  const triangleArea = (a, b, c) =>
+    Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+
+  let best = null;
+  let bestArea = 0;
+
+  for (let i = 0; i < n; i++) {
+    for (let k = i + 2; k < n; k++) {
+      // Best vertex on each side of the diagonal i-k
+      let left = -1;
+      let leftArea = 0;
+      for (let j = i + 1; j < k; j++) {
+        const area = triangleArea(hull[i], hull[j], hull[k]);
+        if (area > leftArea) {
+          leftArea = area;
+          left = j;
+        }
+      }
+
+      let right = -1;
+      let rightArea = 0;
+      for (let l = k + 1; l < n + i; l++) {
+        const area = triangleArea(hull[i], hull[k], hull[l % n]);
+        if (area > rightArea) {
+          rightArea = area;
+          right = l % n;
+        }
+      }
+
+      if (left >= 0 && right >= 0 && leftArea + rightArea > bestArea) {
+        bestArea = leftArea + rightArea;
+        best = [hull[i], hull[left], hull[k], hull[right]];
+      }
+    }
+  }
+
+  return best;
+}
+
+// Variance of the 4-neighbour Laplacian, a standard focus measure: sharp
+// edges give large second derivatives, blur flattens them
+export function laplacianVariance(gray, width, height) {
+  if (width < 3 || height < 3) return 0;
+
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+// Smallest value with at least fraction `p` of the histogram at or below it
+export function percentile(bins, total, p) {
+  const target = total * p;
+  let count = 0;
+  for (let value = 0; value < 256; value++) {
+    count += bins[value];
+    if (count >= target) return value;
+  }
+  return 255;
+}
+
+// Area-average resample to an exact size (aspect ratio is not kept)
+export function resizeGray(gray, width, height, outWidth, outHeight) {
+  const out = new Float32Array(outWidth * outHeight);
+
+  for (let y = 0; y < outHeight; y++) {
+    const sy0 = Math.floor((y * height) / outHeight);
+    const sy1 = Math.max(sy0 + 1, Math.floor(((y + 1) * height) / outHeight));
+    for (let x = 0; x < outWidth; x++) {
+      const sx0 = Math.floor((x * width) / outWidth);
+      const sx1 = Math.max(sx0 + 1, Math.floor(((x + 1) * width) / outWidth));
+      let sum = 0;
+      for (let sy = sy0; sy < sy1; sy++) {
+        for (let sx = sx0; sx < sx1; sx++) {
+          sum += gray[sy * width + sx];
+        }
+      }
+      out[y * outWidth + x] = sum / ((sy1 - sy0) * (sx1 - sx0));
+    }
+  }
+
+  return out;
+}
+
+const HASH_SIZE = 32;
+const HASH_BITS = 8; // Per side, from the low-frequency corner of the DCT
+
+// 64-bit perceptual hash (pHash) as a hex string: the sign of the lowest
+// DCT frequencies against their median. Survives noise, small shifts and
+// exposure changes, but not a different document.
+export function perceptualHash(gray, width, height) {
+  const pixels = resizeGray(gray, width, height, HASH_SIZE, HASH_SIZE);
+
+  const cos = new Float32Array(HASH_BITS * HASH_SIZE);
+  for (let u = 0; u < HASH_BITS; u++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      cos[u * HASH_SIZE + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE));
+    }
+  }
+
+  const coefficients = new Float32Array(HASH_BITS * HASH_BITS);
+  for (let v = 0; v < HASH_BITS; v++) {
+    for (let u = 0; u < HASH_BITS; u++) {
+      let sum = 0;
+      for (let y = 0; y < HASH_SIZE; y++) {
+        const cy = cos[v * HASH_SIZE + y];
+        for (let x = 0; x < HASH_SIZE; x++) {
+          sum += pixels[y * HASH_SIZE + x] * cos[u * HASH_SIZE + x] * cy;
+        }
+      }
+      coefficients[v * HASH_BITS + u] = sum;
+    }
+  }
+
+  // The DC term is overall brightness; leave it out of the median
+  const sorted = Array.from(coefficients.subarray(1)).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+
+  let hash = '';
+  for (let i = 0; i < coefficients.length; i += 4) {
+    let nibble = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+    }
+    hash += nibble.toString(16);
+  }
+
+  return hash;
+}
+
+// Number of differing bits between two hex hashes of equal length
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
@@ -0,0 +1,94 @@
+import { cropImageData, toGrayscale, downscaleGray } from './image-utils.js';
+import { registerImages, stitchSegments } from './stitcher.js';
+
+// One long-receipt capture: the receipt slides through a fixed column of
+// the frame and a new segment is grabbed each time it has moved far enough
+// that the segments still overlap. Sampled frames are registered against
+// the last segment to track the slide; full-resolution segments are
+// stitched at the end.
+export class LongReceiptSession {
+  constructor(options = {}) {
+    this.column = options.column; // { x, width } in frame pixels
+    this.minAdvance = options.minAdvance ?? 0.4; // Of the column height before the next segment
+    this.maxSegments = options.maxSegments ?? 12;
+    this.analysisSize = options.analysisSize ?? 240;
+    this.segments = []; // { image, analysis, position }
+  }
+
+  get count() {
+    return this.segments.length;
+  }
+
+  get isFull() {
+    return this.segments.length >= this.maxSegments;
+  }
+
+  // Downscaled gray copy of the column in a sampled frame
+  analyze(frame) {
+    const scale = frame.scale || 1;
+    const region = cropImageData(frame, {
+      x: this.column.x * scale,
+      y: 0,
+      width: this.column.width * scale,
+      height: frame.height
+    });
+
+    const small = downscaleGray(toGrayscale(region), region.width, region.height, this.analysisSize);
+    return { gray: small.gray, width: small.width, height: small.height, scale: scale * small.scale };
+  }
+
+  // Decide whether the frame should become the next segment. Returns
+  // { capture, offset, lost }; `lost` means it no longer overlaps the last
+  // segment and the user should slide back. A smaller `minAdvance` picks up
+  // the tail end when finishing.
+  update(frame, options = {}) {
+    const minAdvance = options.minAdvance ?? this.minAdvance;
+
+    if (!frame || !frame.data) return { capture: false, offset: null, lost: false };
+
+    const analysis = this.analyze(frame);
+    const last = this.segments[this.segments.length - 1];
+    if (!last) return { capture: true, offset: null, lost: false, analysis };
+
+    if (last.analysis.width !== analysis.width || last.analysis.height !== analysis.height) {
+      return { capture: false, offset: null, lost: true };
+    }
+
+    const offset = registerImages(last.analysis.gray, analysis.gray, analysis.width, analysis.height);
+    if (!offset) return { capture: false, offset: null, lost: true };
+
+    const advance = Math.abs(offset.dy) / analysis.height;
+    return { capture: advance >= minAdvance, offset, lost: false, analysis };
+  }
+
+  // `image` is the column at full resolution; `decision` is what update()
+  // returned for the same frame
+  addSegment(image, decision) {
+    const last = this.segments[this.segments.length - 1];
+    let position = { x: 0, y: 0 };
+
+    if (last) {
+      // Registration ran on the analysis copy; scale back to full resolution
+      const scale = decision.analysis.scale;
+      position = {
+        x: last.position.x + decision.offset.dx / scale,
+        y: last.position.y + decision.offset.dy / scale
+      };
+    }
+
+    this.segments.push({ image, analysis: decision.analysis, position });
+    return position;
+  }
+
+  // The stitched receipt as { data, width, height }
+  stitch() {
+    if (this.segments.length === 0) {
+      throw new Error('No segments to stitch');
+    }
+
+    return stitchSegments(
+      this.segments.map(segment => segment.image),
+      this.segments.map(segment => segment.position)
+    );
+  }
+}
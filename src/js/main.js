@@ -1,18 +1,47 @@
-import { CameraManager } from './camera.js';
+import { CameraManager, RESOLUTION_PRESETS } from './camera.js';
+import { CameraLifecycle } from './camera-lifecycle.js';
 import { Detector } from './detector.js';
-import { CaptureManager } from './capture.js';
+import { WorkerDetector } from './worker-detector.js';
+import { CaptureManager, analyzeLighting } from './capture.js';
+import { Tracker } from './tracker.js';
+import { FrameSampler } from './frame-sampler.js';
+import { LongReceiptSession } from './long-receipt.js';
+import { CapturePipeline } from './capture-pipeline.js';
+import { ENHANCEMENT_PRESETS } from './enhance.js';
+import { ImageEncoder, OUTPUT_FORMATS } from './encoder.js';
+import { CameraControls } from './camera-controls.js';
+import { FocusController, coverToVideo } from './focus.js';
+import { DetectionScheduler } from './scheduler.js';
 import { StorageManager } from './storage.js';
 import { UIManager } from './ui.js';
 import { GalleryManager } from './gallery.js';
+import { FALLBACK_MODEL } from './models.js';
+
+const SETTINGS_KEY = 'receipt-scanner-settings';
+
+// On-screen hints for quality components that block auto-capture
+const QUALITY_HINTS = {
+  blur: 'Image is blurry - hold still',
+  highlights: 'Too bright - move out of direct light',
+  glare: 'Glare on receipt - tilt the phone or move the light',
+  exposure: 'Too dark - add more light',
+  shadow: 'Shadow across receipt - move your hand or phone'
+};
 
 class ReceiptScanner {
   constructor() {
     this.camera = new CameraManager();
-    this.detector = new Detector();
-    this.capture = new CaptureManager();
+    this.lifecycle = new CameraLifecycle(this.camera, {
+      onStateChange: (state, detail) => this.handleCameraState(state, detail)
+    });
+    this.encoder = new ImageEncoder();
+    this.cameraControls = new CameraControls(this.camera);
+    this.focus = new FocusController(this.camera);
+    // Run inference off the main thread where the browser allows it
+    this.detector = WorkerDetector.isSupported() ? new WorkerDetector() : new Detector();
     this.storage = new StorageManager();
     this.ui = new UIManager();
-    this.gallery = new GalleryManager(this.storage);
+    this.gallery = new GalleryManager(this.storage, this.encoder);
     
     this.isAutoMode = true;
     this.settings = {
@@ -20,10 +49,57 @@ class ReceiptScanner {
       stabilityFrames: 5,
       soundEnabled: true,
       vibrationEnabled: true,
-      model: 'yolos-tiny'
+      model: 'yolos-tiny',
+      cropEnabled: true,
+      highResCapture: true, // Full-resolution stills where the camera supports them
+      cropPadding: 0.02,
+      verifyReceipts: false,
+      receiptProbability: 0.6,
+      detectionRate: 5, // Detections per second budget
+      minSharpness: 0.35,
+      burstFrames: 1, // Frames per capture to pick the best from; 1 is a single shot
+      duplicateSimilarity: 0.85, // Hash similarity at which a capture repeats a recent one
+      enhancement: 'original', // Clean-up preset applied to saved images
+      outputFormat: 'image/jpeg',
+      maxDimension: 0, // Long edge of saved images in pixels; 0 keeps full size
+      maxFileSizeKb: 0, // Size budget per saved image; 0 is unlimited
+      cameraId: null, // deviceId of the camera picked in settings; null for the default
+      resolution: 'balanced', // Preview resolution tradeoff: speed, balanced or detail
+      autoTorch: true, // Torch comes on by itself in dim light where supported
+      focusOnReceipt: true, // Focus and exposure follow the tracked receipt where supported
+      reviewCaptures: false, // Accept or retake each shot before it is saved
+      reviewSkipQuality: 1, // Auto captures scoring at least this skip review; 1 never skips
+      customModels: {},
+      ...this.loadSettings()
     };
     
+    this.camera.useStillCapture = this.settings.highResCapture;
+    this.camera.deviceId = this.settings.cameraId;
+    this.camera.resolution = this.settings.resolution;
+    this.cameraControls.autoTorchEnabled = this.settings.autoTorch;
+    this.focus.followEnabled = this.settings.focusOnReceipt;
+    this.applyOutputSettings();
+    
+    // Each tracked receipt gets its own stability and quality state
+    this.tracker = new Tracker({
+      createState: () => new CaptureManager({ minSharpness: this.settings.minSharpness })
+    });
+    this.frameSampler = new FrameSampler();
+    this.capturePipeline = new CapturePipeline(this.camera, this.storage, {
+      ui: this.ui,
+      encoder: this.encoder,
+      sampler: this.frameSampler,
+      settings: this.settings,
+      getTrack: (id) => this.tracker.getTrack(id),
+      onSaved: () => this.captureSaved()
+    });
+    this.longReceipt = null; // Active long-receipt session, if any
+    
     this.detectionLoop = null;
+    this.videoFrameLoop = null;
+    this.videoFrameSource = null;
+    this.scheduler = new DetectionScheduler({ targetDps: this.settings.detectionRate });
+    this.currentDetections = [];
     this.lastDetection = null;
     this.errorCount = 0;
     this.lastErrorTime = 0;
@@ -43,15 +119,26 @@ class ReceiptScanner {
       await this.storage.init();
       
       // Initialize camera
-      const stream = await this.camera.init();
+      const stream = await this.lifecycle.start();
       await this.ui.setVideoStream(stream);
+      await this.refreshCameraList();
+      await this.initCameraControls();
       
       // Initialize detector with selected model
       this.ui.showLoading('Loading AI model...');
-      await this.detector.init(this.settings.model);
+      await this.restoreCustomModels();
+      this.ui.renderModelOptions(this.detector.models, this.settings.model);
+      await this.loadModel(this.settings.model);
+      
+      if (this.settings.verifyReceipts) {
+        this.ui.showLoading('Loading verification model...');
+        await this.configureVerifier();
+      }
       
       // Setup event listeners
       this.setupEventListeners();
+      this.applySettingsToControls();
+      await this.lifecycle.attach();
       
       // Initialize gallery
       await this.gallery.init();
@@ -62,7 +149,11 @@ class ReceiptScanner {
       this.startDetection();
       
       // Update status
-      this.ui.updateStatus('Ready', 'success');
+      if (this.camera.deviceUnavailable) {
+        this.ui.updateStatus('Selected camera not found - using the default camera', 'warning');
+      } else if (!this.isUsingFallback()) {
+        this.reportResolution('Ready');
+      }
       
     } catch (error) {
       console.error('Initialization error:', error);
@@ -73,7 +164,11 @@ class ReceiptScanner {
   setupEventListeners() {
     // Manual capture button
     document.getElementById('manual-capture-btn').addEventListener('click', () => {
-      this.manualCapture();
+      if (this.longReceipt) {
+        this.finishLongReceipt();
+      } else {
+        this.manualCapture();
+      }
     });
     
     // Mode toggle
@@ -81,6 +176,15 @@ class ReceiptScanner {
       this.toggleMode();
     });
     
+    // Long receipt mode: start, or cancel a capture in progress
+    document.getElementById('long-receipt-btn').addEventListener('click', () => {
+      if (this.longReceipt) {
+        this.cancelLongReceipt();
+      } else {
+        this.startLongReceipt();
+      }
+    });
+    
     // Settings panel
     document.getElementById('settings-btn').addEventListener('click', () => {
       this.ui.showSettings();
@@ -103,23 +207,171 @@ class ReceiptScanner {
     document.getElementById('confidence-threshold').addEventListener('input', (e) => {
       this.settings.confidenceThreshold = parseFloat(e.target.value);
       document.getElementById('confidence-value').textContent = `${Math.round(this.settings.confidenceThreshold * 100)}%`;
+      this.saveSettings();
     });
     
     document.getElementById('stability-frames').addEventListener('input', (e) => {
       this.settings.stabilityFrames = parseInt(e.target.value);
       document.getElementById('stability-value').textContent = e.target.value;
+      this.saveSettings();
+    });
+    
+    document.getElementById('detection-rate').addEventListener('input', (e) => {
+      this.settings.detectionRate = parseInt(e.target.value);
+      this.scheduler.setTargetDps(this.settings.detectionRate);
+      document.getElementById('detection-rate-value').textContent = `${e.target.value}/s`;
+      this.saveSettings();
+    });
+    
+    document.getElementById('min-sharpness').addEventListener('input', (e) => {
+      this.settings.minSharpness = parseFloat(e.target.value);
+      document.getElementById('min-sharpness-value').textContent = `${Math.round(this.settings.minSharpness * 100)}%`;
+      for (const track of this.tracker.getTracks()) {
+        track.capture.minSharpness = this.settings.minSharpness;
+      }
+      this.saveSettings();
+    });
+    
+    document.getElementById('burst-frames').addEventListener('input', (e) => {
+      this.settings.burstFrames = parseInt(e.target.value);
+      this.capturePipeline.burst.frames = this.settings.burstFrames;
+      document.getElementById('burst-frames-value').textContent = this.formatBurstFrames(this.settings.burstFrames);
+      this.saveSettings();
+    });
+    
+    document.getElementById('duplicate-similarity').addEventListener('input', (e) => {
+      this.settings.duplicateSimilarity = parseFloat(e.target.value);
+      this.capturePipeline.duplicates.similarity = this.settings.duplicateSimilarity;
+      document.getElementById('duplicate-similarity-value').textContent = `${Math.round(this.settings.duplicateSimilarity * 100)}%`;
+      this.saveSettings();
+    });
+    
+    document.getElementById('enhancement-preset').addEventListener('change', (e) => {
+      this.settings.enhancement = e.target.value;
+      this.saveSettings();
+    });
+    
+    document.getElementById('output-format').addEventListener('change', (e) => {
+      this.settings.outputFormat = e.target.value;
+      this.applyOutputSettings();
+      this.saveSettings();
+    });
+    
+    document.getElementById('max-dimension').addEventListener('input', (e) => {
+      this.settings.maxDimension = parseInt(e.target.value);
+      this.applyOutputSettings();
+      document.getElementById('max-dimension-value').textContent = this.formatMaxDimension(this.settings.maxDimension);
+      this.saveSettings();
+    });
+    
+    document.getElementById('max-file-size').addEventListener('input', (e) => {
+      this.settings.maxFileSizeKb = parseInt(e.target.value);
+      this.applyOutputSettings();
+      document.getElementById('max-file-size-value').textContent = this.formatFileSize(this.settings.maxFileSizeKb);
+      this.saveSettings();
+    });
+    
+    document.getElementById('review-captures').addEventListener('change', (e) => {
+      this.settings.reviewCaptures = e.target.checked;
+      this.saveSettings();
+    });
+    
+    document.getElementById('review-skip-quality').addEventListener('input', (e) => {
+      this.settings.reviewSkipQuality = parseFloat(e.target.value);
+      document.getElementById('review-skip-quality-value').textContent = this.formatReviewSkip(this.settings.reviewSkipQuality);
+      this.saveSettings();
     });
     
     document.getElementById('sound-enabled').addEventListener('change', (e) => {
       this.settings.soundEnabled = e.target.checked;
+      this.saveSettings();
     });
     
     document.getElementById('vibration-enabled').addEventListener('change', (e) => {
       this.settings.vibrationEnabled = e.target.checked;
+      this.saveSettings();
+    });
+    
+    document.getElementById('crop-enabled').addEventListener('change', (e) => {
+      this.settings.cropEnabled = e.target.checked;
+      this.saveSettings();
+    });
+    
+    document.getElementById('high-res-capture').addEventListener('change', (e) => {
+      this.settings.highResCapture = e.target.checked;
+      this.camera.useStillCapture = e.target.checked;
+      this.saveSettings();
+    });
+    
+    document.getElementById('crop-padding').addEventListener('input', (e) => {
+      this.settings.cropPadding = parseFloat(e.target.value);
+      document.getElementById('crop-padding-value').textContent = `${Math.round(this.settings.cropPadding * 100)}%`;
+      this.saveSettings();
+    });
+    
+    document.getElementById('verify-receipts').addEventListener('change', async (e) => {
+      this.settings.verifyReceipts = e.target.checked;
+      this.saveSettings();
+      
+      if (e.target.checked) {
+        this.ui.showLoading('Loading verification model...');
+      }
+      await this.configureVerifier();
+      this.ui.hideLoading();
+    });
+    
+    document.getElementById('receipt-probability').addEventListener('input', (e) => {
+      document.getElementById('receipt-probability-value').textContent = `${Math.round(parseFloat(e.target.value) * 100)}%`;
+    });
+    
+    document.getElementById('receipt-probability').addEventListener('change', async (e) => {
+      this.settings.receiptProbability = parseFloat(e.target.value);
+      this.saveSettings();
+      await this.configureVerifier();
+    });
+    
+    document.getElementById('auto-torch').addEventListener('change', (e) => {
+      this.settings.autoTorch = e.target.checked;
+      this.cameraControls.setAutoTorch(e.target.checked);
+      this.saveSettings();
+    });
+    
+    document.getElementById('focus-on-receipt').addEventListener('change', (e) => {
+      this.settings.focusOnReceipt = e.target.checked;
+      this.focus.setFollow(e.target.checked);
+      this.saveSettings();
+    });
+    
+    // Tap the preview to focus and meter there
+    document.getElementById('camera-container').addEventListener('click', (e) => {
+      this.focusAtTap(e);
+    });
+    
+    document.getElementById('camera-select').addEventListener('change', async (e) => {
+      await this.selectCamera(e.target.value || null);
+    });
+    
+    document.getElementById('resolution-preset').addEventListener('change', async (e) => {
+      await this.selectResolution(e.target.value);
+    });
+    
+    // Let go of the camera when the page is unloaded for good; a page kept
+    // in the back/forward cache is handled as hidden by the lifecycle
+    window.addEventListener('pagehide', (e) => {
+      if (!e.persisted) {
+        this.dispose();
+      }
+    });
+    
+    // Cameras plugged in or out while the app is open
+    navigator.mediaDevices?.addEventListener?.('devicechange', () => {
+      this.refreshCameraList();
+      this.lifecycle.retry();
     });
     
     document.getElementById('model-select').addEventListener('change', async (e) => {
       this.settings.model = e.target.value;
+      this.saveSettings();
       await this.switchModel(e.target.value);
     });
     
@@ -135,16 +387,420 @@ class ReceiptScanner {
     document.getElementById('delete-selected-btn').addEventListener('click', () => {
       this.gallery.deleteSelected();
     });
+    
+    document.getElementById('reencode-selected-btn').addEventListener('click', () => {
+      this.gallery.reencodeSelected();
+    });
+  }
+
+  loadSettings() {
+    try {
+      const saved = localStorage.getItem(SETTINGS_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.warn('Could not load saved settings:', error.message);
+      return {};
+    }
+  }
+
+  saveSettings() {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('Could not save settings:', error.message);
+    }
+  }
+
+  applySettingsToControls() {
+    const {
+      confidenceThreshold, stabilityFrames, soundEnabled, vibrationEnabled,
+      cropEnabled, cropPadding, highResCapture, verifyReceipts, receiptProbability, detectionRate, minSharpness,
+      burstFrames, duplicateSimilarity, enhancement, outputFormat, maxDimension, maxFileSizeKb,
+      reviewCaptures, reviewSkipQuality, autoTorch, focusOnReceipt, resolution
+    } = this.settings;
+    
+    document.getElementById('confidence-threshold').value = confidenceThreshold;
+    document.getElementById('confidence-value').textContent = `${Math.round(confidenceThreshold * 100)}%`;
+    document.getElementById('stability-frames').value = stabilityFrames;
+    document.getElementById('stability-value').textContent = stabilityFrames;
+    document.getElementById('detection-rate').value = detectionRate;
+    document.getElementById('detection-rate-value').textContent = `${detectionRate}/s`;
+    document.getElementById('min-sharpness').value = minSharpness;
+    document.getElementById('min-sharpness-value').textContent = `${Math.round(minSharpness * 100)}%`;
+    document.getElementById('burst-frames').value = burstFrames;
+    document.getElementById('burst-frames-value').textContent = this.formatBurstFrames(burstFrames);
+    document.getElementById('duplicate-similarity').value = duplicateSimilarity;
+    document.getElementById('duplicate-similarity-value').textContent = `${Math.round(duplicateSimilarity * 100)}%`;
+    this.renderEnhancementOptions(enhancement);
+    this.renderResolutionOptions(resolution);
+    this.renderOutputFormatOptions(outputFormat);
+    document.getElementById('max-dimension').value = maxDimension;
+    document.getElementById('max-dimension-value').textContent = this.formatMaxDimension(maxDimension);
+    document.getElementById('max-file-size').value = maxFileSizeKb;
+    document.getElementById('max-file-size-value').textContent = this.formatFileSize(maxFileSizeKb);
+    document.getElementById('review-captures').checked = reviewCaptures;
+    document.getElementById('review-skip-quality').value = reviewSkipQuality;
+    document.getElementById('review-skip-quality-value').textContent = this.formatReviewSkip(reviewSkipQuality);
+    document.getElementById('sound-enabled').checked = soundEnabled;
+    document.getElementById('vibration-enabled').checked = vibrationEnabled;
+    document.getElementById('crop-enabled').checked = cropEnabled;
+    document.getElementById('high-res-capture').checked = highResCapture;
+    document.getElementById('auto-torch').checked = autoTorch;
+    document.getElementById('focus-on-receipt').checked = focusOnReceipt;
+    document.getElementById('crop-padding').value = cropPadding;
+    document.getElementById('crop-padding-value').textContent = `${Math.round(cropPadding * 100)}%`;
+    document.getElementById('verify-receipts').checked = verifyReceipts;
+    document.getElementById('receipt-probability').value = receiptProbability;
+    document.getElementById('receipt-probability-value').textContent = `${Math.round(receiptProbability * 100)}%`;
+  }
+
+  formatBurstFrames(frames) {
+    return frames > 1 ? `${frames} frames` : 'Off';
+  }
+
+  formatReviewSkip(quality) {
+    return quality < 1 ? `${Math.round(quality * 100)}%` : 'Never';
+  }
+
+  formatMaxDimension(pixels) {
+    return pixels > 0 ? `${pixels}px` : 'Full';
+  }
+
+  formatFileSize(kb) {
+    return kb > 0 ? `${kb} KB` : 'No limit';
+  }
+
+  applyOutputSettings() {
+    this.encoder.format = this.settings.outputFormat;
+    this.encoder.maxDimension = this.settings.maxDimension;
+    this.encoder.maxBytes = this.settings.maxFileSizeKb * 1024;
+  }
+
+  renderOutputFormatOptions(selected) {
+    const select = document.getElementById('output-format');
+    select.innerHTML = '';
+    
+    for (const [type, label] of Object.entries(OUTPUT_FORMATS)) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = label;
+      option.selected = type === selected;
+      select.appendChild(option);
+    }
+  }
+
+  renderEnhancementOptions(selected) {
+    const select = document.getElementById('enhancement-preset');
+    select.innerHTML = '';
+    
+    for (const [key, label] of Object.entries(ENHANCEMENT_PRESETS)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = label;
+      option.selected = key === selected;
+      select.appendChild(option);
+    }
+  }
+
+  renderResolutionOptions(selected) {
+    const select = document.getElementById('resolution-preset');
+    select.innerHTML = '';
+    
+    for (const [key, { label }] of Object.entries(RESOLUTION_PRESETS)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = label;
+      option.selected = key === selected;
+      select.appendChild(option);
+    }
+    
+    this.renderResolution();
+  }
+
+  // What the camera delivered, next to the preset asked for
+  renderResolution() {
+    document.getElementById('resolution-value').textContent = this.camera.obtainedResolution
+      ? this.camera.describeResolution()
+      : '';
+  }
+
+  async restoreCustomModels() {
+    let dropped = false;
+    for (const [key, config] of Object.entries(this.settings.customModels)) {
+      try {
+        await this.detector.registerModel(key, config);
+      } catch (error) {
+        console.warn(`Dropping invalid saved model ${key}:`, error.message);
+        delete this.settings.customModels[key];
+        dropped = true;
+      }
+    }
+    
+    if (dropped) {
+      this.saveSettings();
+    }
+    
+    // Fall back to the default if the saved model is no longer registered
+    if (!this.detector.models[this.settings.model]) {
+      this.settings.model = 'yolos-tiny';
+    }
+  }
+
+  async registerModel(key, config) {
+    const modelConfig = await this.detector.registerModel(key, config);
+    
+    this.settings.customModels[key] = config;
+    this.saveSettings();
+    this.ui.renderModelOptions(this.detector.models, this.settings.model);
+    
+    return modelConfig;
   }
 
   async switchModel(modelName) {
     this.ui.showLoading(`Switching to ${modelName}...`);
     this.stopDetection();
-    await this.detector.switchModel(modelName);
+    try {
+      await this.detector.switchModel(modelName);
+    } catch (error) {
+      if (modelName === FALLBACK_MODEL) throw error;
+      console.warn(`Could not load ${modelName}, using ${FALLBACK_MODEL}:`, error.message);
+      await this.useFallbackDetector();
+    }
     this.ui.hideLoading();
     this.startDetection();
   }
 
+  async configureVerifier() {
+    const { verifyReceipts, receiptProbability } = this.settings;
+    
+    try {
+      await this.detector.configureVerifier?.({
+        enabled: verifyReceipts,
+        threshold: receiptProbability
+      });
+    } catch (error) {
+      // Keep scanning with the detector alone
+      console.warn('Receipt verification unavailable:', error.message);
+      this.ui.updateStatus('Receipt verification unavailable', 'warning');
+    }
+  }
+
+  async loadModel(modelName) {
+    try {
+      await this.detector.init(modelName);
+    } catch (error) {
+      if (modelName === FALLBACK_MODEL) throw error;
+      console.warn(`Could not load ${modelName}, using ${FALLBACK_MODEL}:`, error.message);
+      await this.useFallbackDetector();
+    }
+  }
+
+  async refreshCameraList() {
+    try {
+      const cameras = await this.camera.listCameras();
+      const selected = this.settings.cameraId ? this.camera.activeDeviceId : '';
+      this.ui.renderCameraOptions(cameras, selected);
+    } catch (error) {
+      console.warn('Could not list cameras:', error.message);
+    }
+  }
+
+  // Switch cameras and remember the choice for the next launch. A camera
+  // that cannot be opened falls back to the default one.
+  async selectCamera(deviceId) {
+    this.settings.cameraId = deviceId;
+    this.saveSettings();
+    
+    await this.reopenCamera(() => this.camera.selectCamera(deviceId), 'Camera switched');
+  }
+
+  // Reopen the camera with the ladder for the new speed / detail tradeoff
+  async selectResolution(preset) {
+    this.settings.resolution = preset;
+    this.saveSettings();
+    this.camera.resolution = preset;
+    
+    await this.reopenCamera(() => this.camera.restart(), 'Camera resolution changed');
+  }
+
+  async reopenCamera(open, message) {
+    // Segments from two cameras or resolutions would not line up
+    if (this.longReceipt) {
+      this.cancelLongReceipt();
+    }
+    this.stopDetection();
+    const previousSize = this.getVideoSize();
+    
+    try {
+      this.ui.showLoading('Switching camera...');
+      const stream = await this.lifecycle.start(open);
+      await this.ui.setVideoStream(stream);
+      this.tracker.rescale(previousSize, this.getVideoSize());
+      
+      if (this.camera.deviceUnavailable) {
+        this.ui.updateStatus('Selected camera not found - using the default camera', 'warning');
+      } else {
+        this.reportResolution(message);
+      }
+    } catch (error) {
+      console.error('Failed to switch camera:', error);
+      // The old stream is already closed, so there is nothing to scan until
+      // the lifecycle gets a camera back; it restarts detection when it does
+      if (this.lifecycle.state !== 'denied') {
+        this.lifecycle.scheduleReconnect();
+      }
+      this.ui.updateStatus(`Could not switch camera: ${error.message}`, 'error');
+      return;
+    } finally {
+      this.ui.hideLoading();
+    }
+    
+    await this.refreshCameraList();
+    await this.refreshCameraControls();
+    this.renderResolution();
+    this.startDetection();
+  }
+
+  getVideoSize() {
+    const video = this.camera.getVideoElement?.();
+    return video ? { width: video.videoWidth, height: video.videoHeight } : null;
+  }
+
+  // Say what resolution the camera settled on, warning when it could not
+  // give the preferred one
+  reportResolution(message) {
+    const resolution = this.camera.obtainedResolution;
+    if (resolution?.fallback) {
+      this.ui.updateStatus(`Camera limited to ${this.camera.describeResolution()}`, 'warning');
+    } else if (resolution?.width) {
+      this.ui.updateStatus(`${message} (${this.camera.describeResolution()})`, 'success');
+    } else {
+      this.ui.updateStatus(message, 'success');
+    }
+  }
+
+  // Scanning stops while the camera is away and picks up again once the
+  // lifecycle has it back; the status indicator says which it is
+  async handleCameraState(state, detail = {}) {
+    switch (state) {
+      case 'paused':
+        this.suspendScanning();
+        this.ui.updateStatus('Camera paused', 'info', true);
+        break;
+        
+      case 'interrupted':
+        this.suspendScanning();
+        this.ui.updateStatus('Camera interrupted - waiting for it to come back', 'warning', true);
+        break;
+        
+      case 'reconnecting':
+        this.suspendScanning();
+        this.ui.updateStatus(
+          detail.delay > 0
+            ? `Camera lost - reconnecting in ${Math.ceil(detail.delay / 1000)}s`
+            : 'Reconnecting camera...',
+          'warning',
+          true
+        );
+        break;
+        
+      case 'denied':
+        this.suspendScanning();
+        this.ui.updateStatus('Camera access revoked - allow it in browser settings to continue', 'error');
+        break;
+        
+      case 'failed':
+        this.suspendScanning();
+        this.ui.updateStatus('Camera unavailable - close other apps using it and come back', 'error');
+        break;
+        
+      case 'live':
+        if (detail.recovered) {
+          await this.resumeScanning(detail.stream);
+        }
+        break;
+    }
+  }
+  
+  suspendScanning() {
+    // Segments either side of the gap would not line up
+    if (this.longReceipt) {
+      this.cancelLongReceipt();
+    }
+    this.stopDetection();
+  }
+  
+  async resumeScanning(stream) {
+    try {
+      await this.ui.setVideoStream(stream);
+    } catch (error) {
+      console.warn('Could not show the camera feed:', error.message);
+    }
+    
+    await this.refreshCameraControls();
+    this.startDetection();
+    this.ui.updateStatus('Camera ready', 'success');
+  }
+
+  // Torch, zoom and focus controls are optional extras; scanning works
+  // without them
+  async initCameraControls() {
+    try {
+      await this.cameraControls.init();
+      await this.focus.refresh();
+    } catch (error) {
+      console.warn('Camera controls unavailable:', error.message);
+    }
+  }
+
+  async refreshCameraControls() {
+    try {
+      await this.cameraControls.refresh();
+      await this.focus.refresh();
+    } catch (error) {
+      console.warn('Could not read camera controls:', error.message);
+    }
+  }
+
+  async useFallbackDetector() {
+    try {
+      await this.detector.switchModel(FALLBACK_MODEL);
+    } catch (error) {
+      // The worker itself may be what failed, so run the fallback in-page
+      console.warn('Fallback detector failed, retrying on the main thread:', error.message);
+      this.detector.dispose?.();
+      this.detector = new Detector();
+      await this.restoreCustomModels(); // Still listed in the model picker
+      await this.detector.init(FALLBACK_MODEL);
+      await this.configureVerifier();
+    }
+    
+    // Not saved, so the next launch tries the selected ML model again
+    this.ui.renderModelOptions(this.detector.models, FALLBACK_MODEL);
+    this.ui.updateStatus('AI model unavailable - using basic detection', 'warning');
+  }
+
+  isUsingFallback() {
+    return this.detector.modelName === FALLBACK_MODEL && this.settings.model !== FALLBACK_MODEL;
+  }
+
+  async recoverWithFallback() {
+    try {
+      await this.useFallbackDetector();
+      this.startDetection();
+    } catch (error) {
+      console.error('Fallback detector failed:', error);
+      this.ui.updateStatus('Detection system failure - please refresh page', 'error');
+    }
+  }
+
+  dispose() {
+    this.stopDetection();
+    this.lifecycle.detach();
+    this.camera.stop();
+    this.detector.dispose?.();
+  }
+
   startDetection() {
     if (this.detectionLoop) {
       console.warn('Detection loop already running, ignoring start request');
@@ -209,16 +865,28 @@ class ReceiptScanner {
     let lastFpsUpdate = Date.now();
     let fps = 0;
     
-    const detectFrame = async () => {
+    // Where supported, only detect once per decoded camera frame rather
+    // than once per display refresh
+    const useVideoFrames = typeof video.requestVideoFrameCallback === 'function';
+    let hasNewFrame = !useVideoFrames;
+    
+    const onVideoFrame = () => {
+      hasNewFrame = true;
+      if (this.detectionLoop !== null) {
+        this.videoFrameLoop = video.requestVideoFrameCallback(onVideoFrame);
+      }
+    };
+    
+    const detectFrame = () => {
       frameCount++;
       
-      // Update FPS counter
+      // Update FPS counter along with the detection rate actually achieved
       const now = Date.now();
       if (now - lastFpsUpdate >= 1000) {
         fps = frameCount;
         frameCount = 0;
         lastFpsUpdate = now;
-        this.ui.updateFPS(fps);
+        this.ui.updateFPS(fps, this.scheduler.getStats());
       }
       
       // Ensure overlay matches video dimensions
@@ -229,112 +897,220 @@ class ReceiptScanner {
         }
       }
       
-      // Run detection every 3rd frame for performance
-      if (frameCount % 3 === 0) {
+      // Start a detection when the previous one is done and the budget
+      // allows, never awaiting it here so the overlay keeps drawing
+      if (hasNewFrame && this.scheduler.shouldRun()) {
         // Validate video element before detection
         if (!this.isVideoReady(video)) {
           console.warn('Video not ready for detection, skipping frame');
-          this.detectionLoop = requestAnimationFrame(detectFrame);
-          return;
+        } else {
+          hasNewFrame = !useVideoFrames;
+          this.runDetection(video).catch((error) => {
+            console.error('Detection pass failed:', error);
+          });
         }
+      }
+      
+      this.drawDetections(ctx, overlay);
+      
+      if (this.detectionLoop !== null) {
+        this.detectionLoop = requestAnimationFrame(detectFrame);
+      }
+    };
+    
+    this.detectionLoop = requestAnimationFrame(detectFrame);
+    
+    if (useVideoFrames) {
+      this.videoFrameSource = video;
+      this.videoFrameLoop = video.requestVideoFrameCallback(onVideoFrame);
+    }
+  }
+
+  async runDetection(video) {
+    const startedAt = this.scheduler.start();
+    let completedAt = startedAt;
+    
+    let detections = [];
+    try {
+      // A detector with nothing to report may resolve without an array
+      detections = (await this.detector.detect(video)) || [];
+      completedAt = performance.now();
+      // Reset error count on successful detection
+      this.errorCount = 0;
+    } catch (detectionError) {
+      completedAt = performance.now();
+      const shouldContinue = this.handleDetectionError(detectionError, video);
+      if (!shouldContinue) {
+        this.scheduler.finish(startedAt, completedAt);
+        return;
+      }
+      detections = [];
+    }
+    
+    // Whatever happens below, the next detection must be able to start
+    try {
+      // The loop may have been stopped while inference was running
+      if (this.detectionLoop !== null) {
+        // Judge sharpness on the frame that would be captured now; quality
+        // scoring needs the real frame size even when sampling fails.
+        // Auto-torch watches every frame, with or without a receipt in it.
+        const frame = detections.length > 0 || this.cameraControls.wantsLighting
+          ? this.frameSampler.sample(video) || { frameWidth: video.videoWidth, frameHeight: video.videoHeight }
+          : null;
+        await this.processDetections(detections, frame);
         
-        let detections = [];
-        try {
-          detections = await this.detector.detect(video);
-          // Reset error count on successful detection
-          this.errorCount = 0;
-        } catch (detectionError) {
-          console.error('Detection failed:', detectionError.message);
-          
-          // Increment error count and check circuit breaker
-          this.errorCount++;
-          const now = Date.now();
-          
-          // Circuit breaker: stop if too many consecutive errors
-          if (this.errorCount >= this.maxConsecutiveErrors) {
-            console.error(`Circuit breaker triggered: ${this.errorCount} consecutive errors`);
-            this.ui.updateStatus('Detection system failure - please refresh page', 'error');
-            this.stopDetection(); // Stop the current loop
-            return; // Exit completely
-          }
-          
-          // Rate limiting: don't retry too quickly
-          if (now - this.lastErrorTime < this.errorBackoffMs) {
-            console.warn('Error backoff in effect, skipping detection');
-            detections = [];
-          } else {
-            this.lastErrorTime = now;
-            
-            // EMERGENCY: If it's an input type error, stop immediately
-            if (detectionError.message.includes('Unsupported input type')) {
-              console.error('EMERGENCY STOP: Unsupported input type error detected');
-              console.error('This indicates the detector is receiving the wrong input type');
-              this.stopDetection();
-              this.ui.updateStatus('Critical detection error - please refresh page', 'error');
-              return;
-            }
-            
-            // If other validation errors, re-validate the video element
-            if ( 
-                detectionError.message.includes('object')) {
-              console.warn('Video element validation failed during detection, re-checking...');
-              
-              if (!this.isVideoReady(video)) {
-                console.warn('Video is no longer ready, stopping current loop');
-                this.ui.updateStatus('Camera connection lost - please refresh page', 'warning');
-                this.stopDetection(); // Stop current loop properly
-                
-                // Try to reinitialize after a longer delay with exponential backoff
-                const backoffDelay = Math.min(this.errorBackoffMs * Math.pow(2, this.errorCount - 1), 10000);
-                setTimeout(() => {
-                  if (this.detectionLoop === null) { // Only restart if not already running
-                    console.log('Attempting to restart detection after video failure');
-                    this.startDetection();
-                  }
-                }, backoffDelay);
-                
-                return; // Exit this detection loop
-              }
-            }
-            
-            // For other errors, continue but log them
-            console.warn('Continuing detection despite error:', detectionError.message);
-            detections = []; // Set to empty array to continue
-          }
+        if (this.longReceipt) {
+          await this.processLongReceipt(video);
         }
+      }
+    } finally {
+      this.scheduler.finish(startedAt, completedAt);
+    }
+  }
+
+  handleDetectionError(detectionError, video) {
+    console.error('Detection failed:', detectionError.message);
+    
+    // Increment error count and check circuit breaker
+    this.errorCount++;
+    const now = Date.now();
+    
+    // Circuit breaker: stop if too many consecutive errors
+    if (this.errorCount >= this.maxConsecutiveErrors) {
+      console.error(`Circuit breaker triggered: ${this.errorCount} consecutive errors`);
+      this.stopDetection(); // Stop the current loop
+      
+      // Keep scanning without the ML model rather than giving up
+      if (this.detector.modelName !== FALLBACK_MODEL) {
+        this.ui.updateStatus('Detection failing - switching to basic detection', 'warning');
+        this.recoverWithFallback();
+        return false;
+      }
+      
+      this.ui.updateStatus('Detection system failure - please refresh page', 'error');
+      return false; // Exit completely
+    }
+    
+    // Rate limiting: don't retry too quickly
+    if (now - this.lastErrorTime < this.errorBackoffMs) {
+      console.warn('Error backoff in effect, skipping detection');
+      return true;
+    }
+    
+    this.lastErrorTime = now;
+    
+    // EMERGENCY: If it's an input type error, stop immediately
+    if (detectionError.message.includes('Unsupported input type')) {
+      console.error('EMERGENCY STOP: Unsupported input type error detected');
+      console.error('This indicates the detector is receiving the wrong input type');
+      this.stopDetection();
+      this.ui.updateStatus('Critical detection error - please refresh page', 'error');
+      return false;
+    }
+    
+    // If other validation errors, re-validate the video element
+    if (detectionError.message.includes('object')) {
+      console.warn('Video element validation failed during detection, re-checking...');
+      
+      if (!this.isVideoReady(video)) {
+        console.warn('Video is no longer ready, pausing detection');
+        this.ui.updateStatus('Camera connection lost - reconnecting...', 'warning');
+        this.stopDetection(); // Stop current loop properly
+        this.lifecycle.checkTrack();
         
-        // Clear overlay
-        ctx.clearRect(0, 0, overlay.width, overlay.height);
-        
-        // Process detections
-        if (detections && detections.length > 0) {
-          for (const detection of detections) {
-            // Filter for receipt-like objects
-            if (this.isReceiptLike(detection) && detection.score >= this.settings.confidenceThreshold) {
-              // Draw bounding box
-              this.drawBoundingBox(ctx, detection);
-              
-              // Auto-capture if enabled
-              if (this.isAutoMode) {
-                const shouldCapture = this.capture.shouldCapture(detection, this.settings.stabilityFrames);
-                if (shouldCapture) {
-                  await this.performCapture();
-                } else {
-                  // Update UI with stability info
-                  this.updateStabilityStatus(detection);
-                }
-              }
-              
-              this.lastDetection = detection;
-            }
+        // Try to reinitialize after a longer delay with exponential backoff;
+        // a camera being reopened restarts detection itself once it is back
+        const backoffDelay = Math.min(this.errorBackoffMs * Math.pow(2, this.errorCount - 1), 10000);
+        setTimeout(() => {
+          if (this.detectionLoop === null && !this.lifecycle.isRecovering) { // Only restart if not already running
+            console.log('Attempting to restart detection after video failure');
+            this.startDetection();
           }
+        }, backoffDelay);
+        
+        return false; // Exit this detection loop
+      }
+    }
+    
+    // For other errors, continue but log them
+    console.warn('Continuing detection despite error:', detectionError.message);
+    return true;
+  }
+
+  async processDetections(detections, frame = null) {
+    // Filter for receipt-like objects
+    const receipts = (detections || []).filter(detection =>
+      this.isReceiptLike(detection) && detection.score >= this.settings.confidenceThreshold
+    );
+    
+    this.currentDetections = receipts;
+    
+    // Each receipt builds stability on its own track and is captured once
+    const tracks = this.tracker.update(receipts);
+    
+    for (const track of tracks) {
+      const detection = track.detection;
+      
+      // Auto-capture if enabled; long receipts are captured segment by segment
+      // and nothing new is captured while a shot is being reviewed
+      if (this.isAutoMode && !this.longReceipt && !this.capturePipeline.review.isOpen && !track.captured) {
+        const shouldCapture = track.capture.shouldCapture(detection, this.settings.stabilityFrames, frame);
+        const duplicate = shouldCapture && this.capturePipeline.findDuplicate(detection, frame);
+        if (duplicate) {
+          // Left under the camera since it was saved; leave it alone
+          console.log(`Skipping duplicate of receipt ${duplicate.id} (${Math.round(duplicate.similarity * 100)}% similar)`);
+          track.captured = true;
+          track.duplicateOf = duplicate.id;
+          this.ui.updateStatus('Receipt already captured', 'info');
+        } else if (shouldCapture) {
+          this.capturePipeline.enqueue(detection, { auto: true });
+        } else {
+          // Update UI with stability info
+          this.updateStabilityStatus(detection);
         }
       }
       
-      this.detectionLoop = requestAnimationFrame(detectFrame);
-    };
+      this.lastDetection = detection;
+    }
     
-    this.detectionLoop = requestAnimationFrame(detectFrame);
+    const [target] = [...tracks].sort((a, b) => b.detection.score - a.detection.score);
+    
+    // Dim scenes switch the torch on, judged on the most confident receipt
+    // in every sampled frame, whether or not it is up for capture, or on
+    // the whole frame while no receipt is found
+    if (frame?.data && this.cameraControls.wantsLighting) {
+      this.cameraControls.updateLighting(target
+        ? target.capture.analyzeLighting(frame, target.detection.box)
+        : analyzeLighting(frame, { x: 0, y: 0, width: frame.frameWidth, height: frame.frameHeight }));
+    }
+    
+    // Focus and exposure follow the most confident receipt
+    this.focus.followReceipt(target?.detection, frame && { width: frame.frameWidth, height: frame.frameHeight });
+  }
+  
+  // Taps arrive in page pixels over the cropped, scaled preview
+  async focusAtTap(e) {
+    if (!this.focus.supported || this.capturePipeline.review.isOpen) return;
+    
+    const video = this.camera.getVideoElement();
+    if (!video) return;
+    
+    const rect = e.currentTarget.getBoundingClientRect();
+    const point = coverToVideo(e.clientX, e.clientY, rect, video.videoWidth, video.videoHeight);
+    if (point) {
+      await this.focus.focusAt(point, { width: video.videoWidth, height: video.videoHeight });
+    }
+  }
+
+  drawDetections(ctx, overlay) {
+    // Clear overlay
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
+    
+    for (const detection of this.currentDetections) {
+      this.drawBoundingBox(ctx, detection);
+    }
+    
+    this.focus.drawIndicator(ctx);
   }
 
   stopDetection() {
@@ -344,6 +1120,17 @@ class ReceiptScanner {
       console.log('Detection loop stopped');
     }
     
+    if (this.videoFrameSource && this.videoFrameLoop !== null) {
+      this.videoFrameSource.cancelVideoFrameCallback(this.videoFrameLoop);
+    }
+    this.videoFrameLoop = null;
+    this.videoFrameSource = null;
+    
+    // Tracks are kept so receipts captured before a pause, model switch or
+    // camera change are not captured again once detection restarts
+    this.currentDetections = [];
+    this.scheduler.reset();
+    
     // Reset error tracking when stopping
     this.errorCount = 0;
     this.lastErrorTime = 0;
@@ -394,9 +1181,14 @@ class ReceiptScanner {
   }
 
   isReceiptLike(detection) {
-    const receiptLabels = ['paper', 'document', 'receipt', 'invoice', 'bill', 'ticket'];
+    // Already checked against receipt prompts by the verifier
+    if (typeof detection.receiptScore === 'number') return true;
+    
+    // Custom models can declare which of their labels are receipts
+    const modelLabels = this.detector.getModelInfo?.()?.receiptLabels;
+    const receiptLabels = modelLabels || ['paper', 'document', 'receipt', 'invoice', 'bill', 'ticket'];
     return receiptLabels.some(label => 
-      detection.label?.toLowerCase().includes(label)
+      detection.label?.toLowerCase().includes(label.toLowerCase())
     ) || detection.score > 0.8;
   }
 
@@ -405,13 +1197,16 @@ class ReceiptScanner {
     
     // Set style based on confidence
     const confidence = detection.score;
-    const stabilityStats = this.capture.getStats();
+    const track = this.tracker.getTrack(detection.trackId);
+    const stabilityStats = this.getStabilityStats(detection);
     const isStable = stabilityStats.stabilityFrames > 0;
     const stabilityProgress = Math.min(stabilityStats.stabilityFrames / this.settings.stabilityFrames, 1);
     
     // Color based on stability and confidence
     let color;
-    if (stabilityProgress >= 1) {
+    if (track?.captured) {
+      color = '#00aaff'; // Blue once this receipt has been saved
+    } else if (stabilityProgress >= 1) {
       color = '#00ff00'; // Green when ready to capture
     } else if (isStable) {
       color = '#ffff00'; // Yellow when stabilizing
@@ -419,10 +1214,14 @@ class ReceiptScanner {
       color = confidence > 0.9 ? '#00ff00' : confidence > 0.7 ? '#ffff00' : '#ff9900';
     }
     
-    // Draw main bounding box
+    // Draw the receipt outline when corners were found, else the box
     ctx.strokeStyle = color;
     ctx.lineWidth = isStable ? 3 : 2;
-    ctx.strokeRect(x, y, width, height);
+    if (detection.quad) {
+      this.drawQuad(ctx, detection.quad);
+    } else {
+      ctx.strokeRect(x, y, width, height);
+    }
     
     // Draw stability progress bar if stabilizing
     if (isStable && stabilityProgress < 1) {
@@ -479,8 +1278,13 @@ class ReceiptScanner {
     ctx.fillStyle = color;
     ctx.font = '14px system-ui';
     const confidence_text = `${Math.round(confidence * 100)}%`;
-    const status_text = stabilityProgress >= 1 ? 'READY' : isStable ? 'STABILIZING' : 'DETECTING';
-    const label = `${detection.label} ${confidence_text} - ${status_text}`;
+    const issue = stabilityStats.issues?.[0];
+    const status_text = track?.duplicateOf !== undefined ? 'ALREADY CAPTURED'
+      : track?.captured ? 'CAPTURED'
+      : issue ? issue.toUpperCase()
+      : stabilityProgress >= 1 ? 'READY' : isStable ? 'STABILIZING' : 'DETECTING';
+    const track_text = track ? ` #${track.id}` : '';
+    const label = `${detection.label}${track_text} ${confidence_text} - ${status_text}`;
     const textWidth = ctx.measureText(label).width;
     
     ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
@@ -490,11 +1294,34 @@ class ReceiptScanner {
     ctx.fillText(label, x + 4, y - 6);
     
     // Draw corner indicators for better visibility
-    if (stabilityProgress >= 0.5) {
+    if (stabilityProgress >= 0.5 && detection.quad) {
+      this.drawQuadCorners(ctx, detection.quad, color, stabilityProgress);
+    } else if (stabilityProgress >= 0.5) {
       this.drawCornerIndicators(ctx, { x, y, width, height }, color, stabilityProgress);
     }
   }
 
+  drawQuad(ctx, quad) {
+    ctx.beginPath();
+    ctx.moveTo(quad[0].x, quad[0].y);
+    for (let i = 1; i < quad.length; i++) {
+      ctx.lineTo(quad[i].x, quad[i].y);
+    }
+    ctx.lineTo(quad[0].x, quad[0].y);
+    ctx.stroke();
+  }
+
+  drawQuadCorners(ctx, quad, color, progress) {
+    const radius = 4 + progress * 3; // Grow with stability
+    
+    ctx.fillStyle = color;
+    for (const point of quad) {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, radius, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+  }
+
   drawCornerIndicators(ctx, box, color, progress) {
     const { x, y, width, height } = box;
     const cornerSize = 15 + (progress * 5); // Grow with stability
@@ -532,31 +1359,146 @@ class ReceiptScanner {
     ctx.stroke();
   }
 
-  async performCapture() {
+  startLongReceipt() {
     const video = document.getElementById('camera-feed');
+    if (!video || !video.videoWidth) {
+      this.ui.updateStatus('Camera not ready', 'warning');
+      return;
+    }
     
-    if (!video) {
-      console.error('Camera feed not found for capture');
+    // Follow the receipt in view, else the middle of the frame
+    const [best] = [...this.currentDetections].sort((a, b) => b.score - a.score);
+    const margin = video.videoWidth * 0.02;
+    const column = best
+      ? {
+          x: Math.max(0, Math.round(best.box.x - margin)),
+          width: Math.round(Math.min(video.videoWidth, best.box.x + best.box.width + margin) - Math.max(0, best.box.x - margin))
+        }
+      : { x: Math.round(video.videoWidth * 0.2), width: Math.round(video.videoWidth * 0.6) };
+    
+    this.longReceipt = new LongReceiptSession({ column });
+    document.getElementById('long-receipt-btn').classList.add('active');
+    this.ui.updateStatus('Long receipt: slide it slowly through the frame, tap capture when done', 'info');
+  }
+
+  // Decide on a sample of a full-resolution frame and cut the segment from
+  // that same frame, so its position is the one that was registered
+  async processLongReceipt(video) {
+    const session = this.longReceipt;
+    const canvas = this.camera.captureFrame(video);
+    const decision = session.update(this.frameSampler.sample(canvas));
+    
+    if (decision.lost) {
+      this.ui.updateStatus('Lost the receipt - slide back a little', 'warning');
       return;
     }
     
-    // Capture image
-    const blob = await this.camera.captureImage(video);
+    if (!decision.capture) return;
     
-    // Save to storage
-    const metadata = {
-      timestamp: Date.now(),
-      detection: this.lastDetection,
-      settings: this.settings
-    };
+    this.addLongReceiptSegment(canvas, decision);
+    this.ui.flashCapture();
+    this.ui.updateStatus(`Long receipt: ${session.count} segment${session.count === 1 ? '' : 's'} - keep sliding`, 'info');
+    
+    if (session.isFull) {
+      await this.finishLongReceipt();
+    }
+  }
+
+  // Column of the full-resolution frame the decision was made on
+  addLongReceiptSegment(canvas, decision) {
+    const session = this.longReceipt;
+    const image = canvas.getContext('2d').getImageData(session.column.x, 0, session.column.width, canvas.height);
+    session.addSegment(image, decision);
+  }
+
+  async finishLongReceipt() {
+    const session = this.longReceipt;
+    
+    // Pick up whatever has slid into view since the last segment
+    const video = document.getElementById('camera-feed');
+    if (session && session.count > 0 && video) {
+      const canvas = this.camera.captureFrame(video);
+      const decision = session.update(this.frameSampler.sample(canvas), { minAdvance: 0.05 });
+      if (decision.capture) {
+        this.addLongReceiptSegment(canvas, decision);
+      }
+    }
     
-    const id = await this.storage.saveReceipt(blob, metadata);
+    this.stopLongReceipt();
+    
+    if (!session || session.count === 0) {
+      this.ui.updateStatus('Long receipt cancelled - nothing captured', 'info');
+      return null;
+    }
+    
+    try {
+      const stitched = session.stitch();
+      const enhanced = await this.capturePipeline.enhance(await this.camera.imageDataToBlob(stitched));
+      const encoded = await this.capturePipeline.encode(enhanced.blob);
+      
+      // Keep the segments so the stitch can be checked or redone
+      const attachments = [...enhanced.attachments];
+      for (const segment of session.segments) {
+        attachments.push({ kind: 'segment', blob: await this.camera.imageDataToBlob(segment.image) });
+      }
+      
+      const metadata = {
+        timestamp: Date.now(),
+        longReceipt: {
+          segments: session.count,
+          positions: session.segments.map(segment => ({
+            x: Math.round(segment.position.x),
+            y: Math.round(segment.position.y)
+          })),
+          column: session.column,
+          width: stitched.width,
+          height: stitched.height
+        },
+        enhancement: enhanced.enhancement,
+        output: encoded.output,
+        settings: this.settings
+      };
+      
+      const id = await this.storage.saveReceipt(encoded.blob, metadata, null, attachments);
+      await this.updateGalleryCount();
+      
+      if (this.settings.soundEnabled) {
+        this.playSound();
+      }
+      
+      this.ui.updateStatus(`Long receipt saved (${session.count} segments)`, 'success');
+      console.log(`Long receipt captured: ${id}`);
+      return id;
+    } catch (error) {
+      console.error('Failed to stitch long receipt:', error);
+      this.ui.updateStatus('Could not stitch long receipt', 'error');
+      return null;
+    }
+  }
+
+  cancelLongReceipt() {
+    this.stopLongReceipt();
+    this.ui.updateStatus('Long receipt cancelled', 'info');
+  }
+
+  stopLongReceipt() {
+    this.longReceipt = null;
+    document.getElementById('long-receipt-btn').classList.remove('active');
+  }
+
+  async manualCapture() {
+    if (this.capturePipeline.review.isOpen) return;
     
-    // Update UI
+    // Crop to the best receipt currently in view, if any
+    const [best] = [...this.currentDetections].sort((a, b) => b.score - a.score);
+    await this.capturePipeline.enqueue(best || null);
+  }
+  
+  // Feedback once a capture has been saved
+  async captureSaved() {
     this.ui.flashCapture();
     await this.updateGalleryCount();
     
-    // Feedback
     if (this.settings.soundEnabled) {
       this.playSound();
     }
@@ -564,15 +1506,6 @@ class ReceiptScanner {
     if (this.settings.vibrationEnabled && navigator.vibrate) {
       navigator.vibrate(100);
     }
-    
-    // Reset capture manager for next detection
-    this.capture.reset();
-    
-    console.log(`Receipt captured: ${id}`);
-  }
-
-  async manualCapture() {
-    await this.performCapture();
   }
 
   toggleMode() {
@@ -597,11 +1530,20 @@ class ReceiptScanner {
     document.getElementById('gallery-count').textContent = count;
   }
 
+  getStabilityStats(detection) {
+    const track = this.tracker.getTrack(detection.trackId);
+    return track ? track.capture.getStats() : { stabilityFrames: 0 };
+  }
+
   updateStabilityStatus(detection) {
-    const stabilityStats = this.capture.getStats();
+    const stabilityStats = this.getStabilityStats(detection);
     const progress = Math.min(stabilityStats.stabilityFrames / this.settings.stabilityFrames, 1);
     
-    if (stabilityStats.stabilityFrames > 0) {
+    const [issue] = stabilityStats.issues || [];
+    
+    if (issue) {
+      this.ui.updateStatus(QUALITY_HINTS[issue] || `Poor ${issue} - adjust and hold steady`, 'warning');
+    } else if (stabilityStats.stabilityFrames > 0) {
       const remainingFrames = Math.max(0, this.settings.stabilityFrames - stabilityStats.stabilityFrames);
       const message = remainingFrames > 0 
         ? `Stabilizing... ${remainingFrames} frames remaining`
@@ -650,6 +1592,10 @@ export { ReceiptScanner };
 document.addEventListener('DOMContentLoaded', () => {
   const app = new ReceiptScanner();
   app.init();
+  
+  // Exposed so custom detectors can be registered at runtime,
+  // e.g. receiptScanner.registerModel('receipt-yolo', { format: 'yolo', path: '...' })
+  window.receiptScanner = app;
 });
 
 // Service worker registration is handled automatically by VitePWA plugin
\ No newline at end of file
@@ -0,0 +1,119 @@
+// Built-in detection models. `name` is the Hugging Face hub ID, which is also
+// the directory the weights live in when they are self-hosted.
+export const DEFAULT_MODELS = {
+  'yolos-tiny': {
+    name: 'Xenova/yolos-tiny',
+    displayName: 'YOLOS Tiny (Fast)',
+    size: 'tiny',
+    speed: 'fast',
+    inputSize: 512 // Shortest edge the processor resizes to
+  },
+  'yolos-small': {
+    name: 'Xenova/yolos-small',
+    displayName: 'YOLOS Small (Balanced)',
+    size: 'small',
+    speed: 'balanced',
+    inputSize: 800
+  },
+  'detr-resnet-50': {
+    name: 'Xenova/detr-resnet-50',
+    displayName: 'DETR ResNet-50 (Accurate)',
+    size: 'large',
+    speed: 'slow',
+    inputSize: 800
+  },
+  'classic-cv': {
+    name: 'classic-cv',
+    displayName: 'Classic CV (No Download)',
+    format: 'classical', // Thresholding and rectangle fitting, no weights
+    size: 'none',
+    speed: 'fast',
+    inputSize: 320,
+    receiptLabels: ['receipt']
+  }
+};
+
+// Used whenever the ML models cannot be loaded or keep failing
+export const FALLBACK_MODEL = 'classic-cv';
+
+// Files transformers.js fetches for a quantized object-detection model
+export const MODEL_FILES = [
+  'config.json',
+  'preprocessor_config.json',
+  'onnx/model_quantized.onnx'
+];
+
+// Zero-shot classifier used to double-check that detections are receipts
+export const VERIFIER_MODEL = {
+  name: 'Xenova/clip-vit-base-patch32',
+  files: [...MODEL_FILES, 'tokenizer.json', 'tokenizer_config.json']
+};
+
+// Where weights are loaded from. Set these at build time to serve models from
+// this app (see scripts/fetch-models.js) or an internal host instead of the hub.
+const buildEnv = import.meta.env || {};
+
+export const MODEL_SOURCE = {
+  // e.g. '/receipt-scanner-ai/models/' or 'https://models.intranet/'
+  basePath: buildEnv.VITE_MODEL_BASE_PATH || null,
+  // Fall back to the Hugging Face hub when a file is missing locally
+  allowRemote: buildEnv.VITE_ALLOW_REMOTE_MODELS !== 'false',
+  // Directory holding the onnxruntime .wasm binaries (defaults to jsDelivr)
+  wasmPath: buildEnv.VITE_ONNX_WASM_PATH || null
+};
+
+// Labels treated as receipt-like when a model does not list its own
+export const DEFAULT_RECEIPT_LABELS = [
+  'paper', 'document', 'receipt', 'invoice',
+  'bill', 'ticket', 'card', 'note', 'letter'
+];
+
+const MODEL_FORMATS = ['transformers', 'yolo'];
+
+/**
+ * Validate a user-supplied detector and fill in defaults.
+ *
+ * - `path`: directory holding a transformers.js model (config.json, onnx/...),
+ *   or the .onnx file itself for `format: 'yolo'` (Ultralytics export)
+ * - `name`: hub ID, used instead of `path` for models on the hub
+ * - `inputSize`: shortest edge (transformers) or square size (yolo)
+ * - `labels`: map from model output label or class index to display label
+ * - `receiptLabels`: labels that count as receipts for this model
+ */
+export function normalizeModelConfig(key, config = {}) {
+  if (!key || typeof key !== 'string') {
+    throw new Error('Model key must be a non-empty string');
+  }
+  
+  const format = config.format || 'transformers';
+  if (!MODEL_FORMATS.includes(format)) {
+    throw new Error(`Unsupported model format for ${key}: ${format}`);
+  }
+  
+  if (!config.path && !config.name) {
+    throw new Error(`Model ${key} needs a source path or a hub name`);
+  }
+  
+  if (format === 'yolo' && !config.path) {
+    throw new Error(`YOLO model ${key} needs a path to its .onnx file`);
+  }
+  
+  if (config.inputSize !== undefined && !(config.inputSize > 0)) {
+    throw new Error(`Invalid input size for ${key}: ${config.inputSize}`);
+  }
+  
+  if (config.receiptLabels !== undefined && !Array.isArray(config.receiptLabels)) {
+    throw new Error(`receiptLabels for ${key} must be an array`);
+  }
+  
+  return {
+    size: 'custom',
+    speed: 'custom',
+    ...config,
+    name: config.name || key,
+    displayName: config.displayName || `${key} (Custom)`,
+    format,
+    inputSize: config.inputSize || (format === 'yolo' ? 640 : undefined),
+    custom: true
+  };
+}
@@ -0,0 +1,138 @@
+// Perspective correction for captured receipts. Quads are four { x, y }
+// points ordered top-left, top-right, bottom-right, bottom-left, the same
+// order findReceiptCorners() returns.
+
+export function boxToQuad(box) {
+  const { x, y, width, height } = box;
+  return [
+    { x, y },
+    { x: x + width, y },
+    { x: x + width, y: y + height },
+    { x, y: y + height }
+  ];
+}
+
+// Push every corner away from the centre by a fraction of the quad size,
+// clamped to the frame
+export function padQuad(quad, padding, frameWidth, frameHeight) {
+  const cx = quad.reduce((sum, p) => sum + p.x, 0) / 4;
+  const cy = quad.reduce((sum, p) => sum + p.y, 0) / 4;
+
+  return quad.map(point => ({
+    x: Math.min(frameWidth, Math.max(0, point.x + (point.x - cx) * padding * 2)),
+    y: Math.min(frameHeight, Math.max(0, point.y + (point.y - cy) * padding * 2))
+  }));
+}
+
+// Output size from the longer of each pair of opposite edges
+export function quadOutputSize(quad) {
+  const [tl, tr, br, bl] = quad;
+  const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+  return {
+    width: Math.max(1, Math.round(Math.max(distance(tl, tr), distance(bl, br)))),
+    height: Math.max(1, Math.round(Math.max(distance(tl, bl), distance(tr, br))))
+  };
+}
+
+// 3x3 homography (row-major, h33 = 1) mapping each `from` point onto `to`
+export function solveHomography(from, to) {
+  const matrix = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    if (Math.abs(matrix[pivot][col]) < 1e-10) {
+      throw new Error('Cannot solve homography for degenerate quad');
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k < 9; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+    }
+  }
+
+  const h = matrix.map((row, i) => row[8] / row[i]);
+  h.push(1);
+  return h;
+}
+
+// Resample the quad region of `imageData` into a flat width x height image
+export function warpPerspective(imageData, quad, width, height) {
+  const target = [
+    { x: 0, y: 0 },
+    { x: width, y: 0 },
+    { x: width, y: height },
+    { x: 0, y: height }
+  ];
+
+  // Map output pixels back into the source so every pixel gets a value
+  const h = solveHomography(target, quad);
+  const { data: source, width: sourceWidth, height: sourceHeight } = imageData;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const py = y + 0.5;
+    for (let x = 0; x < width; x++) {
+      const px = x + 0.5;
+      const w = h[6] * px + h[7] * py + h[8];
+      const sx = Math.min(sourceWidth - 1, Math.max(0, (h[0] * px + h[1] * py + h[2]) / w - 0.5));
+      const sy = Math.min(sourceHeight - 1, Math.max(0, (h[3] * px + h[4] * py + h[5]) / w - 0.5));
+
+      // Bilinear sample
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(sourceWidth - 1, x0 + 1);
+      const y1 = Math.min(sourceHeight - 1, y0 + 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+
+      const i00 = (y0 * sourceWidth + x0) * 4;
+      const i10 = (y0 * sourceWidth + x1) * 4;
+      const i01 = (y1 * sourceWidth + x0) * 4;
+      const i11 = (y1 * sourceWidth + x1) * 4;
+      const out = (y * width + x) * 4;
+
+      for (let c = 0; c < 4; c++) {
+        const top = source[i00 + c] + (source[i10 + c] - source[i00 + c]) * fx;
+        const bottom = source[i01 + c] + (source[i11 + c] - source[i01 + c]) * fx;
+        data[out + c] = top + (bottom - top) * fy;
+      }
+    }
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Crop a detection out of a full frame and flatten it.
+ * Uses the detected corners when available, otherwise the bounding box.
+ */
+export function cropReceipt(imageData, detection, options = {}) {
+  const padding = options.padding ?? 0;
+  const quad = padQuad(
+    detection.quad || boxToQuad(detection.box),
+    padding,
+    imageData.width,
+    imageData.height
+  );
+  const { width, height } = quadOutputSize(quad);
+
+  return {
+    ...warpPerspective(imageData, quad, width, height),
+    quad
+  };
+}
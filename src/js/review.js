@@ -0,0 +1,276 @@
+// Review step between capturing and saving: shows the shot with its
+// quality breakdown and lets the user accept it, retake it or drag the
+// crop corners on the full frame.
+
+const QUALITY_LABELS = {
+  overall: 'Overall',
+  confidence: 'Confidence',
+  blur: 'Sharpness',
+  exposure: 'Exposure',
+  highlights: 'Highlights',
+  glare: 'Glare',
+  shadow: 'Shadow',
+  size: 'Size',
+  position: 'Centering',
+  stability: 'Stability'
+};
+
+const HANDLE_RADIUS = 14; // CSS pixels
+
+// Rows for the quality breakdown, worst first after the overall score
+export function qualityBreakdown(quality) {
+  if (!quality) return [];
+
+  const rows = Object.entries(QUALITY_LABELS)
+    .filter(([key]) => typeof quality[key] === 'number')
+    .map(([key, label]) => ({ key, label, value: quality[key] }));
+
+  const overall = rows.filter(row => row.key === 'overall');
+  const parts = rows.filter(row => row.key !== 'overall').sort((a, b) => a.value - b.value);
+  return [...overall, ...parts];
+}
+
+export class CaptureReview {
+  constructor() {
+    this.elements = null;
+    this.resolve = null;
+    this.imageUrl = null;
+    this.frame = null; // { canvas, quad } while adjusting the crop
+    this.dragging = -1;
+  }
+
+  get isOpen() {
+    return this.resolve !== null;
+  }
+
+  ensureElements() {
+    if (this.elements) return this.elements;
+
+    this.elements = {
+      panel: document.getElementById('capture-review'),
+      image: document.getElementById('review-image'),
+      quality: document.getElementById('review-quality'),
+      cropCanvas: document.getElementById('review-crop'),
+      accept: document.getElementById('review-accept'),
+      retake: document.getElementById('review-retake'),
+      adjust: document.getElementById('review-adjust')
+    };
+
+    const { accept, retake, adjust, cropCanvas } = this.elements;
+    accept.addEventListener('click', () => {
+      if (this.frame) {
+        this.finish({ action: 'crop', quad: this.frame.quad.map(point => ({ ...point })) });
+      } else {
+        this.finish({ action: 'accept' });
+      }
+    });
+    retake.addEventListener('click', () => this.finish({ action: 'retake' }));
+    adjust.addEventListener('click', () => {
+      if (this.frame) {
+        this.stopCropEdit();
+      } else {
+        this.startCropEdit();
+      }
+    });
+
+    cropCanvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    cropCanvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    cropCanvas.addEventListener('pointerup', () => { this.dragging = -1; });
+    cropCanvas.addEventListener('pointercancel', () => { this.dragging = -1; });
+
+    return this.elements;
+  }
+
+  // Show a shot and wait for the user. `frame` is the full image the crop
+  // was taken from and `quad` the crop corners in its pixels (null for the
+  // whole frame). Resolves to { action: 'accept' }, { action: 'retake' } or
+  // { action: 'crop', quad } with the adjusted corners.
+  open({ image, frame = image, quad = null, quality = null }) {
+    const { panel, image: imageElement, quality: qualityElement, adjust } = this.ensureElements();
+
+    if (this.resolve) {
+      this.finish({ action: 'retake' });
+    }
+
+    this.source = { frame, quad };
+    this.revokeImage();
+    this.imageUrl = URL.createObjectURL(image);
+    imageElement.src = this.imageUrl;
+    imageElement.hidden = false;
+    this.elements.cropCanvas.hidden = true;
+    adjust.textContent = 'Adjust Crop';
+    this.elements.accept.textContent = 'Accept';
+
+    this.renderQuality(qualityElement, quality);
+    panel.classList.add('visible');
+
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+    });
+  }
+
+  renderQuality(container, quality) {
+    const rows = qualityBreakdown(quality);
+
+    if (rows.length === 0) {
+      container.innerHTML = '<span class="review-quality-empty">No quality data for this shot</span>';
+      return;
+    }
+
+    container.innerHTML = rows.map(({ key, label, value }) => {
+      const percent = Math.round(value * 100);
+      const level = value >= 0.75 ? 'good' : value >= 0.5 ? 'fair' : 'poor';
+      return `<div class="review-quality-row ${level}" data-key="${key}">
+        <span>${label}</span><span>${percent}%</span>
+      </div>`;
+    }).join('');
+  }
+
+  async startCropEdit() {
+    const { frame, quad } = this.source;
+
+    const bitmap = await createImageBitmap(frame, { imageOrientation: 'from-image' });
+    const canvas = this.elements.cropCanvas;
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+
+    this.frame = {
+      bitmap,
+      quad: quad
+        ? quad.map(point => ({ x: point.x, y: point.y }))
+        : [
+            { x: 0, y: 0 },
+            { x: bitmap.width, y: 0 },
+            { x: bitmap.width, y: bitmap.height },
+            { x: 0, y: bitmap.height }
+          ]
+    };
+
+    this.elements.image.hidden = true;
+    canvas.hidden = false;
+    this.elements.adjust.textContent = 'Cancel Crop';
+    this.elements.accept.textContent = 'Apply Crop';
+    this.drawCrop();
+  }
+
+  stopCropEdit() {
+    if (this.frame) {
+      this.frame.bitmap.close?.();
+      this.frame = null;
+    }
+    this.dragging = -1;
+
+    if (this.elements) {
+      this.elements.image.hidden = false;
+      this.elements.cropCanvas.hidden = true;
+      this.elements.adjust.textContent = 'Adjust Crop';
+      this.elements.accept.textContent = 'Accept';
+    }
+  }
+
+  drawCrop() {
+    const canvas = this.elements.cropCanvas;
+    const ctx = canvas.getContext('2d');
+    const { bitmap, quad } = this.frame;
+    const radius = HANDLE_RADIUS * this.getCanvasScale();
+
+    ctx.drawImage(bitmap, 0, 0);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.beginPath();
+    ctx.rect(0, 0, canvas.width, canvas.height);
+    ctx.moveTo(quad[0].x, quad[0].y);
+    for (let i = quad.length - 1; i >= 0; i--) {
+      ctx.lineTo(quad[i].x, quad[i].y);
+    }
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.strokeStyle = '#007AFF';
+    ctx.lineWidth = radius / 4;
+    ctx.beginPath();
+    quad.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+    ctx.closePath();
+    ctx.stroke();
+
+    ctx.fillStyle = '#FFFFFF';
+    for (const point of quad) {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+  }
+
+  // Canvas pixels per CSS pixel; the frame is shown scaled to fit
+  getCanvasScale() {
+    const rect = this.elements.cropCanvas.getBoundingClientRect();
+    return rect.width > 0 ? this.elements.cropCanvas.width / rect.width : 1;
+  }
+
+  toCanvasPoint(e) {
+    const canvas = this.elements.cropCanvas;
+    const rect = canvas.getBoundingClientRect();
+    const scale = this.getCanvasScale();
+
+    return {
+      x: Math.min(canvas.width, Math.max(0, (e.clientX - rect.left) * scale)),
+      y: Math.min(canvas.height, Math.max(0, (e.clientY - rect.top) * scale))
+    };
+  }
+
+  onPointerDown(e) {
+    if (!this.frame) return;
+
+    const point = this.toCanvasPoint(e);
+    const reach = HANDLE_RADIUS * 2 * this.getCanvasScale();
+
+    let nearest = -1;
+    let nearestDistance = reach;
+    this.frame.quad.forEach((corner, i) => {
+      const distance = Math.hypot(corner.x - point.x, corner.y - point.y);
+      if (distance <= nearestDistance) {
+        nearest = i;
+        nearestDistance = distance;
+      }
+    });
+
+    this.dragging = nearest;
+    if (nearest >= 0) {
+      e.target.setPointerCapture?.(e.pointerId);
+    }
+  }
+
+  onPointerMove(e) {
+    if (!this.frame || this.dragging < 0) return;
+
+    this.frame.quad[this.dragging] = this.toCanvasPoint(e);
+    this.drawCrop();
+  }
+
+  finish(decision) {
+    const resolve = this.resolve;
+    this.resolve = null;
+    this.stopCropEdit();
+
+    if (resolve) {
+      resolve(decision);
+    }
+  }
+
+  close() {
+    this.stopCropEdit();
+    this.revokeImage();
+
+    if (this.elements) {
+      this.elements.panel.classList.remove('visible');
+    }
+  }
+
+  revokeImage() {
+    if (this.imageUrl) {
+      URL.revokeObjectURL(this.imageUrl);
+      this.imageUrl = null;
+    }
+  }
+}
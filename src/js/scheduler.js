@@ -0,0 +1,69 @@
+// Paces detection by measured inference time instead of display refresh.
+// At most one detection is in flight, and new ones start no faster than the
+// detections-per-second budget allows.
+export class DetectionScheduler {
+  constructor(options = {}) {
+    this.targetDps = options.targetDps ?? 5;
+    this.windowMs = options.windowMs ?? 2000; // Span the stats are averaged over
+    this.inFlight = false;
+    this.lastStart = -Infinity;
+    this.samples = []; // { end, latency }
+  }
+
+  setTargetDps(targetDps) {
+    this.targetDps = Math.max(0.1, targetDps);
+  }
+
+  get interval() {
+    return 1000 / this.targetDps;
+  }
+
+  shouldRun(now = performance.now()) {
+    return !this.inFlight && now - this.lastStart >= this.interval;
+  }
+
+  start(now = performance.now()) {
+    this.inFlight = true;
+    this.lastStart = now;
+    return now;
+  }
+
+  // `completedAt` is when inference returned; anything after it (drawing,
+  // capturing) still counts as in flight but not as latency. A detection
+  // started before a reset no longer counts.
+  finish(startedAt, completedAt = performance.now()) {
+    if (startedAt !== this.lastStart) return;
+
+    this.inFlight = false;
+    this.samples.push({ end: completedAt, latency: completedAt - startedAt });
+    this.prune(completedAt);
+  }
+
+  prune(now) {
+    while (this.samples.length > 0 && now - this.samples[0].end > this.windowMs) {
+      this.samples.shift();
+    }
+  }
+
+  getStats(now = performance.now()) {
+    this.prune(now);
+
+    if (this.samples.length === 0) {
+      return { latency: 0, dps: 0, targetDps: this.targetDps };
+    }
+
+    const latency = this.samples.reduce((sum, sample) => sum + sample.latency, 0) / this.samples.length;
+
+    return {
+      latency: Math.round(latency),
+      dps: Math.round((this.samples.length / this.windowMs) * 1000 * 10) / 10,
+      targetDps: this.targetDps
+    };
+  }
+
+  reset() {
+    this.inFlight = false;
+    this.lastStart = -Infinity;
+    this.samples = [];
+  }
+}
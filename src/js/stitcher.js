@@ -0,0 +1,239 @@
+import { windowSum } from './image-utils.js';
+
+// Registration and stitching for long receipts captured in overlapping
+// segments. Segments are matched with Harris corners and normalised patch
+// descriptors; the receipt slides at a fixed distance from the camera, so
+// each pair of segments differs by a translation.
+
+const PATCH_RADIUS = 4; // 9x9 descriptor patches
+const HARRIS_RADIUS = 2;
+const HARRIS_K = 0.04;
+const CELL_SIZE = 12; // At most one feature per cell keeps them spread out
+const MIN_NCC = 0.85;
+const INLIER_TOLERANCE = 2; // Pixels
+const MIN_INLIERS = 8;
+
+// Strongest Harris corners, one per grid cell, with their descriptors
+export function detectFeatures(gray, width, height, options = {}) {
+  const maxFeatures = options.maxFeatures ?? 300;
+  const response = harrisResponse(gray, width, height);
+
+  let maxResponse = 0;
+  for (let i = 0; i < response.length; i++) {
+    if (response[i] > maxResponse) maxResponse = response[i];
+  }
+  if (maxResponse <= 0) return [];
+
+  const border = PATCH_RADIUS + HARRIS_RADIUS + 1;
+  const features = [];
+
+  for (let cy = border; cy < height - border; cy += CELL_SIZE) {
+    for (let cx = border; cx < width - border; cx += CELL_SIZE) {
+      let best = -1;
+      let bestScore = maxResponse * 0.01;
+      for (let y = cy; y < Math.min(cy + CELL_SIZE, height - border); y++) {
+        for (let x = cx; x < Math.min(cx + CELL_SIZE, width - border); x++) {
+          const i = y * width + x;
+          if (response[i] > bestScore) {
+            bestScore = response[i];
+            best = i;
+          }
+        }
+      }
+      if (best < 0) continue;
+
+      const x = best % width;
+      const y = Math.floor(best / width);
+      const descriptor = describePatch(gray, width, x, y);
+      if (descriptor) {
+        features.push({ x, y, score: bestScore, descriptor });
+      }
+    }
+  }
+
+  return features
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxFeatures);
+}
+
+function harrisResponse(gray, width, height) {
+  const xx = new Float32Array(width * height);
+  const yy = new Float32Array(width * height);
+  const xy = new Float32Array(width * height);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = (gray[i + 1] - gray[i - 1]) / 2;
+      const gy = (gray[i + width] - gray[i - width]) / 2;
+      xx[i] = gx * gx;
+      yy[i] = gy * gy;
+      xy[i] = gx * gy;
+    }
+  }
+
+  const sxx = windowSum(xx, width, height, HARRIS_RADIUS);
+  const syy = windowSum(yy, width, height, HARRIS_RADIUS);
+  const sxy = windowSum(xy, width, height, HARRIS_RADIUS);
+
+  const response = new Float32Array(width * height);
+  for (let i = 0; i < response.length; i++) {
+    const trace = sxx[i] + syy[i];
+    response[i] = sxx[i] * syy[i] - sxy[i] * sxy[i] - HARRIS_K * trace * trace;
+  }
+  return response;
+}
+
+// Zero-mean, unit-length patch, or null for flat patches
+function describePatch(gray, width, cx, cy) {
+  const size = PATCH_RADIUS * 2 + 1;
+  const patch = new Float32Array(size * size);
+
+  let mean = 0;
+  for (let dy = -PATCH_RADIUS, k = 0; dy <= PATCH_RADIUS; dy++) {
+    for (let dx = -PATCH_RADIUS; dx <= PATCH_RADIUS; dx++, k++) {
+      patch[k] = gray[(cy + dy) * width + cx + dx];
+      mean += patch[k];
+    }
+  }
+  mean /= patch.length;
+
+  let norm = 0;
+  for (let k = 0; k < patch.length; k++) {
+    patch[k] -= mean;
+    norm += patch[k] * patch[k];
+  }
+  norm = Math.sqrt(norm);
+  if (norm < 1e-3 * patch.length) return null;
+
+  for (let k = 0; k < patch.length; k++) patch[k] /= norm;
+  return patch;
+}
+
+// Mutual best matches by normalised cross-correlation
+export function matchFeatures(a, b) {
+  const bestForA = new Int32Array(a.length).fill(-1);
+  const scoreForA = new Float32Array(a.length).fill(MIN_NCC);
+  const bestForB = new Int32Array(b.length).fill(-1);
+  const scoreForB = new Float32Array(b.length).fill(MIN_NCC);
+
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      const score = dot(a[i].descriptor, b[j].descriptor);
+      if (score > scoreForA[i]) {
+        scoreForA[i] = score;
+        bestForA[i] = j;
+      }
+      if (score > scoreForB[j]) {
+        scoreForB[j] = score;
+        bestForB[j] = i;
+      }
+    }
+  }
+
+  const matches = [];
+  for (let j = 0; j < b.length; j++) {
+    const i = bestForB[j];
+    if (i >= 0 && bestForA[i] === j) {
+      matches.push({ a: a[i], b: b[j] });
+    }
+  }
+  return matches;
+}
+
+function dot(p, q) {
+  let sum = 0;
+  for (let k = 0; k < p.length; k++) sum += p[k] * q[k];
+  return sum;
+}
+
+// Translation most matches agree on, refined to the median of its inliers.
+// Maps points in `b` onto `a`; null when too few matches agree.
+export function estimateTranslation(matches) {
+  let best = [];
+
+  for (const candidate of matches) {
+    const dx = candidate.a.x - candidate.b.x;
+    const dy = candidate.a.y - candidate.b.y;
+    const inliers = matches.filter(match =>
+      Math.abs(match.a.x - match.b.x - dx) <= INLIER_TOLERANCE &&
+      Math.abs(match.a.y - match.b.y - dy) <= INLIER_TOLERANCE
+    );
+    if (inliers.length > best.length) best = inliers;
+  }
+
+  if (best.length < MIN_INLIERS) return null;
+
+  const median = (values) => {
+    const sorted = [...values].sort((p, q) => p - q);
+    return sorted[Math.floor(sorted.length / 2)];
+  };
+
+  return {
+    dx: median(best.map(match => match.a.x - match.b.x)),
+    dy: median(best.map(match => match.a.y - match.b.y)),
+    inliers: best.length,
+    confidence: best.length / matches.length
+  };
+}
+
+// Offset of `b` relative to `a` (both gray images of the same size), or
+// null when the two do not overlap convincingly
+export function registerImages(a, b, width, height) {
+  const featuresA = detectFeatures(a, width, height);
+  const featuresB = detectFeatures(b, width, height);
+  if (featuresA.length < MIN_INLIERS || featuresB.length < MIN_INLIERS) return null;
+
+  return estimateTranslation(matchFeatures(featuresA, featuresB));
+}
+
+/**
+ * Blend RGBA segments into one image. `positions` are each segment's
+ * top-left corner in a shared coordinate frame; overlaps are feathered so
+ * the seams between segments do not show.
+ */
+export function stitchSegments(segments, positions, options = {}) {
+  const feather = options.feather ?? 32;
+
+  const left = Math.min(...positions.map(position => Math.round(position.x)));
+  const top = Math.min(...positions.map(position => Math.round(position.y)));
+  const right = Math.max(...segments.map((segment, i) => Math.round(positions[i].x) + segment.width));
+  const bottom = Math.max(...segments.map((segment, i) => Math.round(positions[i].y) + segment.height));
+  const width = right - left;
+  const height = bottom - top;
+
+  const sums = new Float32Array(width * height * 3);
+  const weights = new Float32Array(width * height);
+
+  segments.forEach((segment, index) => {
+    const ox = Math.round(positions[index].x) - left;
+    const oy = Math.round(positions[index].y) - top;
+
+    for (let y = 0; y < segment.height; y++) {
+      // Trust a segment less towards its top and bottom edges
+      const edge = Math.min(y, segment.height - 1 - y) + 1;
+      const weight = Math.min(1, edge / feather);
+
+      for (let x = 0; x < segment.width; x++) {
+        const src = (y * segment.width + x) * 4;
+        const dst = (oy + y) * width + ox + x;
+        sums[dst * 3] += segment.data[src] * weight;
+        sums[dst * 3 + 1] += segment.data[src + 1] * weight;
+        sums[dst * 3 + 2] += segment.data[src + 2] * weight;
+        weights[dst] += weight;
+      }
+    }
+  });
+
+  // Uncovered pixels (from sideways drift) become paper white
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < weights.length; i++) {
+    const weight = weights[i];
+    data[i * 4] = weight > 0 ? sums[i * 3] / weight : 255;
+    data[i * 4 + 1] = weight > 0 ? sums[i * 3 + 1] / weight : 255;
+    data[i * 4 + 2] = weight > 0 ? sums[i * 3 + 2] / weight : 255;
+    data[i * 4 + 3] = 255;
+  }
+
+  return { data, width, height };
+}
@@ -61,7 +61,9 @@ export class StorageManager {
     return this.currentSessionId;
   }
 
-  async saveReceipt(blob, metadata = {}) {
+  // `attachments` are extra images kept with the receipt, e.g. the segments
+  // a long receipt was stitched from: [{ blob, kind }]
+  async saveReceipt(blob, metadata = {}, originalBlob = null, attachments = []) {
     if (!this.db) {
       throw new Error('Storage not initialized');
     }
@@ -70,12 +72,28 @@ export class StorageManager {
       // Convert blob to base64 for storage
       const base64 = await this.blobToBase64(blob);
       
+      // Keep the uncropped frame so the crop can be redone later
+      const original = originalBlob ? await this.blobToBase64(originalBlob) : null;
+      
+      const storedAttachments = [];
+      for (const attachment of attachments) {
+        storedAttachments.push({
+          kind: attachment.kind,
+          image: await this.blobToBase64(attachment.blob),
+          size: attachment.blob.size,
+          type: attachment.blob.type
+        });
+      }
+      
       const receipt = {
         timestamp: Date.now(),
         sessionId: this.currentSessionId,
         image: base64,
         size: blob.size,
         type: blob.type,
+        original,
+        originalSize: originalBlob ? originalBlob.size : 0,
+        attachments: storedAttachments,
         metadata: {
           ...metadata,
           userAgent: navigator.userAgent,
@@ -194,6 +212,22 @@ export class StorageManager {
     return updatedReceipt;
   }
 
+  // Swap a receipt's image for a new encoding of it, merging
+  // `metadataUpdates` into its metadata
+  async replaceImage(id, blob, metadataUpdates = {}) {
+    const receipt = await this.getReceipt(id);
+    if (!receipt) {
+      throw new Error(`Receipt ${id} not found`);
+    }
+    
+    return this.updateReceipt(id, {
+      image: await this.blobToBase64(blob),
+      size: blob.size,
+      type: blob.type,
+      metadata: { ...receipt.metadata, ...metadataUpdates }
+    });
+  }
+
   async addTag(receiptId, tag) {
     const receipt = await this.getReceipt(receiptId);
     if (!receipt) return;
@@ -238,7 +272,10 @@ export class StorageManager {
     
     for (const receipt of receipts) {
       // Estimate size (base64 is ~1.33x original size)
-      totalSize += receipt.size || 0;
+      totalSize += (receipt.size || 0) + (receipt.originalSize || 0);
+      for (const attachment of receipt.attachments || []) {
+        totalSize += attachment.size || 0;
+      }
     }
     
     return {
@@ -305,4 +342,4 @@ export class StorageManager {
     
     return this.base64ToBlob(receipt.image);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,130 @@
+import { CaptureManager } from './capture.js';
+import { boxIoU } from './image-utils.js';
+
+// Associates detections across frames so each receipt in view keeps one ID,
+// and with it its own stability/quality state and capture status.
+export class Tracker {
+  constructor(options = {}) {
+    this.tracks = [];
+    this.nextId = 1;
+    this.iouThreshold = options.iouThreshold ?? 0.3;
+    this.maxCenterDistance = options.maxCenterDistance ?? 0.5; // Fraction of the track's box diagonal
+    this.maxMisses = options.maxMisses ?? 5; // Frames a track survives without a match
+    this.createState = options.createState || (() => new CaptureManager());
+  }
+
+  // Match this frame's detections to tracks. Returns the tracks seen this
+  // frame; each detection is tagged with its `trackId`.
+  update(detections) {
+    const now = Date.now();
+    const matches = this.associate(detections);
+    const seen = [];
+
+    detections.forEach((detection, index) => {
+      let track = matches.get(index);
+
+      if (!track) {
+        track = {
+          id: this.nextId++,
+          capture: this.createState(),
+          captured: false,
+          hits: 0,
+          misses: 0,
+          firstSeen: now
+        };
+        this.tracks.push(track);
+      }
+
+      track.box = { ...detection.box };
+      track.detection = detection;
+      track.hits++;
+      track.misses = 0;
+      track.lastSeen = now;
+      detection.trackId = track.id;
+      seen.push(track);
+    });
+
+    // Age out tracks that have left the frame
+    for (const track of this.tracks) {
+      if (!seen.includes(track)) {
+        track.misses++;
+      }
+    }
+    this.tracks = this.tracks.filter(track => track.misses <= this.maxMisses);
+
+    return seen;
+  }
+
+  // Greedy assignment: strong IoU overlaps first, then nearby centroids for
+  // fast-moving receipts whose boxes no longer overlap much
+  associate(detections) {
+    const candidates = [];
+
+    this.tracks.forEach(track => {
+      detections.forEach((detection, index) => {
+        const iou = boxIoU(track.box, detection.box);
+        if (iou >= this.iouThreshold) {
+          candidates.push({ track, index, score: 1 + iou });
+          return;
+        }
+
+        const limit = Math.hypot(track.box.width, track.box.height) * this.maxCenterDistance;
+        const distance = this.centerDistance(track.box, detection.box);
+        if (distance < limit) {
+          candidates.push({ track, index, score: 1 - distance / limit });
+        }
+      });
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    const matches = new Map();
+    const usedTracks = new Set();
+    for (const { track, index } of candidates) {
+      if (matches.has(index) || usedTracks.has(track)) continue;
+      matches.set(index, track);
+      usedTracks.add(track);
+    }
+
+    return matches;
+  }
+
+  centerDistance(a, b) {
+    return Math.hypot(
+      (a.x + a.width / 2) - (b.x + b.width / 2),
+      (a.y + a.height / 2) - (b.y + b.height / 2)
+    );
+  }
+
+  getTrack(id) {
+    return this.tracks.find(track => track.id === id) || null;
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+
+  // Carry tracks over to a new frame size, e.g. after the camera resolution
+  // changed. Stability starts over but captured receipts stay captured.
+  rescale(from, to) {
+    if (!from?.width || !from?.height || !to?.width || !to?.height) return;
+
+    const scaleX = to.width / from.width;
+    const scaleY = to.height / from.height;
+    if (scaleX === 1 && scaleY === 1) return;
+
+    for (const track of this.tracks) {
+      track.box = {
+        x: track.box.x * scaleX,
+        y: track.box.y * scaleY,
+        width: track.box.width * scaleX,
+        height: track.box.height * scaleY
+      };
+      track.capture.reset?.();
+    }
+  }
+
+  reset() {
+    this.tracks = [];
+  }
+}
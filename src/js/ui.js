@@ -16,6 +16,7 @@ export class UIManager {
       loadingText: document.getElementById('loading-text'),
       modelStatus: document.getElementById('model-status'),
       fpsCounter: document.getElementById('fps-counter'),
+      detectionStats: document.getElementById('detection-stats'),
       captureFlash: document.getElementById('capture-flash'),
       settingsPanel: document.getElementById('settings-panel'),
       galleryPanel: document.getElementById('gallery-panel'),
@@ -104,7 +105,9 @@ export class UIManager {
     }
   }
 
-  updateStatus(message, type = 'info') {
+  // Errors and `persist`ed messages stay until the next status; anything
+  // else falls back to "Ready" after a few seconds
+  updateStatus(message, type = 'info', persist = false) {
     const statusEl = this.elements.modelStatus;
     
     // Clear existing timeout
@@ -117,7 +120,7 @@ export class UIManager {
     statusEl.className = `status-indicator ${type}`;
     
     // Auto-hide after 3 seconds for non-error messages
-    if (type !== 'error') {
+    if (type !== 'error' && !persist) {
       this.statusTimeout = setTimeout(() => {
         statusEl.textContent = 'Ready';
         statusEl.className = 'status-indicator success';
@@ -125,13 +128,21 @@ export class UIManager {
     }
   }
 
-  updateFPS(fps) {
+  updateFPS(fps, detectionStats = null) {
     if (!this.elements.fpsCounter) {
       this.elements.fpsCounter = document.getElementById('fps-counter');
     }
     if (this.elements.fpsCounter) {
       this.elements.fpsCounter.textContent = `${fps} FPS`;
     }
+    
+    if (!this.elements.detectionStats) {
+      this.elements.detectionStats = document.getElementById('detection-stats');
+    }
+    if (this.elements.detectionStats && detectionStats) {
+      const { dps, latency } = detectionStats;
+      this.elements.detectionStats.textContent = `${dps} DPS · ${latency} ms`;
+    }
   }
 
   flashCapture() {
@@ -148,6 +159,46 @@ export class UIManager {
     }
   }
 
+  renderModelOptions(models, selectedModel) {
+    const select = document.getElementById('model-select');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    
+    for (const [key, config] of Object.entries(models)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = config.displayName || key;
+      option.selected = key === selectedModel;
+      select.appendChild(option);
+    }
+  }
+
+  // `selectedId` is the camera in use; the first entry lets the app pick
+  renderCameraOptions(cameras, selectedId) {
+    const select = document.getElementById('camera-select');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    
+    const automatic = document.createElement('option');
+    automatic.value = '';
+    automatic.textContent = 'Default (rear camera)';
+    select.appendChild(automatic);
+    
+    for (const camera of cameras) {
+      const details = [];
+      if (camera.maxWidth && camera.maxHeight) details.push(`${camera.maxWidth}×${camera.maxHeight}`);
+      if (camera.facingMode) details.push(camera.facingMode === 'environment' ? 'rear' : camera.facingMode === 'user' ? 'front' : camera.facingMode);
+      
+      const option = document.createElement('option');
+      option.value = camera.deviceId;
+      option.textContent = details.length > 0 ? `${camera.label} (${details.join(', ')})` : camera.label;
+      option.selected = camera.deviceId === selectedId;
+      select.appendChild(option);
+    }
+  }
+
   showSettings() {
     this.elements.settingsPanel.classList.add('visible');
   }
@@ -0,0 +1,112 @@
+import { pipeline, RawImage } from '@xenova/transformers';
+import { VERIFIER_MODEL } from './models.js';
+import { cropImageData, boxIoU } from './image-utils.js';
+
+// Prompts scored against each candidate crop. The receipt probability is
+// the combined share of the receipt prompts.
+const RECEIPT_PROMPTS = [
+  'a photo of a paper receipt',
+  'a photo of a printed shopping receipt',
+  'a photo of an invoice or bill'
+];
+
+const OTHER_PROMPTS = [
+  'a photo of a mobile phone',
+  'a photo of a book',
+  'a photo of a laptop',
+  'a photo of a wallet',
+  'a photo of a table',
+  'a photo of a hand'
+];
+
+/**
+ * Second-stage check for detector output. COCO-trained detectors have no
+ * receipt class, so a zero-shot CLIP classifier decides whether each
+ * candidate crop actually looks like a receipt.
+ */
+export class ReceiptVerifier {
+  constructor(options = {}) {
+    this.classifier = null;
+    this.modelName = options.modelName || VERIFIER_MODEL.name;
+    this.threshold = options.threshold ?? 0.6;
+    this.maxCandidates = options.maxCandidates ?? 3;
+    this.onProgress = options.onProgress || (() => {});
+
+    // Boxes barely move between frames, so reuse recent verdicts
+    this.cacheMs = options.cacheMs ?? 1500;
+    this.cacheIoU = 0.6;
+    this.recent = [];
+  }
+
+  async init() {
+    if (this.classifier) return;
+
+    console.log(`Loading verification model: ${this.modelName}`);
+    this.classifier = await pipeline('zero-shot-image-classification', this.modelName, {
+      quantized: true,
+      progress_callback: (progress) => this.onProgress(progress)
+    });
+    console.log('Verification model loaded');
+  }
+
+  // Score the top candidates and keep those that look like receipts.
+  // `imageData` is the model input; `scale` maps frame boxes onto it, per axis.
+  async verify(detections, imageData, scale = { x: 1, y: 1 }) {
+    if (!this.classifier) {
+      throw new Error('Verifier not initialized. Call init() first.');
+    }
+
+    const now = Date.now();
+    this.recent = this.recent.filter(entry => now - entry.time < this.cacheMs);
+
+    const candidates = [...detections]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxCandidates);
+
+    for (const detection of candidates) {
+      const cached = this.recent.find(entry => boxIoU(entry.box, detection.box) > this.cacheIoU);
+
+      if (cached) {
+        detection.receiptScore = cached.receiptScore;
+        continue;
+      }
+
+      try {
+        detection.receiptScore = await this.scoreCrop(imageData, {
+          x: detection.box.x * scale.x,
+          y: detection.box.y * scale.y,
+          width: detection.box.width * scale.x,
+          height: detection.box.height * scale.y
+        });
+        this.recent.push({ box: { ...detection.box }, receiptScore: detection.receiptScore, time: now });
+      } catch (error) {
+        // Verification is an extra filter; never drop everything on a hiccup
+        console.warn('Receipt verification failed:', error.message);
+        detection.receiptScore = null;
+      }
+    }
+
+    return candidates.filter(detection =>
+      detection.receiptScore === null || detection.receiptScore >= this.threshold
+    );
+  }
+
+  async scoreCrop(imageData, box) {
+    const crop = cropImageData(imageData, box);
+    if (crop.width === 0 || crop.height === 0) return 0;
+
+    const image = new RawImage(crop.data, crop.width, crop.height, 4);
+    const results = await this.classifier(image, [...RECEIPT_PROMPTS, ...OTHER_PROMPTS], {
+      hypothesis_template: '{}' // Prompts are already full sentences
+    });
+
+    return results
+      .filter(result => RECEIPT_PROMPTS.includes(result.label))
+      .reduce((sum, result) => sum + result.score, 0);
+  }
+
+  dispose() {
+    this.classifier = null;
+    this.recent = [];
+  }
+}
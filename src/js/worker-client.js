@@ -0,0 +1,82 @@
+// Promise-based requests to a dedicated worker that takes
+// { id, type, payload } messages and answers { id, result } or
+// { id, error }. A worker that fails is terminated and the next request
+// starts a fresh one; requests it never answers are rejected after a
+// timeout, so callers are never left waiting.
+export class WorkerClient {
+  constructor(createWorker, options = {}) {
+    this.createWorker = createWorker;
+    this.name = options.name ?? 'Worker';
+    this.timeoutMs = options.timeoutMs ?? 30000;
+    this.onMessage = options.onMessage || (() => {}); // Messages that are not replies
+    this.onFailure = options.onFailure || (() => {});
+    this.worker = null;
+    this.pending = new Map();
+    this.nextRequestId = 1;
+  }
+
+  ensureWorker() {
+    if (this.worker) return this.worker;
+
+    const worker = this.createWorker();
+    worker.addEventListener('message', (event) => this.handleMessage(event.data));
+    worker.addEventListener('error', (event) => {
+      console.error(`${this.name} error:`, event.message);
+      const error = new Error(`${this.name} failed: ${event.message}`);
+      this.terminate(error);
+      this.onFailure(error);
+    });
+
+    this.worker = worker;
+    return worker;
+  }
+
+  handleMessage(message) {
+    const request = this.pending.get(message.id);
+    if (!request) {
+      this.onMessage(message);
+      return;
+    }
+
+    this.pending.delete(message.id);
+    clearTimeout(request.timer);
+
+    if (message.error) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  request(type, payload = {}, transfer = [], timeoutMs = this.timeoutMs) {
+    const worker = this.ensureWorker();
+    const id = this.nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${this.name} did not answer ${type} within ${timeoutMs}ms`));
+      }, timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      worker.postMessage({ id, type, payload }, transfer);
+    });
+  }
+
+  rejectAll(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  // Stop the worker and reject whatever was still waiting on it
+  terminate(error) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.rejectAll(error);
+  }
+}
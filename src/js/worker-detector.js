@@ -0,0 +1,132 @@
+import { DEFAULT_MODELS, normalizeModelConfig } from './models.js';
+import { WorkerClient } from './worker-client.js';
+
+export class WorkerDetector {
+  constructor(options = {}) {
+    this.modelName = null;
+    this.modelInfo = null;
+    this.isLoading = false;
+    this.models = { ...DEFAULT_MODELS };
+    this.loadTimeoutMs = options.loadTimeoutMs ?? 300000; // Model downloads can be slow
+    this.client = new WorkerClient(options.createWorker || (() => new Worker(
+      new URL('./detector.worker.js', import.meta.url),
+      { type: 'module' }
+    )), {
+      name: 'Detector worker',
+      timeoutMs: options.requestTimeoutMs ?? 30000,
+      onMessage: (message) => this.handleMessage(message),
+      // A new worker starts without a model
+      onFailure: () => {
+        this.modelName = null;
+        this.modelInfo = null;
+      }
+    });
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof createImageBitmap !== 'undefined';
+  }
+
+  // Messages from the worker that are not replies to a request
+  handleMessage(message) {
+    if (message.type === 'progress') {
+      const event = new CustomEvent('model-progress', { detail: message.progress });
+      window.dispatchEvent(event);
+    }
+  }
+
+  request(type, payload, transfer, timeoutMs) {
+    return this.client.request(type, payload, transfer, timeoutMs);
+  }
+
+  async init(modelName = 'yolos-tiny') {
+    if (this.isLoading) {
+      console.log('Model is already loading...');
+      return;
+    }
+
+    this.isLoading = true;
+
+    try {
+      this.modelInfo = await this.request('init', { modelName }, [], this.loadTimeoutMs);
+      this.modelName = modelName;
+      console.log(`Model loaded in worker: ${modelName}`);
+    } catch (error) {
+      console.error('Failed to load model:', error);
+      throw error;
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  async registerModel(key, config) {
+    // Validate here too so bad configs fail before reaching the worker, but
+    // only list the model once the worker has accepted it
+    const modelConfig = normalizeModelConfig(key, config);
+    await this.request('registerModel', { key, config });
+    this.models[key] = modelConfig;
+    return modelConfig;
+  }
+
+  async configureVerifier(options = {}) {
+    return this.request('configureVerifier', { options });
+  }
+
+  async switchModel(modelName) {
+    await this.init(modelName);
+  }
+
+  async createFrame(source) {
+    if (!source) {
+      console.error('Detection error: Source is null or undefined');
+      return null;
+    }
+
+    if (source instanceof HTMLVideoElement) {
+      if (!source.videoWidth || !source.videoHeight ||
+          source.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+        console.warn('Video not ready for processing:', {
+          videoWidth: source.videoWidth,
+          videoHeight: source.videoHeight,
+          readyState: source.readyState
+        });
+        return null;
+      }
+    }
+
+    return createImageBitmap(source);
+  }
+
+  async detect(source) {
+    if (!this.modelName) {
+      throw new Error('Model not initialized. Call init() first.');
+    }
+
+    const frame = await this.createFrame(source);
+    if (!frame) return [];
+
+    // Transfer the bitmap so the frame is not copied across threads
+    return this.request('detect', { frame }, [frame]);
+  }
+
+  async detectReceipts(source) {
+    if (!this.modelName) {
+      throw new Error('Model not initialized. Call init() first.');
+    }
+
+    const frame = await this.createFrame(source);
+    if (!frame) return [];
+
+    return this.request('detectReceipts', { frame }, [frame]);
+  }
+
+  dispose() {
+    this.client.terminate(new Error('Detector disposed'));
+    this.modelName = null;
+    this.modelInfo = null;
+  }
+
+  getModelInfo() {
+    return this.modelInfo;
+  }
+}
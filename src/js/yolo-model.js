@@ -0,0 +1,126 @@
+import { boxIoU } from './image-utils.js';
+
+// Runner for Ultralytics-style YOLO detectors exported to ONNX. The returned
+// function mirrors the transformers.js object-detection pipeline: it takes a
+// RawImage and resolves to [{ label, score, box: { xmin, ymin, xmax, ymax } }].
+// Classes are labelled LABEL_<index> like the pipeline's raw output; the
+// detector applies the model's label map.
+
+const PAD_VALUE = 114 / 255;
+
+export async function loadYoloModel(config) {
+  // Loaded lazily so the default models never pull in the raw runtime
+  const ort = await import('onnxruntime-web');
+  const session = await ort.InferenceSession.create(config.path, {
+    executionProviders: ['wasm']
+  });
+
+  const inputSize = config.inputSize || 640;
+
+  return async (image, { threshold = 0.5 } = {}) => {
+    const { tensor, scale, padX, padY } = letterbox(image, inputSize);
+    const input = new ort.Tensor('float32', tensor, [1, 3, inputSize, inputSize]);
+
+    const outputs = await session.run({ [session.inputNames[0]]: input });
+    const output = outputs[session.outputNames[0]];
+
+    return decodeYoloOutput(output.data, output.dims, {
+      threshold,
+      iouThreshold: config.iouThreshold ?? 0.45,
+      scale,
+      padX,
+      padY,
+      width: image.width,
+      height: image.height
+    });
+  };
+}
+
+// Fit the image into a padded square, returning a CHW float tensor in 0-1
+export function letterbox(image, size) {
+  const { data, width, height, channels } = image;
+  const scale = Math.min(size / width, size / height);
+  const scaledWidth = Math.round(width * scale);
+  const scaledHeight = Math.round(height * scale);
+  const padX = Math.floor((size - scaledWidth) / 2);
+  const padY = Math.floor((size - scaledHeight) / 2);
+
+  const plane = size * size;
+  const tensor = new Float32Array(3 * plane).fill(PAD_VALUE);
+
+  for (let y = 0; y < scaledHeight; y++) {
+    const sourceY = Math.min(height - 1, Math.floor(y / scale));
+    for (let x = 0; x < scaledWidth; x++) {
+      const sourceX = Math.min(width - 1, Math.floor(x / scale));
+      const sourceIndex = (sourceY * width + sourceX) * channels;
+      const targetIndex = (y + padY) * size + (x + padX);
+
+      tensor[targetIndex] = data[sourceIndex] / 255;
+      tensor[plane + targetIndex] = data[sourceIndex + (channels > 1 ? 1 : 0)] / 255;
+      tensor[2 * plane + targetIndex] = data[sourceIndex + (channels > 2 ? 2 : 0)] / 255;
+    }
+  }
+
+  return { tensor, scale, padX, padY };
+}
+
+// Output is [1, 4 + classes, anchors] with cx, cy, w, h in input pixels
+export function decodeYoloOutput(data, dims, options) {
+  const { threshold, iouThreshold, scale, padX, padY, width, height } = options;
+  const [, rows, anchors] = dims;
+  const classCount = rows - 4;
+  const candidates = [];
+
+  for (let i = 0; i < anchors; i++) {
+    let bestClass = 0;
+    let bestScore = 0;
+
+    for (let c = 0; c < classCount; c++) {
+      const score = data[(4 + c) * anchors + i];
+      if (score > bestScore) {
+        bestScore = score;
+        bestClass = c;
+      }
+    }
+
+    if (bestScore < threshold) continue;
+
+    const cx = (data[i] - padX) / scale;
+    const cy = (data[anchors + i] - padY) / scale;
+    const w = data[2 * anchors + i] / scale;
+    const h = data[3 * anchors + i] / scale;
+
+    candidates.push({
+      label: `LABEL_${bestClass}`,
+      score: bestScore,
+      box: {
+        xmin: Math.max(0, cx - w / 2),
+        ymin: Math.max(0, cy - h / 2),
+        xmax: Math.min(width, cx + w / 2),
+        ymax: Math.min(height, cy + h / 2)
+      }
+    });
+  }
+
+  return nonMaxSuppression(candidates, iouThreshold);
+}
+
+export function nonMaxSuppression(detections, iouThreshold) {
+  const sorted = [...detections].sort((a, b) => b.score - a.score);
+  const kept = [];
+
+  for (const detection of sorted) {
+    const overlaps = kept.some(other =>
+      other.label === detection.label && boxIoU(toRect(other.box), toRect(detection.box)) > iouThreshold
+    );
+    if (!overlaps) {
+      kept.push(detection);
+    }
+  }
+
+  return kept;
+}
+
+function toRect({ xmin, ymin, xmax, ymax }) {
+  return { x: xmin, y: ymin, width: xmax - xmin, height: ymax - ymin };
+}
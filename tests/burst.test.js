@@ -0,0 +1,72 @@
+import { describe, it, expect, vi } from 'vitest';
+import { BurstCapture } from '../src/js/burst.js';
+
+describe('BurstCapture', () => {
+  // Sampler that hands out numbered frames in order
+  const createSampler = (count = Infinity) => {
+    let next = 0;
+    return {
+      sample: vi.fn(() => next < count ? { index: next++, width: 64, height: 36 } : null)
+    };
+  };
+
+  it('should keep the frame with the best overall quality', async () => {
+    const overall = [0.6, 0.9, 0.7];
+    const burst = new BurstCapture({ frames: 3, windowMs: 0, sampler: createSampler() });
+    const grabFrame = vi.fn(() => ({ grabbed: true }));
+
+    const result = await burst.capture({}, (frame) => ({ overall: overall[frame.index] }), grabFrame);
+
+    expect(result.selected).toBe(1);
+    expect(result.scores.map(quality => quality.overall)).toEqual(overall);
+    expect(result.canvas).toEqual({ grabbed: true });
+  });
+
+  it('should only grab full-resolution frames that beat the best so far', async () => {
+    const overall = [0.9, 0.5, 0.4, 0.95];
+    const burst = new BurstCapture({ frames: 4, windowMs: 0, sampler: createSampler() });
+    const grabFrame = vi.fn();
+
+    await burst.capture({}, (frame) => ({ overall: overall[frame.index] }), grabFrame);
+
+    expect(grabFrame).toHaveBeenCalledTimes(2);
+  });
+
+  it('should spread the frames over the window', async () => {
+    vi.useFakeTimers();
+    const sampler = createSampler();
+    const burst = new BurstCapture({ frames: 3, windowMs: 400, sampler });
+
+    const pending = burst.capture({}, () => ({ overall: 0.5 }), vi.fn());
+    expect(sampler.sample).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(200);
+    expect(sampler.sample).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(200);
+    await pending;
+    expect(sampler.sample).toHaveBeenCalledTimes(3);
+
+    vi.useRealTimers();
+  });
+
+  it('should skip frames that could not be sampled', async () => {
+    const burst = new BurstCapture({ frames: 3, windowMs: 0, sampler: createSampler(1) });
+
+    const result = await burst.capture({}, () => ({ overall: 0.5 }), vi.fn(() => 'canvas'));
+
+    expect(result.scores).toEqual([{ overall: 0.5 }, null, null]);
+    expect(result.selected).toBe(0);
+  });
+
+  it('should return no canvas when nothing could be scored', async () => {
+    const burst = new BurstCapture({ frames: 2, windowMs: 0, sampler: createSampler(0) });
+    const grabFrame = vi.fn();
+
+    const result = await burst.capture({}, () => ({ overall: 1 }), grabFrame);
+
+    expect(result.canvas).toBeNull();
+    expect(result.selected).toBe(-1);
+    expect(grabFrame).not.toHaveBeenCalled();
+  });
+});
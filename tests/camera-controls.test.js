@@ -0,0 +1,186 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AutoTorch, CameraControls } from '../src/js/camera-controls.js';
+
+function createElement() {
+  const listeners = {};
+  const modeText = { textContent: '' };
+  return {
+    listeners,
+    modeText,
+    hidden: false,
+    textContent: '',
+    attributes: {},
+    classList: { toggle: vi.fn(), add: vi.fn(), remove: vi.fn() },
+    setAttribute: vi.fn(function (name, value) { this.attributes[name] = value; }),
+    addEventListener: vi.fn((type, handler) => { listeners[type] = handler; }),
+    querySelector: vi.fn(() => modeText)
+  };
+}
+
+describe('AutoTorch', () => {
+  let torch;
+
+  beforeEach(() => {
+    torch = new AutoTorch({ onReadings: 3, offReadings: 2, cooldownMs: 1000 });
+  });
+
+  it('should switch on after several dark readings in a row', () => {
+    expect(torch.update({ exposure: 0.1 }, 0)).toBeNull();
+    expect(torch.update({ exposure: 0.1 }, 0)).toBeNull();
+    expect(torch.update({ exposure: 0.1 }, 0)).toBe(true);
+  });
+
+  it('should not react to a single dark reading', () => {
+    torch.update({ exposure: 0.1 }, 0);
+    torch.update({ exposure: 0.1 }, 0);
+    torch.update({ exposure: 0.8 }, 0);
+
+    expect(torch.update({ exposure: 0.1 }, 0)).toBeNull();
+  });
+
+  it('should ignore frames without a lighting analysis', () => {
+    expect(torch.update({ blur: 0.5 }, 0)).toBeNull();
+    expect(torch.darkCount).toBe(0);
+  });
+
+  it('should back off when the torch causes glare and wait before retrying', () => {
+    for (let i = 0; i < 3; i++) torch.update({ exposure: 0.1 }, 0);
+
+    torch.update({ exposure: 0.9, glare: 0.2 }, 100);
+    expect(torch.update({ exposure: 0.9, glare: 0.2 }, 100)).toBe(false);
+
+    for (let i = 0; i < 3; i++) expect(torch.update({ exposure: 0.1 }, 500)).toBeNull();
+    expect(torch.update({ exposure: 0.1 }, 1200)).toBe(true);
+  });
+});
+
+describe('CameraControls', () => {
+  let elements;
+  let camera;
+  let controls;
+  let originalGetElementById;
+
+  beforeEach(() => {
+    elements = {
+      'camera-container': createElement(),
+      'torch-btn': createElement(),
+      'zoom-control': createElement(),
+      'zoom-slider': createElement(),
+      'zoom-value': createElement(),
+      'focus-mode-btn': createElement()
+    };
+    originalGetElementById = document.getElementById;
+    document.getElementById = vi.fn((id) => elements[id]);
+
+    camera = {
+      getCapabilities: vi.fn().mockResolvedValue({
+        torch: true,
+        zoom: { min: 1, max: 8, step: 0.1 },
+        focusMode: ['manual', 'single-shot', 'continuous']
+      }),
+      getSettings: vi.fn(() => ({ torch: false, zoom: 1, focusMode: 'continuous' })),
+      setTorch: vi.fn().mockResolvedValue(),
+      setZoom: vi.fn().mockResolvedValue(),
+      setFocus: vi.fn().mockResolvedValue()
+    };
+    controls = new CameraControls(camera);
+  });
+
+  afterEach(() => {
+    document.getElementById = originalGetElementById;
+  });
+
+  it('should show only the controls the track supports', async () => {
+    camera.getCapabilities.mockResolvedValue({ zoom: { min: 1, max: 1 }, focusMode: ['continuous'] });
+
+    await controls.init();
+
+    expect(elements['torch-btn'].hidden).toBe(true);
+    expect(elements['zoom-control'].hidden).toBe(true);
+    expect(elements['focus-mode-btn'].hidden).toBe(true);
+  });
+
+  it('should show all controls on a fully featured camera', async () => {
+    await controls.init();
+
+    expect(elements['torch-btn'].hidden).toBe(false);
+    expect(elements['zoom-control'].hidden).toBe(false);
+    expect(elements['zoom-slider'].max).toBe(8);
+    expect(elements['focus-mode-btn'].hidden).toBe(false);
+    expect(elements['focus-mode-btn'].modeText.textContent).toBe('AF-C');
+  });
+
+  it('should toggle the torch', async () => {
+    await controls.init();
+
+    await elements['torch-btn'].listeners.click();
+    await vi.waitFor(() => expect(controls.torchOn).toBe(true));
+
+    expect(camera.setTorch).toHaveBeenCalledWith(true);
+    expect(elements['torch-btn'].attributes['aria-pressed']).toBe('true');
+  });
+
+  it('should zoom from the slider within the supported range', async () => {
+    await controls.init();
+
+    await controls.setZoom(12);
+
+    expect(camera.setZoom).toHaveBeenLastCalledWith(8);
+    expect(elements['zoom-value'].textContent).toBe('8.0×');
+  });
+
+  it('should zoom with a two-finger pinch', async () => {
+    await controls.init();
+    const container = elements['camera-container'].listeners;
+
+    container.pointerdown({ pointerId: 1, clientX: 100, clientY: 100 });
+    container.pointerdown({ pointerId: 2, clientX: 200, clientY: 100 });
+    container.pointermove({ pointerId: 2, clientX: 300, clientY: 100 });
+
+    expect(controls.zoom).toBe(2);
+    await vi.waitFor(() => expect(camera.setZoom).toHaveBeenLastCalledWith(2));
+  });
+
+  it('should send only the latest zoom while one is being applied', async () => {
+    await controls.init();
+    let finish;
+    camera.setZoom.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+
+    const first = controls.setZoom(2);
+    controls.setZoom(3);
+    controls.setZoom(4);
+    finish();
+    await first;
+
+    expect(camera.setZoom.mock.calls.map(([zoom]) => zoom)).toEqual([2, 4]);
+  });
+
+  it('should switch between the supported autofocus modes', async () => {
+    await controls.init();
+
+    await controls.cycleFocusMode();
+
+    expect(camera.setFocus).toHaveBeenCalledWith('single-shot');
+    expect(elements['focus-mode-btn'].modeText.textContent).toBe('AF-S');
+  });
+
+  it('should switch the torch on in dim light', async () => {
+    await controls.init();
+    controls.autoTorch.onReadings = 2;
+
+    controls.updateLighting({ exposure: 0.1 });
+    controls.updateLighting({ exposure: 0.1 });
+
+    expect(camera.setTorch).toHaveBeenCalledWith(true);
+  });
+
+  it('should leave the torch alone once the user has taken over', async () => {
+    await controls.init();
+    controls.autoTorch.onReadings = 1;
+    controls.manualTorch = true;
+
+    controls.updateLighting({ exposure: 0.1 });
+
+    expect(camera.setTorch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,243 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CameraLifecycle } from '../src/js/camera-lifecycle.js';
+
+function createStream() {
+  const track = new MediaStreamTrack('video');
+  return { track, stream: new MediaStream([track]) };
+}
+
+function setHidden(hidden) {
+  document.hidden = hidden;
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+describe('CameraLifecycle', () => {
+  let camera;
+  let lifecycle;
+  let states;
+  let current;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubGlobal('document', Object.assign(new EventTarget(), { hidden: false }));
+    current = createStream();
+    camera = {
+      init: vi.fn(async () => {
+        current = createStream();
+        return current.stream;
+      }),
+      stop: vi.fn(),
+      getStream: vi.fn(() => current.stream)
+    };
+    states = [];
+    lifecycle = new CameraLifecycle(camera, {
+      baseDelayMs: 1000,
+      maxDelayMs: 4000,
+      maxAttempts: 3,
+      muteGraceMs: 2000,
+      onStateChange: (state, detail) => states.push({ state, ...detail })
+    });
+  });
+
+  afterEach(() => {
+    lifecycle.detach();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('should report the camera live once started', async () => {
+    const stream = await lifecycle.start();
+
+    expect(stream).toBe(current.stream);
+    expect(lifecycle.state).toBe('live');
+    expect(states.map(s => s.state)).toEqual(['starting', 'live']);
+    expect(states[1].recovered).toBe(false);
+  });
+
+  it('should pass start errors on and tell permission problems apart', async () => {
+    const denied = Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+    camera.init.mockRejectedValueOnce(new Error('Camera permission denied.', { cause: denied }));
+
+    await expect(lifecycle.start()).rejects.toThrow('Camera permission denied.');
+    expect(lifecycle.state).toBe('denied');
+
+    camera.init.mockRejectedValueOnce(new Error('Camera initialization failed'));
+    await expect(lifecycle.start()).rejects.toThrow('Camera initialization failed');
+    expect(lifecycle.state).toBe('failed');
+  });
+
+  it('should open the camera with the given function', async () => {
+    const { stream } = createStream();
+
+    await lifecycle.start(() => Promise.resolve(stream));
+
+    expect(camera.init).not.toHaveBeenCalled();
+    expect(lifecycle.track).toBe(stream.getVideoTracks()[0]);
+  });
+
+  describe('visibility', () => {
+    beforeEach(async () => {
+      await lifecycle.start();
+      lifecycle.attach();
+    });
+
+    it('should release the camera in the background and reopen it on return', async () => {
+      setHidden(true);
+
+      expect(camera.stop).toHaveBeenCalled();
+      expect(lifecycle.state).toBe('paused');
+
+      setHidden(false);
+      await lifecycle.opening;
+
+      expect(camera.init).toHaveBeenCalledTimes(2);
+      expect(lifecycle.state).toBe('live');
+      expect(states.at(-1).recovered).toBe(true);
+    });
+
+    it('should let go again when hidden while the camera was opening', async () => {
+      setHidden(true);
+      document.hidden = false;
+      const reopening = lifecycle.reconnect();
+      document.hidden = true;
+
+      expect(await reopening).toBeNull();
+      expect(lifecycle.state).toBe('paused');
+    });
+
+    it('should stop listening once detached', () => {
+      lifecycle.detach();
+
+      setHidden(true);
+
+      expect(lifecycle.state).toBe('live');
+    });
+  });
+
+  describe('lost track', () => {
+    beforeEach(async () => {
+      await lifecycle.start();
+    });
+
+    it('should reopen the camera with growing delays until it is back', async () => {
+      camera.init.mockRejectedValueOnce(new Error('Camera is already in use'));
+      camera.init.mockRejectedValueOnce(new Error('Camera is already in use'));
+
+      current.track.dispatchEvent(new Event('ended'));
+      expect(states.at(-1)).toMatchObject({ state: 'reconnecting', attempt: 1, delay: 1000 });
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(states.at(-1)).toMatchObject({ state: 'reconnecting', attempt: 2, delay: 2000 });
+
+      await vi.advanceTimersByTimeAsync(2000);
+      expect(states.at(-1)).toMatchObject({ state: 'reconnecting', attempt: 3, delay: 4000 });
+
+      await vi.advanceTimersByTimeAsync(4000);
+      expect(lifecycle.state).toBe('live');
+      expect(lifecycle.attempts).toBe(0);
+    });
+
+    it('should give up after the last attempt until asked to retry', async () => {
+      camera.init.mockRejectedValue(new Error('No camera found'));
+
+      current.track.dispatchEvent(new Event('ended'));
+      await vi.advanceTimersByTimeAsync(1000 + 2000 + 4000);
+
+      expect(lifecycle.state).toBe('failed');
+      expect(camera.init).toHaveBeenCalledTimes(4);
+
+      camera.init.mockImplementation(async () => createStream().stream);
+      await lifecycle.retry();
+
+      expect(lifecycle.state).toBe('live');
+    });
+
+    it('should stop retrying once permission is refused', async () => {
+      const denied = Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+      camera.init.mockRejectedValue(new Error('Camera permission denied.', { cause: denied }));
+
+      current.track.dispatchEvent(new Event('ended'));
+      await vi.advanceTimersByTimeAsync(10000);
+
+      expect(lifecycle.state).toBe('denied');
+      expect(camera.init).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop watching a track once replaced', async () => {
+      const old = current.track;
+      await lifecycle.start();
+
+      old.dispatchEvent(new Event('ended'));
+
+      expect(lifecycle.state).toBe('live');
+    });
+
+    it('should notice an ended track the event was missed for', () => {
+      current.track.readyState = 'ended';
+
+      lifecycle.checkTrack();
+
+      expect(lifecycle.state).toBe('reconnecting');
+    });
+  });
+
+  describe('muted track', () => {
+    beforeEach(async () => {
+      await lifecycle.start();
+    });
+
+    it('should wait for a muted track to come back', () => {
+      current.track.dispatchEvent(new Event('mute'));
+      expect(lifecycle.state).toBe('interrupted');
+
+      current.track.dispatchEvent(new Event('unmute'));
+      expect(lifecycle.state).toBe('live');
+      expect(states.at(-1).recovered).toBe(true);
+
+      vi.advanceTimersByTime(5000);
+      expect(camera.init).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reopen a track that stays muted', () => {
+      current.track.dispatchEvent(new Event('mute'));
+
+      vi.advanceTimersByTime(2000);
+
+      expect(camera.stop).toHaveBeenCalled();
+      expect(lifecycle.state).toBe('reconnecting');
+    });
+  });
+
+  describe('permission', () => {
+    let permission;
+
+    beforeEach(async () => {
+      permission = Object.assign(new EventTarget(), { state: 'granted' });
+      vi.stubGlobal('navigator', { permissions: { query: vi.fn().mockResolvedValue(permission) } });
+      await lifecycle.start();
+      await lifecycle.attach();
+    });
+
+    it('should release the camera when access is revoked and reopen it when granted', async () => {
+      permission.state = 'denied';
+      permission.dispatchEvent(new Event('change'));
+
+      expect(lifecycle.state).toBe('denied');
+      expect(camera.stop).toHaveBeenCalled();
+
+      permission.state = 'granted';
+      permission.dispatchEvent(new Event('change'));
+      await lifecycle.opening;
+
+      expect(lifecycle.state).toBe('live');
+    });
+
+    it('should carry on where the permission cannot be queried', async () => {
+      navigator.permissions.query.mockRejectedValueOnce(new TypeError("'camera' is not a valid permission name"));
+      const other = new CameraLifecycle(camera);
+
+      await expect(other.attach()).resolves.toBeUndefined();
+      other.detach();
+    });
+  });
+});
@@ -0,0 +1,420 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CameraManager } from '../src/js/camera.js';
+import { cropReceipt } from '../src/js/perspective.js';
+
+vi.mock('../src/js/perspective.js', () => ({
+  cropReceipt: vi.fn(() => ({ data: new Uint8ClampedArray(4), width: 1, height: 1, quad: [] }))
+}));
+
+describe('CameraManager - Still capture', () => {
+  let camera;
+  let video;
+  let photo;
+  let imageCapture;
+
+  // Canvas that remembers its size and hands out pixel data
+  const createCanvas = () => {
+    const canvas = new HTMLCanvasElement();
+    const ctx = {
+      drawImage: vi.fn(),
+      getImageData: vi.fn(() => ({ data: new Uint8ClampedArray(4), width: canvas.width, height: canvas.height })),
+      createImageData: vi.fn((width, height) => ({ data: new Uint8ClampedArray(width * height * 4) })),
+      putImageData: vi.fn()
+    };
+    canvas.getContext = vi.fn(() => ctx);
+    canvas.toBlob = vi.fn((callback) => callback(new Blob(['frame'])));
+    return canvas;
+  };
+
+  beforeEach(() => {
+    document.createElement = vi.fn(() => createCanvas());
+
+    video = new HTMLVideoElement();
+    video.videoWidth = 1920;
+    video.videoHeight = 1080;
+
+    photo = new Blob(['photo'], { type: 'image/jpeg' });
+    imageCapture = {
+      track: { readyState: 'live' },
+      getPhotoCapabilities: vi.fn().mockResolvedValue({
+        imageWidth: { min: 640, max: 4032 },
+        imageHeight: { min: 480, max: 3024 }
+      }),
+      takePhoto: vi.fn().mockResolvedValue(photo)
+    };
+    vi.stubGlobal('createImageBitmap', vi.fn().mockResolvedValue({ width: 4032, height: 3024, close: vi.fn() }));
+
+    camera = new CameraManager();
+    camera.video = video;
+    camera.imageCapture = imageCapture;
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should take a photo at the largest supported size', async () => {
+    const still = await camera.captureStill();
+
+    expect(imageCapture.takePhoto).toHaveBeenCalledWith({ imageWidth: 4032, imageHeight: 3024 });
+    expect(still.blob).toBe(photo);
+    expect(still.canvas.width).toBe(4032);
+  });
+
+  it('should save the camera photo without re-encoding it', async () => {
+    expect(await camera.captureImage()).toBe(photo);
+  });
+
+  it('should retry with default settings when the maximum is rejected', async () => {
+    imageCapture.takePhoto
+      .mockRejectedValueOnce(new Error('Invalid photo settings'))
+      .mockResolvedValueOnce(photo);
+
+    const still = await camera.captureStill();
+
+    expect(imageCapture.takePhoto).toHaveBeenLastCalledWith();
+    expect(still.blob).toBe(photo);
+    expect(camera.photoSettings).toEqual({});
+  });
+
+  it('should fall back to the video frame when takePhoto fails', async () => {
+    imageCapture.takePhoto.mockRejectedValue(new Error('Track busy'));
+
+    const still = await camera.captureStill();
+
+    expect(still.blob).toBeNull();
+    expect(still.canvas.width).toBe(1920);
+    expect(still.mapping).toEqual({ scale: 1, offsetX: 0, offsetY: 0 });
+  });
+
+  it('should use the video frame when ImageCapture is unavailable or disabled', async () => {
+    camera.imageCapture = null;
+    expect((await camera.captureStill()).blob).toBeNull();
+
+    camera.imageCapture = imageCapture;
+    camera.useStillCapture = false;
+    expect((await camera.captureStill()).blob).toBeNull();
+    expect(imageCapture.takePhoto).not.toHaveBeenCalled();
+  });
+
+  it('should not take a photo for sources other than the live video', async () => {
+    const canvas = createCanvas();
+    canvas.width = 1280;
+    canvas.height = 720;
+
+    const still = await camera.captureStill(canvas);
+
+    expect(imageCapture.takePhoto).not.toHaveBeenCalled();
+    expect(still.canvas.width).toBe(1280);
+  });
+
+  it('should map a 16:9 preview onto the centre of a 4:3 still', () => {
+    const mapping = camera.getPreviewMapping(video, { width: 4032, height: 3024 });
+
+    expect(mapping.scale).toBeCloseTo(2.1, 5);
+    expect(mapping.offsetX).toBeCloseTo(0, 5);
+    expect(mapping.offsetY).toBeCloseTo(378, 5);
+  });
+
+  it('should map a portrait preview onto a portrait still', () => {
+    video.videoWidth = 1080;
+    video.videoHeight = 1920;
+
+    const mapping = camera.getPreviewMapping(video, { width: 3024, height: 4032 });
+
+    expect(mapping.scale).toBeCloseTo(2.1, 5);
+    expect(mapping.offsetX).toBeCloseTo(378, 5);
+    expect(mapping.offsetY).toBeCloseTo(0, 5);
+  });
+
+  it('should refuse a still rotated relative to the preview', async () => {
+    video.videoWidth = 1080;
+    video.videoHeight = 1920;
+
+    expect(camera.getPreviewMapping(video, { width: 4032, height: 3024 })).toBeNull();
+    expect((await camera.captureStill()).blob).toBeNull();
+  });
+
+  it('should map the detection box and corners into the still', () => {
+    const detection = {
+      label: 'receipt',
+      box: { x: 100, y: 50, width: 200, height: 400 },
+      quad: [{ x: 100, y: 50 }, { x: 300, y: 50 }, { x: 300, y: 450 }, { x: 100, y: 450 }]
+    };
+
+    const mapped = camera.mapDetection(detection, { scale: 2, offsetX: 0, offsetY: 100 });
+
+    expect(mapped.box).toEqual({ x: 200, y: 200, width: 400, height: 800 });
+    expect(mapped.quad[2]).toEqual({ x: 600, y: 1000 });
+    expect(detection.box.x).toBe(100);
+  });
+
+  it('should crop the receipt out of the full-resolution still', async () => {
+    const detection = { label: 'receipt', box: { x: 100, y: 50, width: 200, height: 400 } };
+
+    const result = await camera.captureReceipt(video, detection, { padding: 0.02 });
+
+    const [frameData, mapped] = cropReceipt.mock.calls.at(-1);
+    expect(frameData.width).toBe(4032);
+    expect(mapped.box.x).toBeCloseTo(210, 5);
+    expect(mapped.box.y).toBeCloseTo(483, 5);
+    expect(result.original).toBe(photo);
+    expect(result.crop).toMatchObject({ frameWidth: 4032, frameHeight: 3024, still: true });
+  });
+
+  it('should re-crop a saved frame with hand-placed corners', async () => {
+    const quad = [{ x: 10, y: 20 }, { x: 300, y: 20 }, { x: 300, y: 500 }, { x: 10, y: 500 }];
+
+    const result = await camera.recropReceipt(photo, quad);
+
+    const [frameData, detection, options] = cropReceipt.mock.calls.at(-1);
+    expect(frameData.width).toBe(4032);
+    expect(detection).toEqual({ quad });
+    expect(options).toEqual({ padding: 0 });
+    expect(result.crop).toMatchObject({ padding: 0, frameWidth: 4032, frameHeight: 3024, adjusted: true });
+  });
+});
+
+describe('CameraManager - Device selection', () => {
+  let camera;
+  let stream;
+
+  beforeEach(() => {
+    stream = {
+      getVideoTracks: () => [{ getSettings: () => ({ deviceId: 'doc-cam' }) }],
+      getTracks: () => []
+    };
+    vi.stubGlobal('navigator', {
+      mediaDevices: {
+        getUserMedia: vi.fn().mockResolvedValue(stream),
+        enumerateDevices: vi.fn().mockResolvedValue([
+          { kind: 'audioinput', deviceId: 'mic', label: 'Microphone' },
+          {
+            kind: 'videoinput',
+            deviceId: 'doc-cam',
+            label: 'Document Camera',
+            getCapabilities: () => ({ width: { max: 3264 }, height: { max: 2448 }, facingMode: [] })
+          },
+          { kind: 'videoinput', deviceId: 'webcam', label: '' }
+        ])
+      }
+    });
+
+    camera = new CameraManager();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should list video inputs with their labels and capabilities', async () => {
+    const cameras = await camera.listCameras();
+
+    expect(cameras).toEqual([
+      { deviceId: 'doc-cam', label: 'Document Camera', facingMode: null, maxWidth: 3264, maxHeight: 2448 },
+      { deviceId: 'webcam', label: 'Camera 2', facingMode: null, maxWidth: null, maxHeight: null }
+    ]);
+  });
+
+  it('should open the picked camera by deviceId instead of facing mode', async () => {
+    camera.deviceId = 'doc-cam';
+
+    await camera.openStream();
+
+    const [constraints] = navigator.mediaDevices.getUserMedia.mock.calls[0];
+    expect(constraints.video.deviceId).toEqual({ exact: 'doc-cam' });
+    expect(constraints.video.facingMode).toBeUndefined();
+    expect(camera.deviceUnavailable).toBe(false);
+  });
+
+  it('should fall back to the default camera when the picked one is unplugged', async () => {
+    camera.deviceId = 'unplugged';
+    navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(
+      Object.assign(new Error('Requested device not found'), { name: 'NotFoundError' })
+    );
+
+    const result = await camera.openStream();
+
+    expect(result).toBe(stream);
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenLastCalledWith(camera.constraints);
+    expect(camera.deviceUnavailable).toBe(true);
+    expect(camera.deviceId).toBe('unplugged');
+  });
+
+  it('should not fall back when camera access is denied', async () => {
+    camera.deviceId = 'doc-cam';
+    navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(
+      Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' })
+    );
+
+    await expect(camera.openStream()).rejects.toThrow('Permission denied');
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+  });
+
+  it('should forget the picked camera when toggling facing mode', async () => {
+    camera.deviceId = 'doc-cam';
+    camera.init = vi.fn().mockResolvedValue(stream);
+
+    await camera.switchCamera();
+
+    expect(camera.deviceId).toBeNull();
+    expect(camera.constraints.video.facingMode).toBe('user');
+  });
+});
+
+describe('CameraManager - Point of interest', () => {
+  let camera;
+  let track;
+
+  beforeEach(() => {
+    track = {
+      getCapabilities: vi.fn(() => ({ focusMode: ['continuous', 'single-shot'], exposureMode: ['manual', 'continuous'] })),
+      applyConstraints: vi.fn().mockResolvedValue()
+    };
+    camera = new CameraManager();
+    camera.stream = { getVideoTracks: () => [track] };
+  });
+
+  it('should focus and meter on the given point', async () => {
+    await camera.setPointOfInterest({ x: 0.25, y: 0.75 });
+
+    expect(track.applyConstraints).toHaveBeenCalledWith({
+      advanced: [{ pointsOfInterest: [{ x: 0.25, y: 0.75 }], exposureMode: 'continuous' }]
+    });
+  });
+
+  it('should leave the exposure mode alone where the camera cannot meter automatically', async () => {
+    track.getCapabilities.mockReturnValue({ focusMode: ['continuous'] });
+
+    await camera.setPointOfInterest({ x: 0.5, y: 0.5 });
+
+    expect(track.applyConstraints).toHaveBeenCalledWith({
+      advanced: [{ pointsOfInterest: [{ x: 0.5, y: 0.5 }] }]
+    });
+  });
+});
+
+describe('CameraManager - Overlay', () => {
+  let camera;
+  const getElementById = document.getElementById;
+
+  beforeEach(() => {
+    vi.stubGlobal('window', { addEventListener: vi.fn(), removeEventListener: vi.fn() });
+    document.getElementById = vi.fn(() => ({ width: 0, height: 0 }));
+    camera = new CameraManager();
+    camera.video = { getBoundingClientRect: () => ({ width: 390, height: 844 }) };
+  });
+
+  afterEach(() => {
+    document.getElementById = getElementById;
+    vi.unstubAllGlobals();
+  });
+
+  it('should replace its resize listeners when the camera is reopened', () => {
+    camera.setupOverlay();
+    const [[, first]] = window.addEventListener.mock.calls;
+
+    camera.setupOverlay();
+
+    expect(window.removeEventListener).toHaveBeenCalledWith('resize', first);
+    expect(window.removeEventListener).toHaveBeenCalledWith('orientationchange', first);
+    expect(window.addEventListener).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('CameraManager - Resolution negotiation', () => {
+  let camera;
+  let stream;
+
+  const overconstrained = (constraint) =>
+    Object.assign(new Error(`Cannot satisfy ${constraint}`), { name: 'OverconstrainedError', constraint });
+  const requestedWidth = (call) => call[0].video.width;
+
+  beforeEach(() => {
+    stream = {
+      getVideoTracks: () => [{ getSettings: () => ({ width: 1280, height: 720 }) }],
+      getTracks: () => []
+    };
+    vi.stubGlobal('navigator', {
+      mediaDevices: { getUserMedia: vi.fn().mockResolvedValue(stream) }
+    });
+    camera = new CameraManager();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should ask for the first step of the preset', async () => {
+    await camera.openStream();
+
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith(camera.constraints);
+    expect(camera.obtainedResolution).toEqual({ width: 1280, height: 720, step: 0, fallback: false });
+  });
+
+  it('should step down the ladder when a size cannot be met', async () => {
+    navigator.mediaDevices.getUserMedia
+      .mockRejectedValueOnce(overconstrained('width'))
+      .mockRejectedValueOnce(overconstrained('height'));
+
+    await camera.openStream();
+
+    const calls = navigator.mediaDevices.getUserMedia.mock.calls;
+    expect(calls.map(requestedWidth)).toEqual([
+      { ideal: 1920, min: 1280 },
+      { ideal: 1280, min: 640 },
+      { ideal: 640, min: 640 }
+    ]);
+    expect(calls[2][0].video.facingMode).toBe('environment');
+    expect(camera.obtainedResolution.step).toBe(2);
+    expect(camera.obtainedResolution.fallback).toBe(true);
+  });
+
+  it('should end with no size constraints at all', async () => {
+    camera.resolution = 'speed';
+    const ladder = camera.getConstraintLadder();
+
+    expect(ladder).toHaveLength(4);
+    expect(ladder[0].video.width).toEqual({ ideal: 1280, min: 960 });
+    expect(ladder[3].video).toEqual({ facingMode: 'environment' });
+  });
+
+  it('should prefer large frames for capture detail', () => {
+    camera.resolution = 'detail';
+
+    expect(camera.getConstraintLadder()[0].video.width).toEqual({ ideal: 3840, min: 2560 });
+  });
+
+  it('should give up once even the unconstrained request is refused', async () => {
+    navigator.mediaDevices.getUserMedia.mockRejectedValue(overconstrained('aspectRatio'));
+
+    await expect(camera.openStream()).rejects.toThrow('Cannot satisfy aspectRatio');
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(4);
+  });
+
+  it('should not step down for errors other than sizes', async () => {
+    navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(
+      Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' })
+    );
+
+    await expect(camera.openStream()).rejects.toThrow('Permission denied');
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+  });
+
+  it('should treat an unsatisfiable deviceId as a missing camera', async () => {
+    camera.deviceId = 'unplugged';
+    navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(overconstrained('deviceId'));
+
+    await camera.openStream();
+
+    expect(camera.deviceUnavailable).toBe(true);
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenLastCalledWith(camera.constraints);
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(2);
+  });
+
+  it('should name the constraint when the camera cannot start', async () => {
+    camera.openStream = vi.fn().mockRejectedValue(overconstrained('frameRate'));
+
+    await expect(camera.init()).rejects.toThrow('Camera does not support the requested frameRate.');
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import { CaptureManager } from '../src/js/capture.js';
+import { boxBlur } from '../src/js/image-utils.js';
 
 describe('CaptureManager - Stability Detection', () => {
   let captureManager;
@@ -285,6 +286,16 @@ describe('CaptureManager - Stability Detection', () => {
       expect(quality.overall).toBeLessThanOrEqual(1);
     });
 
+    it('should score with a given stability or leave it out', () => {
+      const frameSize = { width: 1920, height: 1080 };
+
+      expect(captureManager.analyzeQuality(mockDetection, frameSize, null, 0.9).stability).toBe(0.9);
+
+      const quality = captureManager.analyzeQuality(mockDetection, frameSize, null, null);
+      expect(quality).not.toHaveProperty('stability');
+      expect(quality.overall).toBeGreaterThan(captureManager.analyzeQuality(mockDetection, frameSize).overall);
+    });
+
     it('should prefer centered detections', () => {
       const imageData = { width: 1000, height: 1000 };
       
@@ -553,4 +564,279 @@ describe('CaptureManager - Stability Detection', () => {
       expect(stabilityFrames.some(f => f > 0)).toBe(true);
     });
   });
-});
\ No newline at end of file
+
+  describe('Sharpness estimation', () => {
+    // Downscaled 640x360 frame (1/3 of 1080p) with a printed receipt; each
+    // blur pass is a 3x3 box filter
+    const createFrame = (blurPasses = 0) => {
+      const width = 640;
+      const height = 360;
+      let gray = new Uint8ClampedArray(width * height).fill(60);
+      for (let y = 60; y < 300; y++) {
+        for (let x = 220; x < 420; x++) {
+          const ink = y % 12 < 3 && x % 7 < 4;
+          gray[y * width + x] = ink ? 40 : 235;
+        }
+      }
+      for (let pass = 0; pass < blurPasses; pass++) {
+        gray = boxBlur(gray, width, height);
+      }
+      const data = new Uint8ClampedArray(width * height * 4);
+      for (let i = 0; i < gray.length; i++) {
+        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = gray[i];
+        data[i * 4 + 3] = 255;
+      }
+      return { data, width, height, scale: 1 / 3, frameWidth: 1920, frameHeight: 1080 };
+    };
+
+    // Receipt area in full 1080p frame coordinates
+    const receiptBox = { x: 660, y: 180, width: 600, height: 720 };
+
+    it('should score a crisp receipt as sharp', () => {
+      expect(captureManager.estimateBlur(createFrame(0), receiptBox)).toBeGreaterThan(0.9);
+    });
+
+    it('should score sharpness lower the more the frame is blurred', () => {
+      const slight = captureManager.estimateBlur(createFrame(2), receiptBox);
+      const heavy = captureManager.estimateBlur(createFrame(6), receiptBox);
+
+      expect(slight).toBeLessThan(0.9);
+      expect(heavy).toBeLessThan(slight);
+      expect(heavy).toBeLessThan(0.35);
+    });
+
+    it('should stay within 0-1', () => {
+      const flat = createFrame(0);
+      flat.data.fill(128);
+
+      expect(captureManager.estimateBlur(flat, receiptBox)).toBe(0);
+      expect(captureManager.estimateBlur(createFrame(0), receiptBox)).toBeLessThanOrEqual(1);
+    });
+
+    it('should fall back to the default without pixels', () => {
+      expect(captureManager.estimateBlur({ width: 1920, height: 1080 }, receiptBox)).toBe(0.8);
+      expect(captureManager.estimateBlur(null, receiptBox)).toBe(0.8);
+    });
+
+    it('should feed sharpness into the overall quality score', () => {
+      const detection = { ...mockDetection, box: receiptBox };
+
+      const sharp = captureManager.analyzeQuality(detection, { width: 1920, height: 1080 }, createFrame(0));
+      const blurry = captureManager.analyzeQuality(detection, { width: 1920, height: 1080 }, createFrame(6));
+
+      expect(sharp.blur).toBeGreaterThan(blurry.blur);
+      expect(sharp.overall).toBeGreaterThan(blurry.overall);
+    });
+
+    it('should not auto-capture blurry frames however stable', () => {
+      const detection = { ...mockDetection, box: receiptBox };
+      const blurry = createFrame(6);
+
+      for (let i = 0; i < 10; i++) {
+        expect(captureManager.shouldCapture(detection, 3, blurry)).toBe(false);
+      }
+      expect(captureManager.getStats().sharpness).toBeLessThan(captureManager.minSharpness);
+    });
+
+    it('should auto-capture once the frame is sharp', () => {
+      const detection = { ...mockDetection, box: receiptBox };
+      const sharp = createFrame(0);
+
+      let captured = false;
+      for (let i = 0; i < 10 && !captured; i++) {
+        captured = captureManager.shouldCapture(detection, 3, sharp);
+      }
+
+      expect(captured).toBe(true);
+    });
+
+    it('should honour a configured minimum sharpness', () => {
+      const strict = new CaptureManager({ minSharpness: 0.99 });
+      const detection = { ...mockDetection, box: receiptBox };
+
+      for (let i = 0; i < 10; i++) {
+        expect(strict.shouldCapture(detection, 3, createFrame(0))).toBe(false);
+      }
+    });
+  });
+
+  describe('Lighting analysis', () => {
+    // 1/3-scale frame with a printed receipt; `paper` picks the paper
+    // brightness at each sample pixel so tests can add glare or shadow
+    const createFrame = (paper = () => 225) => {
+      const width = 640;
+      const height = 360;
+      const data = new Uint8ClampedArray(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const inReceipt = x >= 220 && x < 420 && y >= 60 && y < 300;
+          const ink = inReceipt && y % 12 < 3 && x % 7 < 4;
+          const value = !inReceipt ? 60 : ink ? 40 : paper(x, y);
+          const i = (y * width + x) * 4;
+          data[i] = data[i + 1] = data[i + 2] = value;
+          data[i + 3] = 255;
+        }
+      }
+      return { data, width, height, scale: 1 / 3, frameWidth: 1920, frameHeight: 1080 };
+    };
+
+    const receiptBox = { x: 660, y: 180, width: 600, height: 720 };
+    const analyze = (frame) => captureManager.analyzeLighting(frame, receiptBox);
+
+    it('should pass an evenly lit receipt', () => {
+      const lighting = analyze(createFrame());
+
+      expect(lighting.highlights).toBe(1);
+      expect(lighting.glare).toBe(1);
+      expect(lighting.exposure).toBeGreaterThan(0.9);
+      expect(lighting.shadow).toBe(1);
+      expect(captureManager.getBlockingIssues({ blur: 1, ...lighting })).toEqual([]);
+    });
+
+    it('should flag a specular hotspot as glare', () => {
+      const hotspot = (x, y) => Math.hypot(x - 280, y - 120) < 35 ? 255 : 225;
+
+      const lighting = analyze(createFrame(hotspot));
+
+      expect(lighting.glare).toBeLessThan(0.5);
+      expect(lighting.highlights).toBeGreaterThan(0.5);
+      expect(captureManager.getBlockingIssues(lighting)).toEqual(['glare']);
+    });
+
+    it('should flag a blown-out receipt as clipped highlights', () => {
+      const lighting = analyze(createFrame(() => 255));
+
+      expect(lighting.highlights).toBeLessThan(0.5);
+      expect(captureManager.getBlockingIssues(lighting)).toContain('highlights');
+    });
+
+    it('should flag a dark receipt as underexposed', () => {
+      const lighting = analyze(createFrame(() => 85));
+
+      expect(lighting.exposure).toBeLessThan(0.5);
+      expect(captureManager.getBlockingIssues(lighting)).toEqual(['exposure']);
+    });
+
+    it('should flag a hard shadow across the paper', () => {
+      const lighting = analyze(createFrame((x) => x < 320 ? 225 : 95));
+
+      expect(lighting.shadow).toBeLessThan(0.5);
+      expect(captureManager.getBlockingIssues(lighting)).toContain('shadow');
+    });
+
+    it('should tolerate a soft lighting gradient', () => {
+      const lighting = analyze(createFrame((x) => 235 - (x - 220) * 0.2));
+
+      expect(lighting.shadow).toBeGreaterThan(0.5);
+    });
+
+    it('should report no lighting components without pixels', () => {
+      expect(captureManager.analyzeLighting({ width: 1920, height: 1080 }, receiptBox)).toEqual({});
+      expect(captureManager.analyzeQuality(mockDetection, { width: 1920, height: 1080 })).not.toHaveProperty('glare');
+    });
+
+    it('should block auto-capture and expose the issue for hints', () => {
+      const detection = { ...mockDetection, box: receiptBox };
+      const frame = createFrame((x, y) => Math.hypot(x - 280, y - 120) < 35 ? 255 : 225);
+
+      for (let i = 0; i < 10; i++) {
+        expect(captureManager.shouldCapture(detection, 3, frame)).toBe(false);
+      }
+      expect(captureManager.getStats().issues).toEqual(['glare']);
+    });
+
+    it('should honour configured lighting gates', () => {
+      const lenient = new CaptureManager({ lightingGates: { glare: 0 } });
+      const lighting = analyze(createFrame((x, y) => Math.hypot(x - 280, y - 120) < 35 ? 255 : 225));
+
+      expect(lenient.getBlockingIssues(lighting)).toEqual([]);
+    });
+  });
+
+  describe('Frame coordinates', () => {
+    // The same receipt framed the same way, in pixels of a given frame
+    const framed = (width, height, box) => ({
+      ...mockDetection,
+      box: {
+        x: box.x * width,
+        y: box.y * height,
+        width: box.width * width,
+        height: box.height * height
+      }
+    });
+
+    const centered = { x: 0.3, y: 0.2, width: 0.4, height: 0.6 };
+
+    it('should score a centered receipt on a portrait phone as ideal', () => {
+      const frameSize = { width: 1080, height: 1920 };
+      const quality = captureManager.analyzeQuality(framed(1080, 1920, centered), frameSize);
+
+      expect(quality.position).toBeCloseTo(1, 5);
+      expect(quality.size).toBe(1);
+    });
+
+    it('should give a 4K webcam the same scores as 1080p', () => {
+      const hd = captureManager.analyzeQuality(framed(1920, 1080, centered), { width: 1920, height: 1080 });
+      const uhd = captureManager.analyzeQuality(framed(3840, 2160, centered), { width: 3840, height: 2160 });
+
+      expect(uhd.size).toBeCloseTo(hd.size, 5);
+      expect(uhd.position).toBeCloseTo(hd.position, 5);
+    });
+
+    it('should penalise a receipt at the edge of a tablet frame', () => {
+      const frameSize = { width: 2048, height: 1536 };
+      const edge = { x: 0, y: 0, width: 0.25, height: 0.4 };
+
+      const middle = captureManager.analyzePosition(framed(2048, 1536, centered).box, frameSize);
+      const corner = captureManager.analyzePosition(framed(2048, 1536, edge).box, frameSize);
+
+      expect(middle).toBeCloseTo(1, 5);
+      expect(corner).toBeLessThan(0.5);
+      expect(captureManager.calculateSize(framed(2048, 1536, edge).box, frameSize)).toBeLessThan(1);
+    });
+
+    it('should measure stability relative to the frame', () => {
+      // 20px of jitter is small at 4K but a lot on a 640x480 frame
+      const jitter = (manager, frameSize) => {
+        for (let i = 0; i < 5; i++) {
+          manager.updateHistory({ x: 100 + (i % 2) * 20, y: 100, width: 200, height: 300 });
+        }
+        return manager.calculateStability(frameSize);
+      };
+
+      const uhd = jitter(new CaptureManager(), { width: 3840, height: 2160 });
+      const vga = jitter(new CaptureManager(), { width: 640, height: 480 });
+
+      expect(uhd).toBeGreaterThan(0.7);
+      expect(vga).toBe(0);
+    });
+
+    it('should score quality against the frame the detection came from', () => {
+      const spy = vi.spyOn(captureManager, 'analyzeQuality');
+
+      captureManager.shouldCapture(framed(1080, 1920, centered), 3, { frameWidth: 1080, frameHeight: 1920 });
+
+      expect(spy.mock.calls[0][1]).toEqual({ width: 1080, height: 1920 });
+      expect(captureManager.lastQuality.position).toBeCloseTo(1, 5);
+    });
+
+    it('should keep the last known frame size when no frame is given', () => {
+      captureManager.shouldCapture(framed(3840, 2160, centered), 3, { frameWidth: 3840, frameHeight: 2160 });
+      captureManager.shouldCapture(framed(3840, 2160, centered), 3);
+
+      expect(captureManager.frameSize).toEqual({ width: 3840, height: 2160 });
+      expect(captureManager.lastQuality.size).toBe(1);
+    });
+
+    it('should derive the frame size from a downscaled sample', () => {
+      expect(captureManager.getFrameSize({ width: 360, height: 640, scale: 1 / 3 }))
+        .toEqual({ width: 1080, height: 1920 });
+    });
+
+    it('should not report lighting issues for a frame without pixels', () => {
+      captureManager.shouldCapture(framed(1080, 1920, centered), 3, { frameWidth: 1080, frameHeight: 1920 });
+
+      expect(captureManager.getStats().issues).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { createClassicalModel, findPaperRegions, paperness } from '../src/js/classical-detector.js';
+
+// RGBA image shaped like the RawImage the Detector passes to its model
+function createImage(width, height, background, rects = []) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const rect = rects.find(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+      const [r, g, b] = rect ? rect.color : background;
+      const i = (y * width + x) * 4;
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height, channels: 4 };
+}
+
+const DESK = [90, 60, 40];
+const WHITE = [240, 240, 235];
+
+describe('Classical detector', () => {
+  it('should find a white receipt on a dark desk', () => {
+    const image = createImage(320, 240, DESK, [
+      { x: 120, y: 30, width: 80, height: 180, color: WHITE }
+    ]);
+
+    const [detection] = findPaperRegions(image);
+
+    expect(detection.label).toBe('receipt');
+    expect(detection.score).toBeGreaterThan(0.85);
+    expect(detection.box.xmin).toBeCloseTo(120, -1);
+    expect(detection.box.ymin).toBeCloseTo(30, -1);
+    expect(detection.box.xmax).toBeCloseTo(200, -1);
+    expect(detection.box.ymax).toBeCloseTo(210, -1);
+  });
+
+  it('should find several receipts in one frame', () => {
+    const image = createImage(320, 240, DESK, [
+      { x: 20, y: 20, width: 60, height: 150, color: WHITE },
+      { x: 200, y: 40, width: 70, height: 160, color: WHITE }
+    ]);
+
+    expect(findPaperRegions(image)).toHaveLength(2);
+  });
+
+  it('should find nothing in a uniform frame', () => {
+    const image = createImage(160, 120, DESK);
+
+    expect(findPaperRegions(image)).toEqual([]);
+  });
+
+  it('should ignore regions covering most of the frame', () => {
+    const image = createImage(160, 120, DESK, [
+      { x: 0, y: 0, width: 160, height: 115, color: WHITE }
+    ]);
+
+    expect(findPaperRegions(image)).toEqual([]);
+  });
+
+  it('should ignore non-rectangular bright shapes', () => {
+    // An L shape fills barely half of its fitted quadrilateral
+    const image = createImage(200, 200, DESK, [
+      { x: 40, y: 40, width: 30, height: 120, color: WHITE },
+      { x: 40, y: 130, width: 120, height: 30, color: WHITE }
+    ]);
+
+    expect(findPaperRegions(image)).toEqual([]);
+  });
+
+  it('should rank white paper above saturated colours', () => {
+    expect(paperness(createImage(1, 1, WHITE)).at(0)).toBeGreaterThan(
+      paperness(createImage(1, 1, [250, 140, 20])).at(0)
+    );
+  });
+
+  it('should apply the score threshold like the ML pipelines', async () => {
+    const model = createClassicalModel();
+    const image = createImage(320, 240, DESK, [
+      { x: 120, y: 30, width: 80, height: 180, color: WHITE }
+    ]);
+
+    expect(await model(image, { threshold: 0.5 })).toHaveLength(1);
+    expect(await model(image, { threshold: 1.01 })).toHaveLength(0);
+  });
+});
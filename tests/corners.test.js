@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { findReceiptCorners } from '../src/js/corners.js';
+
+// Dark frame with a bright convex quadrilateral painted on it
+function createFrame(width, height, corners) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const inside = (px, py) => {
+    for (let i = 0; i < corners.length; i++) {
+      const a = corners[i];
+      const b = corners[(i + 1) % corners.length];
+      if ((b.x - a.x) * (py - a.y) - (b.y - a.y) * (px - a.x) < 0) return false;
+    }
+    return true;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = inside(x, y) ? 235 : 40;
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+
+  return { data, width, height };
+}
+
+function expectNear(point, expected, tolerance) {
+  expect(Math.abs(point.x - expected.x)).toBeLessThanOrEqual(tolerance);
+  expect(Math.abs(point.y - expected.y)).toBeLessThanOrEqual(tolerance);
+}
+
+describe('findReceiptCorners', () => {
+  it('should find the corners of an axis-aligned receipt', () => {
+    const corners = [
+      { x: 60, y: 40 }, { x: 140, y: 40 }, { x: 140, y: 260 }, { x: 60, y: 260 }
+    ];
+    const frame = createFrame(200, 300, corners);
+    
+    const quad = findReceiptCorners(frame, { x: 55, y: 35, width: 90, height: 230 });
+    
+    expect(quad).toHaveLength(4);
+    quad.forEach((point, i) => expectNear(point, corners[i], 4));
+  });
+
+  it('should find the corners of a rotated receipt in top-left, clockwise order', () => {
+    const corners = [
+      { x: 90, y: 30 }, { x: 170, y: 60 }, { x: 110, y: 270 }, { x: 30, y: 240 }
+    ];
+    const frame = createFrame(200, 300, corners);
+    
+    const quad = findReceiptCorners(frame, { x: 30, y: 30, width: 140, height: 240 });
+    
+    expect(quad).toHaveLength(4);
+    quad.forEach((point, i) => expectNear(point, corners[i], 6));
+  });
+
+  it('should return null for a uniform region', () => {
+    const frame = createFrame(100, 100, []);
+    frame.data.fill(128);
+    
+    expect(findReceiptCorners(frame, { x: 10, y: 10, width: 80, height: 80 })).toBeNull();
+  });
+
+  it('should return null for a degenerate box', () => {
+    const frame = createFrame(100, 100, []);
+    
+    expect(findReceiptCorners(frame, { x: 10, y: 10, width: 2, height: 2 })).toBeNull();
+  });
+});
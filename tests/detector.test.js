@@ -4,12 +4,27 @@ import { Detector } from '../src/js/detector.js';
 // Mock @xenova/transformers
 vi.mock('@xenova/transformers', () => ({
   pipeline: vi.fn(),
+  RawImage: class RawImage {
+    constructor(data, width, height, channels) {
+      this.data = data;
+      this.width = width;
+      this.height = height;
+      this.channels = channels;
+    }
+  },
   env: {
     allowLocalModels: false,
     useBrowserCache: true
   }
 }));
 
+// Blank RGBA pixels sized like the requested region
+const createImageData = vi.fn((x, y, width, height) => ({
+  data: new Uint8ClampedArray(width * height * 4),
+  width,
+  height
+}));
+
 describe('Detector - Input Validation & Error Handling', () => {
   let detector;
   let mockPipeline;
@@ -44,6 +59,10 @@ describe('Detector - Input Validation & Error Handling', () => {
     mockCanvas = new HTMLCanvasElement();
     mockCanvas.width = 640;
     mockCanvas.height = 480;
+    mockCanvas.getContext = vi.fn(() => ({
+      drawImage: vi.fn(),
+      getImageData: createImageData
+    }));
 
     mockImage = new HTMLImageElement();
     mockImage.naturalWidth = 800;
@@ -55,7 +74,8 @@ describe('Detector - Input Validation & Error Handling', () => {
         const canvas = new HTMLCanvasElement();
         canvas.getContext = vi.fn(() => ({
           drawImage: vi.fn(),
-          clearRect: vi.fn()
+          clearRect: vi.fn(),
+          getImageData: createImageData
         }));
         return canvas;
       }
@@ -257,7 +277,10 @@ describe('Detector - Input Validation & Error Handling', () => {
       const result = await detector.detect(mockCanvas);
       
       expect(result).toHaveLength(1);
-      expect(mockPipeline).toHaveBeenCalledWith(mockCanvas, expect.any(Object));
+      expect(mockPipeline).toHaveBeenCalledWith(
+        expect.objectContaining({ width: 640, height: 480, channels: 4 }),
+        expect.any(Object)
+      );
     });
 
     it('should return empty array for canvas with zero dimensions', async () => {
@@ -490,6 +513,280 @@ describe('Detector - Input Validation & Error Handling', () => {
     });
   });
 
+  describe('Raw pixel model input', () => {
+    it('should not encode frames or create object URLs', async () => {
+      const createObjectURLSpy = vi.fn();
+      global.URL.createObjectURL = createObjectURLSpy;
+      mockCanvas.toBlob = vi.fn();
+      
+      await detector.detect(mockCanvas);
+      
+      expect(mockCanvas.toBlob).not.toHaveBeenCalled();
+      expect(createObjectURLSpy).not.toHaveBeenCalled();
+    });
+
+    it('should downscale large frames to the model input size', async () => {
+      mockVideo.videoWidth = 1920;
+      mockVideo.videoHeight = 1080;
+      
+      await detector.detect(mockVideo);
+      
+      const [image] = mockPipeline.mock.calls[0];
+      expect(image.height).toBe(512);
+      expect(image.width).toBe(910);
+    });
+
+    it('should map boxes from model input back to frame coordinates', async () => {
+      mockVideo.videoWidth = 2048;
+      mockVideo.videoHeight = 1024;
+      mockPipeline.mockResolvedValue([{
+        label: 'paper',
+        score: 0.9,
+        box: { xmin: 100, ymin: 50, xmax: 200, ymax: 250 }
+      }]);
+      
+      const result = await detector.detect(mockVideo);
+      
+      expect(result[0].box).toEqual({ x: 200, y: 100, width: 200, height: 400 });
+    });
+
+    it('should scale each axis back on its own when rounding skews the aspect ratio', async () => {
+      detector.registerModel('tiny-input', { path: '/models/tiny-input', inputSize: 4 });
+      detector.modelName = 'tiny-input';
+      mockVideo.videoWidth = 10;
+      mockVideo.videoHeight = 7;
+      mockPipeline.mockResolvedValue([{
+        label: 'paper',
+        score: 0.9,
+        box: { xmin: 0, ymin: 0, xmax: 6, ymax: 4 }
+      }]);
+      
+      const result = await detector.detect(mockVideo);
+      
+      const [image] = mockPipeline.mock.calls[0];
+      expect([image.width, image.height]).toEqual([6, 4]);
+      expect(result[0].box).toEqual({ x: 0, y: 0, width: 10, height: 7 });
+    });
+
+    it('should keep full resolution when downscaling is disabled', async () => {
+      detector.downscaleInput = false;
+      mockVideo.videoWidth = 1920;
+      mockVideo.videoHeight = 1080;
+      
+      await detector.detect(mockVideo);
+      
+      const [image] = mockPipeline.mock.calls[0];
+      expect(image.width).toBe(1920);
+      expect(image.height).toBe(1080);
+    });
+  });
+
+  describe('Corner detection', () => {
+    // Dark frame with a bright paper rectangle where the detection box is
+    const paintPaper = (x, y, width, height) => {
+      const data = new Uint8ClampedArray(width * height * 4).fill(30);
+      for (let py = 20; py < 220; py++) {
+        for (let px = 10; px < 110; px++) {
+          data.fill(230, (py * width + px) * 4, (py * width + px) * 4 + 3);
+        }
+      }
+      return { data, width, height };
+    };
+
+    it('should attach the receipt outline as a quad', async () => {
+      createImageData.mockImplementationOnce(paintPaper);
+      
+      const result = await detector.detect(mockCanvas);
+      
+      expect(result[0].quad).toHaveLength(4);
+      expect(result[0].quad[0].x).toBeCloseTo(10, -1);
+      expect(result[0].quad[0].y).toBeCloseTo(20, -1);
+      expect(result[0].quad[2].x).toBeCloseTo(110, -1);
+      expect(result[0].quad[2].y).toBeCloseTo(220, -1);
+    });
+
+    it('should leave detections without a quad when disabled', async () => {
+      detector.detectCorners = false;
+      createImageData.mockImplementationOnce(paintPaper);
+      
+      const result = await detector.detect(mockCanvas);
+      
+      expect(result[0].quad).toBeUndefined();
+    });
+  });
+
+  describe('Model source configuration', () => {
+    it('should load only from the hub by default', async () => {
+      const { env } = await import('@xenova/transformers');
+      detector.modelSource = { basePath: null, allowRemote: true, wasmPath: null };
+      
+      detector.configureModelSource();
+      
+      expect(env.allowLocalModels).toBe(false);
+      expect(env.allowRemoteModels).toBe(true);
+    });
+
+    it('should load from a self-hosted base path', async () => {
+      const { env } = await import('@xenova/transformers');
+      detector.modelSource = { basePath: '/receipt-scanner-ai/models', allowRemote: false, wasmPath: null };
+      
+      detector.configureModelSource();
+      
+      expect(env.allowLocalModels).toBe(true);
+      expect(env.allowRemoteModels).toBe(false);
+      expect(env.localModelPath).toBe('/receipt-scanner-ai/models/');
+    });
+
+    it('should configure the source before creating the pipeline', async () => {
+      const { pipeline, env } = await import('@xenova/transformers');
+      detector.modelCache.clear();
+      detector.modelSource = { basePath: '/models/', allowRemote: true, wasmPath: null };
+      pipeline.mockImplementation(async () => {
+        expect(env.allowLocalModels).toBe(true);
+        return mockPipeline;
+      });
+      
+      await detector.init('yolos-small');
+      
+      expect(pipeline).toHaveBeenCalledWith('object-detection', 'Xenova/yolos-small', expect.any(Object));
+    });
+  });
+
+  describe('Classical fallback model', () => {
+    it('should load without downloading anything', async () => {
+      const { pipeline } = await import('@xenova/transformers');
+      
+      await detector.init('classic-cv');
+      
+      expect(pipeline).not.toHaveBeenCalled();
+      expect(detector.modelName).toBe('classic-cv');
+      expect(typeof detector.model).toBe('function');
+    });
+
+    it('should scale the long edge to its input size', async () => {
+      await detector.init('classic-cv');
+      
+      expect(detector.getInputScale(1280, 720)).toBe(0.25);
+    });
+  });
+
+  describe('Receipt verification', () => {
+    it('should drop candidates the verifier rejects', async () => {
+      const { pipeline } = await import('@xenova/transformers');
+      const classifier = vi.fn().mockResolvedValue([
+        { label: 'a photo of a paper receipt', score: 0.1 },
+        { label: 'a photo of a mobile phone', score: 0.9 }
+      ]);
+      pipeline.mockResolvedValue(classifier);
+      
+      await detector.configureVerifier({ enabled: true, threshold: 0.6 });
+      const result = await detector.detect(mockCanvas);
+      
+      expect(classifier).toHaveBeenCalled();
+      expect(result).toEqual([]);
+    });
+
+    it('should accept verified crops whatever their label', () => {
+      const detection = { label: 'laptop', score: 0.55, receiptScore: 0.8, box: { x: 0, y: 0, width: 120, height: 200 } };
+      
+      expect(detector.isReceiptCandidate(detection)).toBe(true);
+    });
+
+    it('should remove the verifier when disabled', async () => {
+      const { pipeline } = await import('@xenova/transformers');
+      pipeline.mockResolvedValue(vi.fn());
+      await detector.configureVerifier({ enabled: true });
+      
+      await detector.configureVerifier({ enabled: false });
+      
+      expect(detector.verifier).toBeNull();
+    });
+  });
+
+  describe('Custom model registry', () => {
+    it('should register a custom model from a source path', () => {
+      const config = detector.registerModel('receipt-detr', {
+        path: '/models/custom/receipt-detr',
+        inputSize: 640,
+        labels: { LABEL_0: 'receipt' },
+        receiptLabels: ['receipt']
+      });
+      
+      expect(detector.models['receipt-detr']).toBe(config);
+      expect(config).toMatchObject({ format: 'transformers', custom: true, displayName: 'receipt-detr (Custom)' });
+    });
+
+    it('should reject models without a source', () => {
+      expect(() => detector.registerModel('broken', { inputSize: 640 })).toThrow(
+        'Model broken needs a source path or a hub name'
+      );
+    });
+
+    it('should reject YOLO models without an onnx path', () => {
+      expect(() => detector.registerModel('yolo', { format: 'yolo', name: 'someone/yolo' })).toThrow(
+        'YOLO model yolo needs a path to its .onnx file'
+      );
+    });
+
+    it('should load custom model directories as local models', async () => {
+      const { pipeline, env } = await import('@xenova/transformers');
+      detector.registerModel('receipt-detr', { path: 'https://models.example/custom/receipt-detr/' });
+      
+      await detector.init('receipt-detr');
+      
+      expect(env.localModelPath).toBe('https://models.example/custom/');
+      expect(env.allowRemoteModels).toBe(false);
+      expect(pipeline).toHaveBeenCalledWith('object-detection', 'receipt-detr', expect.any(Object));
+    });
+
+    it('should apply the label map to detections', async () => {
+      detector.registerModel('receipt-detr', {
+        path: '/models/receipt-detr',
+        labels: { 0: 'receipt', 1: 'background' }
+      });
+      detector.modelName = 'receipt-detr';
+      mockPipeline.mockResolvedValue([{
+        label: 'LABEL_0',
+        score: 0.9,
+        box: { x: 10, y: 20, width: 100, height: 200 }
+      }]);
+      
+      const result = await detector.detect(mockCanvas);
+      
+      expect(result[0].label).toBe('receipt');
+    });
+
+    it('should map YOLO class indices through the label map once', async () => {
+      detector.registerModel('receipt-yolo', {
+        format: 'yolo',
+        path: '/models/receipt.onnx',
+        labels: ['hand', 'receipt']
+      });
+      detector.modelName = 'receipt-yolo';
+      mockPipeline.mockResolvedValue([{
+        label: 'LABEL_1',
+        score: 0.9,
+        box: { xmin: 10, ymin: 20, xmax: 110, ymax: 220 }
+      }]);
+      
+      const result = await detector.detect(mockCanvas);
+      
+      expect(result[0].label).toBe('receipt');
+    });
+
+    it('should use the model receipt labels when filtering candidates', () => {
+      detector.registerModel('receipt-detr', {
+        path: '/models/receipt-detr',
+        receiptLabels: ['Till-Slip']
+      });
+      detector.modelName = 'receipt-detr';
+      const box = { x: 0, y: 0, width: 200, height: 400 };
+      
+      expect(detector.isReceiptCandidate({ label: 'till-slip', score: 0.6, box })).toBe(true);
+      expect(detector.isReceiptCandidate({ label: 'paper', score: 0.6, box })).toBe(false);
+    });
+  });
+
   describe('Edge cases and error recovery', () => {
     it('should handle video element state changes during processing', async () => {
       // Start with valid video
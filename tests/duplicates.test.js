@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DuplicateFilter } from '../src/js/duplicates.js';
+import { hammingDistance } from '../src/js/image-utils.js';
+
+// Frame with a printed receipt at `box`. `layout` seeds where the text lines
+// go, so different seeds look like different receipts; `brightness` and
+// `noise` mimic the same receipt seen again a moment later.
+function createFrame({ layout = 1, box = { x: 100, y: 40, width: 120, height: 200 }, brightness = 0, noise = 0 } = {}) {
+  const width = 320;
+  const height = 280;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  let seed = layout * 9973;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const lines = Array.from({ length: 14 }, () => ({ indent: random() * 0.4, length: 0.2 + random() * 0.5, bold: random() > 0.7 }));
+
+  let jitter = 12345;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = 70;
+      const u = (x - box.x) / box.width;
+      const v = (y - box.y) / box.height;
+      if (u >= 0 && u < 1 && v >= 0 && v < 1) {
+        value = 225;
+        const line = lines[Math.floor(v * lines.length)];
+        const inRow = (v * lines.length) % 1 < (line.bold ? 0.6 : 0.35);
+        if (inRow && u > 0.05 + line.indent && u < 0.05 + line.indent + line.length) value = 40;
+      }
+      jitter = (jitter * 1103515245 + 12345) % 2147483648;
+      value += brightness + (noise ? (jitter / 2147483648 - 0.5) * noise : 0);
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+
+  return { data, width, height, scale: 1, frameWidth: width, frameHeight: height };
+}
+
+describe('DuplicateFilter', () => {
+  const box = { x: 100, y: 40, width: 120, height: 200 };
+  let filter;
+
+  beforeEach(() => {
+    filter = new DuplicateFilter();
+  });
+
+  it('should hash the same receipt alike under noise and exposure changes', () => {
+    const first = filter.hash(createFrame(), box);
+    const again = filter.hash(createFrame({ brightness: 15, noise: 20 }), box);
+
+    expect(first).toMatch(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(first, again)).toBeLessThanOrEqual(6);
+  });
+
+  it('should hash different receipts apart', () => {
+    const first = filter.hash(createFrame({ layout: 1 }), box);
+    const other = filter.hash(createFrame({ layout: 2 }), box);
+
+    expect(hammingDistance(first, other)).toBeGreaterThan(12);
+  });
+
+  it('should refuse a receipt that was just captured in the same place', () => {
+    filter.remember(filter.hash(createFrame(), box), box, 'receipt-1', 0);
+
+    const shifted = { ...box, x: box.x + 4 };
+    const duplicate = filter.findDuplicate(filter.hash(createFrame({ box: shifted, noise: 10 }), shifted), shifted, 1000);
+
+    expect(duplicate.id).toBe('receipt-1');
+    expect(duplicate.similarity).toBeGreaterThanOrEqual(0.85);
+  });
+
+  it('should allow a different receipt in the same place', () => {
+    filter.remember(filter.hash(createFrame({ layout: 1 }), box), box, 'receipt-1', 0);
+
+    const hash = filter.hash(createFrame({ layout: 3 }), box);
+
+    expect(filter.findDuplicate(hash, box, 1000)).toBeNull();
+  });
+
+  it('should allow the same content elsewhere in the frame', () => {
+    filter.remember(filter.hash(createFrame(), box), box, 'receipt-1', 0);
+
+    const elsewhere = { x: 0, y: 40, width: 90, height: 200 };
+
+    expect(filter.findDuplicate(filter.hash(createFrame(), box), elsewhere, 1000)).toBeNull();
+  });
+
+  it('should honour the configured similarity threshold', () => {
+    const strict = new DuplicateFilter({ similarity: 1 });
+    strict.remember('ffffffffffffffff', box, 'receipt-1', 0);
+
+    expect(strict.findDuplicate('fffffffffffffffe', box, 1000)).toBeNull();
+    expect(filter.findDuplicate('fffffffffffffffe', box, 1000)).toBeNull();
+
+    filter.remember('ffffffffffffffff', box, 'receipt-1', 0);
+    expect(filter.findDuplicate('fffffffffffffffe', box, 1000).similarity).toBeCloseTo(63 / 64, 5);
+  });
+
+  it('should forget captures once they are old', () => {
+    filter = new DuplicateFilter({ maxAgeMs: 5000 });
+    filter.remember('ffffffffffffffff', box, 'receipt-1', 0);
+
+    expect(filter.findDuplicate('ffffffffffffffff', box, 6000)).toBeNull();
+    expect(filter.recent).toHaveLength(0);
+  });
+
+  it('should keep only the most recent captures', () => {
+    filter = new DuplicateFilter({ maxEntries: 2 });
+    filter.remember('0000000000000001', box, 'a', 0);
+    filter.remember('0000000000000002', box, 'b', 0);
+    filter.remember('0000000000000003', box, 'c', 0);
+
+    expect(filter.recent.map(entry => entry.id)).toEqual(['b', 'c']);
+  });
+
+  it('should not hash without pixels', () => {
+    expect(filter.hash(null, box)).toBeNull();
+    expect(filter.hash({ frameWidth: 1920, frameHeight: 1080 }, box)).toBeNull();
+    expect(filter.findDuplicate(null, box)).toBeNull();
+  });
+});
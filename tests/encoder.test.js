@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ImageEncoder, OUTPUT_FORMATS } from '../src/js/encoder.js';
+
+// Canvas whose encoded size grows with its area and the quality, at one
+// byte per pixel at full quality
+function createCanvas(width = 0, height = 0, options = {}) {
+  return {
+    width,
+    height,
+    getContext: () => ({ drawImage: vi.fn() }),
+    toBlob: vi.fn(function (callback, type, quality) {
+      const blob = new Blob([], { type: options.encodes || type });
+      const lossless = type === 'image/png';
+      blob.size = Math.round(this.width * this.height * (lossless ? 2 : quality));
+      callback(blob);
+    })
+  };
+}
+
+function createBlob(type, size) {
+  const blob = new Blob([], { type });
+  blob.size = size;
+  return blob;
+}
+
+describe('ImageEncoder', () => {
+  let originalCreateElement;
+
+  beforeEach(() => {
+    originalCreateElement = document.createElement;
+    document.createElement = vi.fn(() => createCanvas());
+    global.createImageBitmap = vi.fn(async () => ({ width: 4000, height: 3000, close: vi.fn() }));
+  });
+
+  afterEach(() => {
+    document.createElement = originalCreateElement;
+    delete global.createImageBitmap;
+  });
+
+  it('should offer JPEG, WebP and PNG', () => {
+    expect(Object.keys(OUTPUT_FORMATS)).toEqual(['image/jpeg', 'image/webp', 'image/png']);
+  });
+
+  it('should keep images that already match the settings', async () => {
+    const encoder = new ImageEncoder();
+    const blob = createBlob('image/jpeg', 5000000);
+
+    const result = await encoder.encode(blob);
+
+    expect(result.blob).toBe(blob);
+    expect(result.output).toMatchObject({ format: 'image/jpeg', width: 4000, height: 3000, quality: null });
+    expect(document.createElement).not.toHaveBeenCalled();
+  });
+
+  it('should convert to the selected format', async () => {
+    const encoder = new ImageEncoder({ format: 'image/webp' });
+
+    const result = await encoder.encode(createBlob('image/jpeg', 5000000));
+
+    expect(result.blob.type).toBe('image/webp');
+    expect(result.output).toMatchObject({ type: 'image/webp', quality: 0.92, width: 4000, height: 3000 });
+  });
+
+  it('should scale the long edge down to the maximum', async () => {
+    const encoder = new ImageEncoder({ maxDimension: 2000 });
+
+    const result = await encoder.encode(createBlob('image/jpeg', 5000000));
+
+    expect(result.output).toMatchObject({ width: 2000, height: 1500, maxDimension: 2000 });
+  });
+
+  it('should lower the quality to meet the size budget', async () => {
+    // 1000x1000 fits 700 KB at about quality 0.7
+    const encoder = new ImageEncoder({ maxBytes: 700000 });
+
+    const result = await encoder.encodeCanvas(createCanvas(1000, 1000));
+
+    expect(result.blob.size).toBeLessThanOrEqual(700000);
+    expect(result.output.quality).toBeGreaterThan(0.6);
+    expect(result.output.quality).toBeLessThanOrEqual(0.7);
+    expect(result.output).toMatchObject({ width: 1000, height: 1000, maxBytes: 700000 });
+  });
+
+  it('should shrink the image when the lowest quality is still too big', async () => {
+    const encoder = new ImageEncoder({ maxBytes: 100000 });
+
+    const result = await encoder.encodeCanvas(createCanvas(1000, 1000));
+
+    expect(result.blob.size).toBeLessThanOrEqual(100000);
+    expect(result.output.width).toBeLessThan(1000);
+    expect(result.output.width / result.output.height).toBeCloseTo(1, 1);
+  });
+
+  it('should only shrink lossless PNG to meet the budget', async () => {
+    const encoder = new ImageEncoder({ format: 'image/png', maxBytes: 500000 });
+
+    const result = await encoder.encodeCanvas(createCanvas(1000, 1000));
+
+    expect(result.output.quality).toBeNull();
+    expect(result.blob.size).toBeLessThanOrEqual(500000);
+    expect(result.output.width).toBeLessThan(1000);
+  });
+
+  it('should reject formats the browser cannot encode', async () => {
+    const encoder = new ImageEncoder({ format: 'image/webp' });
+
+    await expect(encoder.encodeCanvas(createCanvas(100, 100, { encodes: 'image/png' })))
+      .rejects.toThrow('This browser cannot encode image/webp');
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ENHANCEMENT_PRESETS,
+  enhanceImage,
+  whiteBalance,
+  flattenShadows,
+  autoContrast,
+  adaptiveThreshold
+} from '../src/js/enhance.js';
+
+// RGBA image filled from `pixel(x, y)` returning [r, g, b]
+function createImage(width, height, pixel) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = pixel(x, y);
+      const p = (y * width + x) * 4;
+      data[p] = r;
+      data[p + 1] = g;
+      data[p + 2] = b;
+      data[p + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+function pixelAt(image, x, y) {
+  const p = (y * image.width + x) * 4;
+  return [image.data[p], image.data[p + 1], image.data[p + 2]];
+}
+
+// Dark text-like strokes every 8 pixels on paper of the given colour
+const isInk = (x, y) => y % 8 === 4 && x % 16 < 10;
+
+describe('Image enhancement', () => {
+  it('should offer the original, colour, grayscale and scan presets', () => {
+    expect(Object.keys(ENHANCEMENT_PRESETS)).toEqual(['original', 'color', 'grayscale', 'scan']);
+  });
+
+  it('should leave the original preset untouched', () => {
+    const image = createImage(16, 16, () => [200, 180, 150]);
+    const before = Uint8ClampedArray.from(image.data);
+
+    enhanceImage(image, 'original');
+
+    expect(image.data).toEqual(before);
+  });
+
+  it('should reject unknown presets', () => {
+    const image = createImage(4, 4, () => [0, 0, 0]);
+
+    expect(() => enhanceImage(image, 'sepia')).toThrow('Unknown enhancement preset: sepia');
+  });
+
+  it('should neutralise a warm tint on the paper', () => {
+    const image = createImage(32, 32, (x, y) => isInk(x, y) ? [60, 45, 30] : [230, 200, 160]);
+
+    whiteBalance(image);
+
+    const [r, g, b] = pixelAt(image, 0, 0);
+    expect(Math.abs(r - b)).toBeLessThan(6);
+    expect(Math.abs(r - g)).toBeLessThan(6);
+  });
+
+  it('should flatten a shadow falling across the paper', () => {
+    // Paper fades from 230 on the left to 90 on the right
+    const image = createImage(96, 64, (x, y) => {
+      const paper = 230 - (140 * x) / 95;
+      const value = isInk(x, y) ? paper * 0.3 : paper;
+      return [value, value, value];
+    });
+
+    flattenShadows(image);
+
+    const [left] = pixelAt(image, 4, 1);
+    const [right] = pixelAt(image, 91, 1);
+    expect(Math.abs(left - right)).toBeLessThan(20);
+    expect(right).toBeGreaterThan(200);
+  });
+
+  it('should stretch a washed-out image to full contrast', () => {
+    const image = createImage(32, 32, (x, y) => isInk(x, y) ? [110, 110, 110] : [170, 170, 170]);
+
+    autoContrast(image);
+
+    expect(pixelAt(image, 0, 0)[0]).toBe(255);
+    expect(pixelAt(image, 0, 4)[0]).toBe(0);
+  });
+
+  it('should produce grayscale output', () => {
+    const image = createImage(32, 32, (x, y) => isInk(x, y) ? [200, 40, 40] : [230, 210, 190]);
+
+    enhanceImage(image, 'grayscale');
+
+    for (let p = 0; p < image.data.length; p += 4) {
+      expect(image.data[p]).toBe(image.data[p + 1]);
+      expect(image.data[p + 1]).toBe(image.data[p + 2]);
+    }
+  });
+
+  it('should threshold to black ink on white paper', () => {
+    const image = createImage(64, 64, (x, y) => isInk(x, y) ? [120, 120, 120] : [180, 180, 180]);
+
+    adaptiveThreshold(image);
+
+    const values = new Set();
+    for (let p = 0; p < image.data.length; p += 4) values.add(image.data[p]);
+    expect([...values].sort((a, b) => a - b)).toEqual([0, 255]);
+    expect(pixelAt(image, 2, 4)[0]).toBe(0);
+    expect(pixelAt(image, 2, 2)[0]).toBe(255);
+  });
+
+  it('should keep faint print legible under a shadow in the scan preset', () => {
+    const image = createImage(96, 64, (x, y) => {
+      const paper = 220 - (120 * x) / 95;
+      const value = isInk(x, y) ? paper * 0.6 : paper;
+      return [value, value, value];
+    });
+
+    enhanceImage(image, 'scan');
+
+    // Paper stays white and ink black on both the lit and shadowed side
+    expect(pixelAt(image, 2, 2)[0]).toBe(255);
+    expect(pixelAt(image, 82, 2)[0]).toBe(255);
+    expect(pixelAt(image, 2, 4)[0]).toBe(0);
+    expect(pixelAt(image, 82, 4)[0]).toBe(0);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ImageEnhancer } from '../src/js/enhancer.js';
+
+// Minimal stand-in for a dedicated worker running enhance.worker.js
+class FakeWorker extends EventTarget {
+  constructor(respond) {
+    super();
+    this.respond = respond;
+    this.postMessage = vi.fn((message) => {
+      const reply = this.respond(message);
+      queueMicrotask(() => {
+        this.dispatchEvent(Object.assign(new Event('message'), { data: reply }));
+      });
+    });
+    this.terminate = vi.fn();
+  }
+}
+
+describe('ImageEnhancer', () => {
+  const source = new Blob(['source'], { type: 'image/jpeg' });
+  const result = new Blob(['result'], { type: 'image/jpeg' });
+  let worker;
+  let enhancer;
+
+  beforeEach(() => {
+    worker = new FakeWorker(({ id, payload }) =>
+      payload.preset === 'broken' ? { id, error: 'Unknown enhancement preset: broken' } : { id, result }
+    );
+    enhancer = new ImageEnhancer({ createWorker: () => worker, useWorker: true });
+  });
+
+  it('should enhance images in the worker', async () => {
+    await expect(enhancer.enhance(source, 'scan')).resolves.toBe(result);
+
+    expect(worker.postMessage).toHaveBeenCalledWith({
+      id: 1,
+      type: 'enhance',
+      payload: { blob: source, preset: 'scan', type: 'image/jpeg', quality: 0.92 }
+    }, []);
+  });
+
+  it('should return the original preset without a round trip', async () => {
+    await expect(enhancer.enhance(source, 'original')).resolves.toBe(source);
+
+    expect(worker.postMessage).not.toHaveBeenCalled();
+  });
+
+  it('should surface worker errors', async () => {
+    await expect(enhancer.enhance(source, 'broken')).rejects.toThrow('Unknown enhancement preset: broken');
+    expect(enhancer.client.pending.size).toBe(0);
+  });
+
+  it('should start a new worker after the old one fails', async () => {
+    const failed = worker;
+    failed.postMessage = vi.fn();
+    const pending = enhancer.enhance(source, 'scan');
+
+    failed.dispatchEvent(Object.assign(new Event('error'), { message: 'Out of memory' }));
+    await expect(pending).rejects.toThrow('Enhancement worker failed: Out of memory');
+    expect(failed.terminate).toHaveBeenCalled();
+
+    worker = new FakeWorker(({ id }) => ({ id, result }));
+    await expect(enhancer.enhance(source, 'scan')).resolves.toBe(result);
+  });
+
+  it('should reject enhancements the worker never finishes', async () => {
+    vi.useFakeTimers();
+    try {
+      worker.postMessage = vi.fn();
+      enhancer = new ImageEnhancer({ createWorker: () => worker, useWorker: true, timeoutMs: 1000 });
+      const pending = enhancer.enhance(source, 'scan');
+
+      vi.advanceTimersByTime(1000);
+
+      await expect(pending).rejects.toThrow('Enhancement worker did not answer enhance within 1000ms');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should reject pending requests when disposed', async () => {
+    worker.postMessage = vi.fn();
+    const pending = enhancer.enhance(source, 'color');
+
+    enhancer.dispose();
+
+    await expect(pending).rejects.toThrow('Enhancer disposed');
+    expect(worker.terminate).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FocusController, coverToVideo } from '../src/js/focus.js';
+
+describe('coverToVideo', () => {
+  const rect = { left: 0, top: 0, width: 400, height: 800 };
+
+  it('should undo the crop and scale of a covering video', () => {
+    // A 1280x720 frame covering a 400x800 box is scaled by 800/720 and
+    // cropped evenly left and right
+    const scale = 800 / 720;
+    const offset = (400 - 1280 * scale) / 2;
+
+    const point = coverToVideo(200, 400, rect, 1280, 720);
+    expect(point.x).toBeCloseTo(640);
+    expect(point.y).toBeCloseTo(360);
+
+    const corner = coverToVideo(0, 0, rect, 1280, 720);
+    expect(corner.x).toBeCloseTo(-offset / scale);
+    expect(corner.y).toBeCloseTo(0);
+  });
+
+  it('should account for where the element sits on the page', () => {
+    const point = coverToVideo(150, 100, { left: 50, top: 50, width: 200, height: 100 }, 400, 200);
+
+    expect(point).toEqual({ x: 200, y: 100 });
+  });
+
+  it('should give nothing before the video has a size', () => {
+    expect(coverToVideo(10, 10, rect, 0, 0)).toBeNull();
+  });
+});
+
+describe('FocusController', () => {
+  let camera;
+  let focus;
+  const frameSize = { width: 1000, height: 500 };
+  const receipt = (x, y) => ({ box: { x, y, width: 200, height: 100 } });
+
+  beforeEach(() => {
+    vi.stubGlobal('navigator', {
+      mediaDevices: { getSupportedConstraints: () => ({ pointsOfInterest: true }) }
+    });
+    camera = {
+      getCapabilities: vi.fn().mockResolvedValue({ focusMode: ['continuous', 'single-shot'] }),
+      setPointOfInterest: vi.fn().mockResolvedValue()
+    };
+    focus = new FocusController(camera, { minIntervalMs: 500, tapHoldMs: 4000 });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should be supported only where the browser knows points of interest', async () => {
+    expect(await focus.refresh()).toBe(true);
+
+    navigator.mediaDevices.getSupportedConstraints = () => ({});
+    expect(await focus.refresh()).toBe(false);
+  });
+
+  it('should send the point normalised to the frame', async () => {
+    await focus.refresh();
+
+    expect(await focus.focusAt({ x: 250, y: 400 }, frameSize)).toBe(true);
+
+    expect(camera.setPointOfInterest).toHaveBeenCalledWith({ x: 0.25, y: 0.8 });
+    expect(focus.point).toEqual({ x: 250, y: 400 });
+    expect(focus.source).toBe('tap');
+  });
+
+  it('should do nothing on unsupported cameras', async () => {
+    expect(await focus.focusAt({ x: 250, y: 400 }, frameSize)).toBe(false);
+    expect(camera.setPointOfInterest).not.toHaveBeenCalled();
+  });
+
+  it('should keep the previous point when the camera refuses', async () => {
+    await focus.refresh();
+    camera.setPointOfInterest.mockRejectedValueOnce(new Error('OverconstrainedError'));
+
+    expect(await focus.focusAt({ x: 250, y: 400 }, frameSize)).toBe(false);
+    expect(focus.point).toBeNull();
+  });
+
+  describe('following the receipt', () => {
+    beforeEach(async () => {
+      await focus.refresh();
+    });
+
+    it('should focus on the centre of the receipt box', async () => {
+      await focus.followReceipt(receipt(100, 100), frameSize, 1000);
+
+      expect(camera.setPointOfInterest).toHaveBeenCalledWith({ x: 0.2, y: 0.3 });
+      expect(focus.source).toBe('receipt');
+    });
+
+    it('should only refocus once the receipt has moved far enough', async () => {
+      await focus.followReceipt(receipt(100, 100), frameSize, 1000);
+
+      expect(focus.followReceipt(receipt(110, 105), frameSize, 2000)).toBeNull();
+      await focus.followReceipt(receipt(400, 100), frameSize, 2000);
+
+      expect(camera.setPointOfInterest).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not refocus more often than the interval allows', async () => {
+      await focus.followReceipt(receipt(100, 100), frameSize, 1000);
+
+      expect(focus.followReceipt(receipt(600, 300), frameSize, 1200)).toBeNull();
+    });
+
+    it('should leave a tapped point alone for a while', async () => {
+      await focus.focusAt({ x: 900, y: 50 }, frameSize, 'tap', 1000);
+
+      expect(focus.followReceipt(receipt(100, 100), frameSize, 3000)).toBeNull();
+      await focus.followReceipt(receipt(100, 100), frameSize, 5500);
+
+      expect(focus.source).toBe('receipt');
+    });
+
+    it('should drop the marker when the receipt leaves the frame', async () => {
+      await focus.followReceipt(receipt(100, 100), frameSize, 1000);
+
+      focus.followReceipt(undefined, null, 1100);
+
+      expect(focus.point).toBeNull();
+      expect(camera.setPointOfInterest).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not follow when switched off', () => {
+      focus.setFollow(false);
+
+      expect(focus.followReceipt(receipt(100, 100), frameSize, 1000)).toBeNull();
+      expect(camera.setPointOfInterest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('indicator', () => {
+    let ctx;
+
+    beforeEach(async () => {
+      await focus.refresh();
+      ctx = {
+        save: vi.fn(),
+        restore: vi.fn(),
+        beginPath: vi.fn(),
+        moveTo: vi.fn(),
+        lineTo: vi.fn(),
+        stroke: vi.fn()
+      };
+    });
+
+    it('should draw brackets around the point and fade out after a tap', async () => {
+      await focus.focusAt({ x: 500, y: 250 }, frameSize, 'tap', 1000);
+
+      focus.drawIndicator(ctx, 1600);
+      expect(ctx.stroke).toHaveBeenCalledTimes(1);
+      expect(ctx.globalAlpha).toBeCloseTo(0.5);
+      expect(ctx.moveTo).toHaveBeenCalledTimes(4);
+
+      ctx.stroke.mockClear();
+      focus.drawIndicator(ctx, 3000);
+      expect(ctx.stroke).not.toHaveBeenCalled();
+    });
+
+    it('should stay on screen while following a receipt', async () => {
+      await focus.followReceipt(receipt(100, 100), frameSize, 1000);
+
+      focus.drawIndicator(ctx, 10000);
+
+      expect(ctx.stroke).toHaveBeenCalled();
+      expect(ctx.globalAlpha).toBe(0.4);
+    });
+
+    it('should draw nothing without a point', () => {
+      focus.drawIndicator(ctx, 1000);
+
+      expect(ctx.save).not.toHaveBeenCalled();
+    });
+  });
+});
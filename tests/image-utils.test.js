@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { boxIoU, windowSum } from '../src/js/image-utils.js';
+
+describe('image-utils', () => {
+  describe('boxIoU', () => {
+    it('should compute IoU of boxes', () => {
+      expect(boxIoU({ x: 0, y: 0, width: 10, height: 10 }, { x: 0, y: 0, width: 10, height: 10 })).toBe(1);
+      expect(boxIoU({ x: 0, y: 0, width: 10, height: 10 }, { x: 5, y: 0, width: 10, height: 10 })).toBeCloseTo(1 / 3);
+      expect(boxIoU({ x: 0, y: 0, width: 10, height: 10 }, { x: 20, y: 0, width: 10, height: 10 })).toBe(0);
+    });
+
+    it('should treat empty boxes as not overlapping', () => {
+      expect(boxIoU({ x: 0, y: 0, width: 0, height: 0 }, { x: 0, y: 0, width: 0, height: 0 })).toBe(0);
+    });
+  });
+
+  describe('windowSum', () => {
+    it('should sum each window, clipped at the edges', () => {
+      const values = new Float32Array([
+        1, 2, 3,
+        4, 5, 6,
+        7, 8, 9
+      ]);
+
+      const sums = windowSum(values, 3, 3, 1);
+
+      expect(sums[4]).toBe(45);
+      expect(sums[0]).toBe(1 + 2 + 4 + 5);
+      expect(sums[8]).toBe(5 + 6 + 8 + 9);
+    });
+  });
+});
@@ -287,7 +287,8 @@ describe('Integration Tests - Detection Error Recovery', () => {
       });
 
       await scanner.startDetectionLoop(mockVideo, mockOverlay);
-      vi.runAllTimers();
+      // The loop no longer awaits inference, so only advance a single frame
+      vi.advanceTimersByTime(16);
 
       // Overlay should match video dimensions
       expect(mockOverlay.width).toBe(640);
@@ -455,7 +456,7 @@ describe('Integration Tests - Detection Error Recovery', () => {
       const isReceiptLikeSpy = vi.spyOn(scanner, 'isReceiptLike')
         .mockReturnValue(true);
 
-      const performCaptureSpy = vi.spyOn(scanner, 'performCapture')
+      const performCaptureSpy = vi.spyOn(scanner.capturePipeline, 'capture')
         .mockResolvedValue();
 
       // Mock requestAnimationFrame to run once
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { LongReceiptSession } from '../src/js/long-receipt.js';
+
+const RECEIPT_WIDTH = 160;
+const RECEIPT_HEIGHT = 700;
+const FRAME_WIDTH = 240;
+const FRAME_HEIGHT = 160;
+const COLUMN = { x: 40, width: RECEIPT_WIDTH };
+
+// Tall receipt texture: rows of dark "words" of random length on paper
+function createReceipt(seed = 11) {
+  const gray = new Uint8ClampedArray(RECEIPT_WIDTH * RECEIPT_HEIGHT).fill(230);
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  for (let row = 6; row < RECEIPT_HEIGHT - 12; row += 11) {
+    let x = 6 + Math.floor(random() * 10);
+    const lineHeight = 4 + Math.floor(random() * 3);
+    while (x < RECEIPT_WIDTH - 12) {
+      const wordWidth = 4 + Math.floor(random() * 18);
+      for (let y = row; y < row + lineHeight; y++) {
+        for (let dx = 0; dx < wordWidth && x + dx < RECEIPT_WIDTH - 6; dx++) {
+          gray[y * RECEIPT_WIDTH + x + dx] = 40 + Math.floor(random() * 30);
+        }
+      }
+      x += wordWidth + 3 + Math.floor(random() * 8);
+    }
+  }
+
+  return gray;
+}
+
+const receipt = createReceipt();
+
+// Camera frame with the receipt slid up by `slide` pixels inside COLUMN
+function createFrame(slide) {
+  const data = new Uint8ClampedArray(FRAME_WIDTH * FRAME_HEIGHT * 4);
+  for (let y = 0; y < FRAME_HEIGHT; y++) {
+    for (let x = 0; x < FRAME_WIDTH; x++) {
+      const rx = x - COLUMN.x;
+      const value = rx >= 0 && rx < RECEIPT_WIDTH ? receipt[(y + slide) * RECEIPT_WIDTH + rx] : 90;
+      const i = (y * FRAME_WIDTH + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width: FRAME_WIDTH, height: FRAME_HEIGHT, scale: 1, frameWidth: FRAME_WIDTH, frameHeight: FRAME_HEIGHT };
+}
+
+// Full-resolution column the app would grab alongside the sample
+function columnOf(frame) {
+  const data = new Uint8ClampedArray(COLUMN.width * frame.height * 4);
+  for (let y = 0; y < frame.height; y++) {
+    const start = (y * frame.width + COLUMN.x) * 4;
+    data.set(frame.data.subarray(start, start + COLUMN.width * 4), y * COLUMN.width * 4);
+  }
+  return { data, width: COLUMN.width, height: frame.height };
+}
+
+describe('LongReceiptSession', () => {
+  it('should take the first segment straight away', () => {
+    const session = new LongReceiptSession({ column: COLUMN });
+
+    expect(session.update(createFrame(0)).capture).toBe(true);
+  });
+
+  it('should wait until the receipt has slid far enough', () => {
+    const session = new LongReceiptSession({ column: COLUMN, minAdvance: 0.4 });
+    const first = createFrame(0);
+    session.addSegment(columnOf(first), session.update(first));
+
+    const small = session.update(createFrame(30));
+    expect(small.capture).toBe(false);
+    expect(small.offset.dy).toBe(30);
+
+    expect(session.update(createFrame(70)).capture).toBe(true);
+  });
+
+  it('should report a receipt that slid past the overlap as lost', () => {
+    const session = new LongReceiptSession({ column: COLUMN });
+    const first = createFrame(0);
+    session.addSegment(columnOf(first), session.update(first));
+
+    expect(session.update(createFrame(300))).toMatchObject({ capture: false, lost: true });
+  });
+
+  it('should stitch the segments into the whole receipt', () => {
+    const session = new LongReceiptSession({ column: COLUMN, minAdvance: 0.4 });
+
+    // Slide in small steps the way the detection loop would see it
+    for (let slide = 0; slide <= RECEIPT_HEIGHT - FRAME_HEIGHT; slide += 20) {
+      const frame = createFrame(slide);
+      const decision = session.update(frame);
+      if (decision.capture) {
+        session.addSegment(columnOf(frame), decision);
+      }
+    }
+    const last = createFrame(RECEIPT_HEIGHT - FRAME_HEIGHT);
+    session.addSegment(columnOf(last), session.update(last, { minAdvance: 0.05 }));
+
+    const stitched = session.stitch();
+    const rows = stitched.height;
+    let error = 0;
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < RECEIPT_WIDTH; x++) {
+        error += Math.abs(stitched.data[(y * stitched.width + x) * 4] - receipt[y * RECEIPT_WIDTH + x]);
+      }
+    }
+
+    expect(session.count).toBeGreaterThan(4);
+    expect(stitched.width).toBe(RECEIPT_WIDTH);
+    expect(stitched.height).toBe(RECEIPT_HEIGHT);
+    expect(error / (rows * RECEIPT_WIDTH)).toBeLessThan(1);
+  });
+
+  it('should scale offsets from the analysis copy to full resolution', () => {
+    const session = new LongReceiptSession({ column: COLUMN });
+    session.segments.push({ image: null, analysis: null, position: { x: 0, y: 100 } });
+
+    const position = session.addSegment(null, { offset: { dx: 1, dy: 30 }, analysis: { scale: 0.5 } });
+
+    expect(position).toEqual({ x: 2, y: 160 });
+  });
+
+  it('should ignore frames without pixels', () => {
+    const session = new LongReceiptSession({ column: COLUMN });
+
+    expect(session.update({ frameWidth: 1920, frameHeight: 1080 })).toMatchObject({ capture: false, lost: false });
+  });
+
+  it('should refuse to stitch nothing', () => {
+    expect(() => new LongReceiptSession({ column: COLUMN }).stitch()).toThrow('No segments to stitch');
+  });
+});
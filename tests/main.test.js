@@ -1,5 +1,8 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import { ReceiptScanner } from '../src/js/main.js';
+import { Tracker } from '../src/js/tracker.js';
+import { CaptureManager } from '../src/js/capture.js';
+import { Detector } from '../src/js/detector.js';
 
 // Mock all dependencies
 vi.mock('../src/js/camera.js', () => ({
@@ -17,12 +20,13 @@ vi.mock('../src/js/detector.js', () => ({
   }))
 }));
 
-vi.mock('../src/js/capture.js', () => ({
+vi.mock('../src/js/capture.js', async () => ({
   CaptureManager: vi.fn().mockImplementation(() => ({
     shouldCapture: vi.fn().mockReturnValue(false),
     getStats: vi.fn().mockReturnValue({ stabilityFrames: 0 }),
     reset: vi.fn()
-  }))
+  })),
+  analyzeLighting: (await vi.importActual('../src/js/capture.js')).analyzeLighting
 }));
 
 vi.mock('../src/js/storage.js', () => ({
@@ -536,4 +540,1215 @@ describe('ReceiptScanner - Video Validation', () => {
       expect(scanner.detectionLoop).toBe(null);
     });
   });
-});
\ No newline at end of file
+
+  describe('Capture cropping', () => {
+    const detection = {
+      label: 'receipt',
+      score: 0.95,
+      box: { x: 100, y: 50, width: 200, height: 400 },
+      quad: [{ x: 110, y: 50 }, { x: 300, y: 60 }, { x: 290, y: 450 }, { x: 100, y: 440 }]
+    };
+
+    const cropped = new Blob(['crop']);
+    const frame = new Blob(['frame']);
+
+    beforeEach(() => {
+      scanner.playSound = vi.fn();
+      scanner.updateGalleryCount = vi.fn().mockResolvedValue();
+      scanner.storage.saveReceipt = vi.fn().mockResolvedValue('test-id');
+      scanner.ui.flashCapture = vi.fn();
+      scanner.camera.captureImage = vi.fn().mockResolvedValue(frame);
+      scanner.camera.captureReceipt = vi.fn().mockResolvedValue({
+        image: cropped,
+        original: frame,
+        crop: { quad: detection.quad, padding: 0.02 }
+      });
+    });
+
+    it('should save the crop with the original frame kept alongside', async () => {
+      await scanner.capturePipeline.capture(detection);
+
+      expect(scanner.camera.captureReceipt).toHaveBeenCalledWith(mockVideo, detection, { padding: 0.02 });
+      const [image, metadata, original] = scanner.storage.saveReceipt.mock.calls[0];
+      expect(image).toBe(cropped);
+      expect(original).toBe(frame);
+      expect(metadata.crop.quad).toEqual(detection.quad);
+    });
+
+    it('should save the full frame when cropping is disabled', async () => {
+      scanner.settings.cropEnabled = false;
+
+      await scanner.capturePipeline.capture(detection);
+
+      expect(scanner.camera.captureReceipt).not.toHaveBeenCalled();
+      expect(scanner.camera.captureImage).toHaveBeenCalledWith(mockVideo);
+      expect(scanner.storage.saveReceipt.mock.calls[0][2]).toBeNull();
+    });
+
+    it('should fall back to the full frame when the crop fails', async () => {
+      scanner.camera.captureReceipt.mockRejectedValue(new Error('Cannot solve homography for degenerate quad'));
+
+      await scanner.capturePipeline.capture(detection);
+
+      expect(scanner.camera.captureImage).toHaveBeenCalled();
+      expect(scanner.storage.saveReceipt).toHaveBeenCalled();
+    });
+
+    it('should capture the full frame manually when nothing is detected', async () => {
+      scanner.currentDetections = [];
+
+      await scanner.manualCapture();
+
+      expect(scanner.camera.captureReceipt).not.toHaveBeenCalled();
+      expect(scanner.camera.captureImage).toHaveBeenCalled();
+    });
+  });
+
+  describe('Burst capture', () => {
+    const detection = { label: 'receipt', score: 0.95, box: { x: 100, y: 50, width: 200, height: 400 } };
+    const frame = new Blob(['frame']);
+    const bestCanvas = { width: 1920, height: 1080 };
+
+    beforeEach(() => {
+      scanner.playSound = vi.fn();
+      scanner.updateGalleryCount = vi.fn().mockResolvedValue();
+      scanner.storage.saveReceipt = vi.fn().mockResolvedValue('test-id');
+      scanner.ui.flashCapture = vi.fn();
+      scanner.camera.captureImage = vi.fn().mockResolvedValue(frame);
+      scanner.settings.cropEnabled = false;
+      scanner.settings.burstFrames = 3;
+    });
+
+    it('should save the best burst frame with every frame score', async () => {
+      vi.spyOn(scanner.capturePipeline.burst, 'capture').mockResolvedValue({
+        canvas: bestCanvas,
+        scores: [{ overall: 0.61234, blur: 0.4 }, { overall: 0.8, blur: 0.9, glare: 1 }, null],
+        selected: 1
+      });
+
+      await scanner.capturePipeline.capture(detection);
+
+      expect(scanner.camera.captureImage).toHaveBeenCalledWith(bestCanvas);
+      const metadata = scanner.storage.saveReceipt.mock.calls[0][1];
+      expect(metadata.burst).toEqual({
+        frames: [{ overall: 0.612, blur: 0.4 }, { overall: 0.8, blur: 0.9, glare: 1 }, null],
+        selected: 1
+      });
+    });
+
+    it('should score burst frames with the capture quality model', async () => {
+      const scorer = {
+        getFrameSize: vi.fn(() => ({ width: 1920, height: 1080 })),
+        analyzeQuality: vi.fn(() => ({ overall: 0.7, confidence: 0.95, blur: 0.8 }))
+      };
+      CaptureManager.mockImplementationOnce(() => scorer);
+      const sampled = { width: 64, height: 36, scale: 1 / 30, frameWidth: 1920, frameHeight: 1080 };
+      vi.spyOn(scanner.capturePipeline.burst, 'capture').mockImplementation(async (source, score) => {
+        return { canvas: bestCanvas, scores: [score(sampled)], selected: 0 };
+      });
+
+      await scanner.capturePipeline.capture(detection);
+
+      expect(scorer.analyzeQuality).toHaveBeenCalledWith(detection, { width: 1920, height: 1080 }, sampled, null);
+      expect(scanner.storage.saveReceipt.mock.calls[0][1].burst.frames).toEqual([
+        { overall: 0.7, confidence: 0.95, blur: 0.8 }
+      ]);
+    });
+
+    it('should score a tracked receipt with its own capture state', async () => {
+      const capture = {
+        getFrameSize: vi.fn(() => ({ width: 1920, height: 1080 })),
+        analyzeQuality: vi.fn(() => ({ overall: 0.9, stability: 0.8 })),
+        reset: vi.fn()
+      };
+      scanner.tracker = new Tracker({ createState: () => capture });
+      const [track] = scanner.tracker.update([detection]);
+      CaptureManager.mockClear();
+      const sampled = { width: 64, height: 36, scale: 1 / 30, frameWidth: 1920, frameHeight: 1080 };
+      vi.spyOn(scanner.capturePipeline.burst, 'capture').mockImplementation(async (source, score) => {
+        return { canvas: bestCanvas, scores: [score(sampled)], selected: 0 };
+      });
+
+      await scanner.capturePipeline.capture(track.detection);
+
+      expect(CaptureManager).not.toHaveBeenCalled();
+      expect(capture.analyzeQuality).toHaveBeenCalledWith(track.detection, { width: 1920, height: 1080 }, sampled, null);
+    });
+
+    it('should keep the stability that triggered an auto capture', async () => {
+      const { CaptureManager: RealCaptureManager } = await vi.importActual('../src/js/capture.js');
+      scanner.tracker = new Tracker({ createState: () => new RealCaptureManager() });
+      const steady = { label: 'receipt', score: 0.95, box: { x: 560, y: 140, width: 800, height: 800 } };
+      const [track] = scanner.tracker.update([steady]);
+      const size = { frameWidth: 1920, frameHeight: 1080 };
+      let fired = false;
+      for (let i = 0; i < 10 && !fired; i++) {
+        fired = track.capture.shouldCapture(track.detection, 3, size);
+      }
+      expect(fired).toBe(true);
+
+      scanner.settings.reviewCaptures = true;
+      scanner.settings.reviewSkipQuality = 0.9;
+      scanner.capturePipeline.review.open = vi.fn();
+      vi.spyOn(scanner.capturePipeline.burst, 'capture').mockImplementation(async (source, score) => {
+        return { canvas: bestCanvas, scores: [score(size)], selected: 0 };
+      });
+
+      await scanner.capturePipeline.capture(track.detection, { auto: true });
+
+      const [quality] = scanner.storage.saveReceipt.mock.calls[0][1].burst.frames;
+      expect(quality.overall).toBeGreaterThan(0.9);
+      expect(scanner.capturePipeline.review.open).not.toHaveBeenCalled();
+    });
+
+    it('should use a single frame when the burst fails', async () => {
+      vi.spyOn(scanner.capturePipeline.burst, 'capture').mockRejectedValue(new Error('Video ended'));
+
+      await scanner.capturePipeline.capture(detection);
+
+      expect(scanner.camera.captureImage).toHaveBeenCalledWith(mockVideo);
+      expect(scanner.storage.saveReceipt.mock.calls[0][1].burst).toBeNull();
+    });
+
+    it('should take a single shot when burst mode is off', async () => {
+      scanner.settings.burstFrames = 1;
+      vi.spyOn(scanner.capturePipeline.burst, 'capture');
+
+      await scanner.capturePipeline.capture(detection);
+
+      expect(scanner.capturePipeline.burst.capture).not.toHaveBeenCalled();
+      expect(scanner.camera.captureImage).toHaveBeenCalledWith(mockVideo);
+    });
+  });
+
+  describe('Custom models', () => {
+    it('should drop saved models the detector refuses and forget them', async () => {
+      scanner.settings.customModels = {
+        good: { path: '/models/good' },
+        bad: { format: 'yolo', path: '/models/bad.onnx' }
+      };
+      scanner.detector.models = {};
+      scanner.detector.registerModel = vi.fn(async (key, config) => {
+        if (key === 'bad') throw new Error('Worker rejected model');
+        scanner.detector.models[key] = config;
+        return config;
+      });
+      vi.spyOn(scanner, 'saveSettings').mockImplementation(() => {});
+
+      await scanner.restoreCustomModels();
+
+      expect(scanner.settings.customModels).toEqual({ good: { path: '/models/good' } });
+      expect(scanner.saveSettings).toHaveBeenCalled();
+    });
+  });
+
+  describe('Classical fallback', () => {
+    beforeEach(() => {
+      scanner.ui.renderModelOptions = vi.fn();
+      scanner.ui.updateStatus = vi.fn();
+      scanner.detector.init = vi.fn().mockRejectedValue(new Error('Failed to fetch'));
+      scanner.detector.switchModel = vi.fn(async (modelName) => {
+        scanner.detector.modelName = modelName;
+      });
+    });
+
+    it('should fall back when the ML model fails to load', async () => {
+      await scanner.loadModel('yolos-tiny');
+
+      expect(scanner.detector.switchModel).toHaveBeenCalledWith('classic-cv');
+      expect(scanner.isUsingFallback()).toBe(true);
+      expect(scanner.settings.model).toBe('yolos-tiny');
+      expect(scanner.ui.updateStatus).toHaveBeenCalledWith(expect.stringContaining('basic detection'), 'warning');
+    });
+
+    it('should switch to the fallback when the circuit breaker trips', async () => {
+      scanner.detector.modelName = 'yolos-tiny';
+      scanner.errorCount = scanner.maxConsecutiveErrors - 1;
+      const startDetectionSpy = vi.spyOn(scanner, 'startDetection').mockImplementation(() => {});
+
+      expect(scanner.handleDetectionError(new Error('Session run failed'), mockVideo)).toBe(false);
+      await vi.waitFor(() => expect(startDetectionSpy).toHaveBeenCalled());
+
+      expect(scanner.detector.modelName).toBe('classic-cv');
+    });
+
+    it('should keep custom models when the fallback moves to the main thread', async () => {
+      scanner.settings.customModels = { 'receipt-yolo': { format: 'yolo', path: '/models/receipt.onnx' } };
+      scanner.detector.switchModel = vi.fn().mockRejectedValue(new Error('Detector worker failed'));
+      const fallback = {
+        models: {},
+        init: vi.fn().mockResolvedValue(),
+        registerModel: vi.fn((key, config) => {
+          fallback.models[key] = config;
+          return config;
+        })
+      };
+      Detector.mockImplementationOnce(() => fallback);
+
+      await scanner.useFallbackDetector();
+
+      expect(scanner.detector).toBe(fallback);
+      expect(fallback.registerModel).toHaveBeenCalledWith('receipt-yolo', scanner.settings.customModels['receipt-yolo']);
+      expect(scanner.ui.renderModelOptions).toHaveBeenCalledWith(
+        expect.objectContaining({ 'receipt-yolo': expect.any(Object) }),
+        'classic-cv'
+      );
+    });
+
+    it('should give up when the fallback itself keeps failing', () => {
+      scanner.detector.modelName = 'classic-cv';
+      scanner.errorCount = scanner.maxConsecutiveErrors - 1;
+
+      scanner.handleDetectionError(new Error('Session run failed'), mockVideo);
+
+      expect(scanner.detector.switchModel).not.toHaveBeenCalled();
+      expect(scanner.ui.updateStatus).toHaveBeenCalledWith('Detection system failure - please refresh page', 'error');
+    });
+  });
+
+  describe('Multi-receipt tracking', () => {
+    beforeEach(() => {
+      scanner.isAutoMode = true;
+      scanner.ui.updateStatus = vi.fn();
+      scanner.tracker = new Tracker({
+        createState: () => ({
+          shouldCapture: vi.fn().mockReturnValue(true),
+          getStats: vi.fn().mockReturnValue({ stabilityFrames: 0 })
+        })
+      });
+      vi.spyOn(scanner, 'isReceiptLike').mockReturnValue(true);
+      vi.spyOn(scanner.capturePipeline, 'capture').mockImplementation(async (detection) => {
+        scanner.tracker.getTrack(detection.trackId).captured = true;
+      });
+    });
+
+    const receipts = () => [
+      { label: 'receipt', score: 0.95, box: { x: 0, y: 0, width: 100, height: 200 } },
+      { label: 'receipt', score: 0.95, box: { x: 400, y: 0, width: 100, height: 200 } }
+    ];
+
+    it('should capture each receipt in view exactly once', async () => {
+      await scanner.processDetections(receipts());
+      await scanner.processDetections(receipts());
+      await scanner.processDetections(receipts());
+      await scanner.capturePipeline.queue;
+
+      expect(scanner.capturePipeline.capture).toHaveBeenCalledTimes(2);
+      const trackIds = scanner.capturePipeline.capture.mock.calls.map(([detection]) => detection.trackId);
+      expect(trackIds).toEqual([1, 2]);
+    });
+
+    it('should remember captured receipts when detection stops and restarts', async () => {
+      await scanner.processDetections(receipts());
+      await scanner.capturePipeline.queue;
+
+      scanner.stopDetection();
+      await scanner.processDetections(receipts());
+      await scanner.capturePipeline.queue;
+
+      expect(scanner.tracker.getTracks()).toHaveLength(2);
+      expect(scanner.capturePipeline.capture).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Duplicate suppression', () => {
+    const detection = () => ({ label: 'receipt', score: 0.95, box: { x: 100, y: 50, width: 200, height: 400 } });
+    const frame = { data: new Uint8ClampedArray(4), width: 1, height: 1, frameWidth: 640, frameHeight: 480 };
+
+    beforeEach(() => {
+      scanner.isAutoMode = true;
+      scanner.ui.updateStatus = vi.fn();
+      scanner.tracker = new Tracker({
+        createState: () => ({
+          shouldCapture: vi.fn().mockReturnValue(true),
+          getStats: vi.fn().mockReturnValue({ stabilityFrames: 0 })
+        })
+      });
+      vi.spyOn(scanner, 'isReceiptLike').mockReturnValue(true);
+      vi.spyOn(scanner.capturePipeline, 'capture').mockResolvedValue();
+      vi.spyOn(scanner.capturePipeline.duplicates, 'hash').mockReturnValue('00ff00ff00ff00ff');
+    });
+
+    it('should skip a receipt that matches a recent capture', async () => {
+      scanner.capturePipeline.duplicates.remember('00ff00ff00ff00ff', detection().box, 'receipt-1');
+
+      await scanner.processDetections([detection()], frame);
+
+      expect(scanner.capturePipeline.capture).not.toHaveBeenCalled();
+      expect(scanner.tracker.getTracks()[0]).toMatchObject({ captured: true, duplicateOf: 'receipt-1' });
+      expect(scanner.ui.updateStatus).toHaveBeenCalledWith('Receipt already captured', 'info');
+    });
+
+    it('should capture a receipt that matches nothing recent', async () => {
+      scanner.capturePipeline.duplicates.remember('ff00ff00ff00ff00', detection().box, 'receipt-1');
+
+      await scanner.processDetections([detection()], frame);
+
+      expect(scanner.capturePipeline.capture).toHaveBeenCalled();
+    });
+
+    it('should label duplicates on the overlay', async () => {
+      scanner.capturePipeline.duplicates.remember('00ff00ff00ff00ff', detection().box, 'receipt-1');
+      const receipt = detection();
+      await scanner.processDetections([receipt], frame);
+      const ctx = {
+        clearRect: vi.fn(), strokeRect: vi.fn(), fillRect: vi.fn(), fillText: vi.fn(),
+        measureText: vi.fn(() => ({ width: 100 }))
+      };
+
+      scanner.drawBoundingBox(ctx, receipt);
+
+      expect(ctx.fillText.mock.calls[0][0]).toContain('ALREADY CAPTURED');
+    });
+
+    it('should remember what was captured', async () => {
+      scanner.capturePipeline.capture.mockRestore();
+      scanner.playSound = vi.fn();
+      scanner.updateGalleryCount = vi.fn().mockResolvedValue();
+      scanner.storage.saveReceipt = vi.fn().mockResolvedValue('receipt-7');
+      scanner.ui.flashCapture = vi.fn();
+      scanner.camera.captureImage = vi.fn().mockResolvedValue(new Blob(['frame']));
+      scanner.settings.cropEnabled = false;
+
+      await scanner.capturePipeline.capture(detection());
+
+      expect(scanner.storage.saveReceipt.mock.calls[0][1].hash).toBe('00ff00ff00ff00ff');
+      expect(scanner.capturePipeline.duplicates.recent).toMatchObject([{ hash: '00ff00ff00ff00ff', id: 'receipt-7' }]);
+    });
+  });
+
+  describe('Long receipts', () => {
+    const segmentImage = { data: new Uint8ClampedArray(4), width: 1, height: 1 };
+    const segmentBlob = new Blob(['segment']);
+    const stitchedBlob = new Blob(['stitched']);
+
+    // Stand-in session that records what the scanner asks of it
+    const createSession = (decision) => ({
+      column: { x: 280, width: 240 },
+      count: 0,
+      isFull: false,
+      segments: [],
+      update: vi.fn(() => decision),
+      addSegment: vi.fn(function (image) {
+        this.segments.push({ image, position: { x: 0, y: this.count * 300 } });
+        this.count++;
+      }),
+      stitch: vi.fn(() => ({ data: new Uint8ClampedArray(4), width: 240, height: 900 }))
+    });
+
+    beforeEach(() => {
+      mockVideo.videoWidth = 1000;
+      mockVideo.videoHeight = 600;
+      scanner.ui.updateStatus = vi.fn();
+      scanner.ui.flashCapture = vi.fn();
+      scanner.playSound = vi.fn();
+      scanner.updateGalleryCount = vi.fn().mockResolvedValue();
+      scanner.storage.saveReceipt = vi.fn().mockResolvedValue('long-1');
+      scanner.camera.captureFrame = vi.fn(() => ({
+        height: 600,
+        getContext: () => ({ getImageData: vi.fn(() => segmentImage) })
+      }));
+      scanner.camera.imageDataToBlob = vi.fn(async (image) => image === segmentImage ? segmentBlob : stitchedBlob);
+      scanner.frameSampler.sample = vi.fn().mockReturnValue(null);
+    });
+
+    it('should follow the receipt in view', () => {
+      scanner.currentDetections = [{ label: 'receipt', score: 0.9, box: { x: 300, y: 100, width: 200, height: 400 } }];
+
+      scanner.startLongReceipt();
+
+      expect(scanner.longReceipt.column).toEqual({ x: 280, width: 240 });
+    });
+
+    it('should use the middle of the frame when nothing is detected', () => {
+      scanner.currentDetections = [];
+
+      scanner.startLongReceipt();
+
+      expect(scanner.longReceipt.column).toEqual({ x: 200, width: 600 });
+    });
+
+    it('should not auto-capture single receipts meanwhile', async () => {
+      scanner.isAutoMode = true;
+      scanner.tracker = new Tracker({
+        createState: () => ({
+          shouldCapture: vi.fn().mockReturnValue(true),
+          getStats: vi.fn().mockReturnValue({ stabilityFrames: 0 })
+        })
+      });
+      vi.spyOn(scanner, 'isReceiptLike').mockReturnValue(true);
+      vi.spyOn(scanner.capturePipeline, 'capture').mockResolvedValue();
+      scanner.longReceipt = createSession({ capture: false });
+
+      await scanner.processDetections([{ label: 'receipt', score: 0.95, box: { x: 0, y: 0, width: 100, height: 200 } }]);
+
+      expect(scanner.capturePipeline.capture).not.toHaveBeenCalled();
+    });
+
+    it('should grab a full-resolution segment once the receipt has slid far enough', async () => {
+      const decision = { capture: true, offset: { dx: 0, dy: 60 } };
+      scanner.longReceipt = createSession(decision);
+
+      await scanner.processLongReceipt(mockVideo);
+
+      expect(scanner.longReceipt.addSegment).toHaveBeenCalledWith(segmentImage, decision);
+      expect(scanner.ui.flashCapture).toHaveBeenCalled();
+    });
+
+    it('should decide on the same frame the segment is cut from', async () => {
+      const sampled = { data: new Uint8ClampedArray(4) };
+      scanner.frameSampler.sample = vi.fn().mockReturnValue(sampled);
+      scanner.longReceipt = createSession({ capture: true, offset: { dx: 0, dy: 60 } });
+
+      await scanner.processLongReceipt(mockVideo);
+
+      expect(scanner.camera.captureFrame).toHaveBeenCalledTimes(1);
+      expect(scanner.frameSampler.sample).toHaveBeenCalledWith(scanner.camera.captureFrame.mock.results[0].value);
+      expect(scanner.longReceipt.update).toHaveBeenCalledWith(sampled);
+    });
+
+    it('should ask the user to slide back when the overlap is lost', async () => {
+      scanner.longReceipt = createSession({ capture: false, lost: true });
+
+      await scanner.processLongReceipt(mockVideo);
+
+      expect(scanner.longReceipt.addSegment).not.toHaveBeenCalled();
+      expect(scanner.ui.updateStatus).toHaveBeenCalledWith('Lost the receipt - slide back a little', 'warning');
+    });
+
+    it('should save the stitched receipt with its segments attached', async () => {
+      const session = createSession({ capture: false });
+      session.addSegment(segmentImage);
+      session.addSegment(segmentImage);
+      scanner.longReceipt = session;
+
+      const id = await scanner.finishLongReceipt();
+
+      expect(id).toBe('long-1');
+      expect(scanner.longReceipt).toBeNull();
+      const [image, metadata, original, attachments] = scanner.storage.saveReceipt.mock.calls[0];
+      expect(image).toBe(stitchedBlob);
+      expect(original).toBeNull();
+      expect(attachments).toEqual([{ kind: 'segment', blob: segmentBlob }, { kind: 'segment', blob: segmentBlob }]);
+      expect(metadata.longReceipt).toMatchObject({ segments: 2, width: 240, height: 900 });
+      expect(metadata.longReceipt.positions).toEqual([{ x: 0, y: 0 }, { x: 0, y: 300 }]);
+    });
+
+    it('should pick up the tail end when finishing', async () => {
+      const session = createSession({ capture: true, offset: { dx: 0, dy: 20 } });
+      session.addSegment(segmentImage);
+      scanner.longReceipt = session;
+      scanner.frameSampler.sample = vi.fn().mockReturnValue({ data: new Uint8ClampedArray(4) });
+
+      await scanner.finishLongReceipt();
+
+      expect(session.update).toHaveBeenCalledWith({ data: expect.any(Uint8ClampedArray) }, { minAdvance: 0.05 });
+      expect(session.count).toBe(2);
+    });
+
+    it('should save nothing when cancelled', () => {
+      scanner.longReceipt = createSession({ capture: false });
+
+      scanner.cancelLongReceipt();
+
+      expect(scanner.longReceipt).toBeNull();
+      expect(scanner.storage.saveReceipt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Enhancement', () => {
+    const frame = new Blob(['frame'], { type: 'image/jpeg' });
+    const enhanced = new Blob(['enhanced'], { type: 'image/jpeg' });
+
+    beforeEach(() => {
+      scanner.settings.cropEnabled = false;
+      scanner.playSound = vi.fn();
+      scanner.updateGalleryCount = vi.fn().mockResolvedValue();
+      scanner.storage.saveReceipt = vi.fn().mockResolvedValue('test-id');
+      scanner.ui.flashCapture = vi.fn();
+      scanner.camera.captureImage = vi.fn().mockResolvedValue(frame);
+      scanner.capturePipeline.enhancer.enhance = vi.fn().mockResolvedValue(enhanced);
+    });
+
+    it('should save captures untouched by default', async () => {
+      await scanner.capturePipeline.capture(null);
+
+      expect(scanner.capturePipeline.enhancer.enhance).not.toHaveBeenCalled();
+      const [image, metadata, , attachments] = scanner.storage.saveReceipt.mock.calls[0];
+      expect(image).toBe(frame);
+      expect(metadata.enhancement).toBeNull();
+      expect(attachments).toEqual([]);
+    });
+
+    it('should save the enhanced image with the unprocessed one attached', async () => {
+      scanner.settings.enhancement = 'scan';
+
+      await scanner.capturePipeline.capture(null);
+
+      expect(scanner.capturePipeline.enhancer.enhance).toHaveBeenCalledWith(frame, 'scan', 'image/jpeg');
+      const [image, metadata, , attachments] = scanner.storage.saveReceipt.mock.calls[0];
+      expect(image).toBe(enhanced);
+      expect(metadata.enhancement).toBe('scan');
+      expect(attachments).toEqual([{ kind: 'unprocessed', blob: frame }]);
+    });
+
+    it('should save the unprocessed image when enhancement fails', async () => {
+      scanner.settings.enhancement = 'color';
+      scanner.capturePipeline.enhancer.enhance.mockRejectedValue(new Error('Enhancement worker failed'));
+
+      await scanner.capturePipeline.capture(null);
+
+      const [image, metadata] = scanner.storage.saveReceipt.mock.calls[0];
+      expect(image).toBe(frame);
+      expect(metadata.enhancement).toBeNull();
+    });
+  });
+
+  describe('Output encoding', () => {
+    const frame = new Blob(['frame'], { type: 'image/jpeg' });
+    const encoded = new Blob(['encoded'], { type: 'image/webp' });
+    const output = { format: 'image/webp', maxDimension: 2000, maxBytes: 307200, type: 'image/webp', quality: 0.7 };
+
+    beforeEach(() => {
+      scanner.settings.cropEnabled = false;
+      scanner.playSound = vi.fn();
+      scanner.updateGalleryCount = vi.fn().mockResolvedValue();
+      scanner.storage.saveReceipt = vi.fn().mockResolvedValue('test-id');
+      scanner.ui.flashCapture = vi.fn();
+      scanner.camera.captureImage = vi.fn().mockResolvedValue(frame);
+      scanner.encoder.encode = vi.fn().mockResolvedValue({ blob: encoded, output });
+    });
+
+    it('should pass the output settings to the encoder', () => {
+      scanner.settings.outputFormat = 'image/webp';
+      scanner.settings.maxDimension = 2000;
+      scanner.settings.maxFileSizeKb = 300;
+
+      scanner.applyOutputSettings();
+
+      expect(scanner.encoder.getSettings()).toEqual({ format: 'image/webp', maxDimension: 2000, maxBytes: 307200 });
+    });
+
+    it('should save the encoded image and record how it was encoded', async () => {
+      await scanner.capturePipeline.capture(null);
+
+      expect(scanner.encoder.encode).toHaveBeenCalledWith(frame);
+      const [image, metadata] = scanner.storage.saveReceipt.mock.calls[0];
+      expect(image).toBe(encoded);
+      expect(metadata.output).toEqual(output);
+    });
+
+    it('should save the image as captured when encoding fails', async () => {
+      scanner.encoder.encode.mockRejectedValue(new Error('This browser cannot encode image/webp'));
+
+      await scanner.capturePipeline.capture(null);
+
+      const [image, metadata] = scanner.storage.saveReceipt.mock.calls[0];
+      expect(image).toBe(frame);
+      expect(metadata.output).toBeNull();
+    });
+  });
+
+  describe('Capture review', () => {
+    const detection = {
+      label: 'receipt',
+      score: 0.95,
+      box: { x: 100, y: 50, width: 200, height: 400 },
+      quad: [{ x: 110, y: 50 }, { x: 300, y: 60 }, { x: 290, y: 450 }, { x: 100, y: 440 }]
+    };
+    const cropped = new Blob(['crop']);
+    const frame = new Blob(['frame']);
+    const recropped = new Blob(['recrop']);
+    const quality = { overall: 0.9, confidence: 0.95, blur: 0.8 };
+    let track;
+
+    beforeEach(() => {
+      scanner.settings.reviewCaptures = true;
+      scanner.playSound = vi.fn();
+      scanner.updateGalleryCount = vi.fn().mockResolvedValue();
+      scanner.storage.saveReceipt = vi.fn().mockResolvedValue('test-id');
+      scanner.ui.flashCapture = vi.fn();
+      scanner.ui.updateStatus = vi.fn();
+      scanner.camera.captureImage = vi.fn().mockResolvedValue(frame);
+      scanner.camera.captureReceipt = vi.fn().mockResolvedValue({
+        image: cropped,
+        original: frame,
+        crop: { quad: detection.quad, padding: 0.02, scale: 1 }
+      });
+      scanner.camera.recropReceipt = vi.fn().mockResolvedValue({
+        image: recropped,
+        crop: { quad: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }], padding: 0, adjusted: true }
+      });
+      scanner.capturePipeline.review.open = vi.fn().mockResolvedValue({ action: 'accept' });
+      scanner.capturePipeline.review.close = vi.fn();
+
+      scanner.tracker = new Tracker({
+        createState: () => ({
+          shouldCapture: vi.fn().mockReturnValue(true),
+          getStats: vi.fn().mockReturnValue({ stabilityFrames: 0 }),
+          reset: vi.fn(),
+          lastQuality: quality
+        })
+      });
+      [track] = scanner.tracker.update([detection]);
+    });
+
+    it('should save without review when review is off', async () => {
+      scanner.settings.reviewCaptures = false;
+
+      await scanner.capturePipeline.capture(track.detection);
+
+      expect(scanner.capturePipeline.review.open).not.toHaveBeenCalled();
+      expect(scanner.storage.saveReceipt).toHaveBeenCalled();
+    });
+
+    it('should show the shot with its quality and save it once accepted', async () => {
+      await scanner.capturePipeline.capture(track.detection);
+
+      expect(scanner.capturePipeline.review.open).toHaveBeenCalledWith({ image: cropped, frame, quad: detection.quad, quality });
+      expect(scanner.capturePipeline.review.close).toHaveBeenCalled();
+      expect(scanner.storage.saveReceipt.mock.calls[0][0]).toBe(cropped);
+    });
+
+    it('should discard a retaken shot and let the receipt be captured again', async () => {
+      scanner.capturePipeline.review.open.mockResolvedValue({ action: 'retake' });
+
+      await scanner.capturePipeline.capture(track.detection, { auto: true });
+
+      expect(scanner.storage.saveReceipt).not.toHaveBeenCalled();
+      expect(track.captured).toBe(false);
+      expect(track.capture.reset).toHaveBeenCalled();
+      expect(scanner.ui.updateStatus).toHaveBeenCalledWith('Capture discarded', 'info');
+    });
+
+    it('should re-crop the full frame with adjusted corners and review again', async () => {
+      const quad = [{ x: 5, y: 5 }, { x: 95, y: 5 }, { x: 95, y: 95 }, { x: 5, y: 95 }];
+      scanner.capturePipeline.review.open
+        .mockResolvedValueOnce({ action: 'crop', quad })
+        .mockResolvedValueOnce({ action: 'accept' });
+
+      await scanner.capturePipeline.capture(track.detection);
+
+      expect(scanner.camera.recropReceipt).toHaveBeenCalledWith(frame, quad);
+      expect(scanner.capturePipeline.review.open).toHaveBeenCalledTimes(2);
+      expect(scanner.capturePipeline.review.open.mock.calls[1][0].image).toBe(recropped);
+      const [image, metadata, original] = scanner.storage.saveReceipt.mock.calls[0];
+      expect(image).toBe(recropped);
+      expect(original).toBe(frame);
+      expect(metadata.crop).toMatchObject({ adjusted: true, padding: 0, scale: 1 });
+    });
+
+    it('should let good auto captures skip review', async () => {
+      scanner.settings.reviewSkipQuality = 0.85;
+
+      await scanner.capturePipeline.capture(track.detection, { auto: true });
+
+      expect(scanner.capturePipeline.review.open).not.toHaveBeenCalled();
+      expect(scanner.storage.saveReceipt).toHaveBeenCalled();
+    });
+
+    it('should still review manual captures above the skip threshold', async () => {
+      scanner.settings.reviewSkipQuality = 0.85;
+
+      await scanner.capturePipeline.capture(track.detection);
+
+      expect(scanner.capturePipeline.review.open).toHaveBeenCalled();
+    });
+
+    it('should keep tracking while a shot is being reviewed', async () => {
+      scanner.isAutoMode = true;
+      scanner.settings.reviewCaptures = true;
+      scanner.tracker.reset();
+      vi.spyOn(scanner, 'isReceiptLike').mockReturnValue(true);
+      scanner.capturePipeline.review.open = vi.fn(() => new Promise(() => {}));
+
+      await scanner.processDetections([{ ...detection }]);
+      await vi.waitFor(() => expect(scanner.capturePipeline.review.open).toHaveBeenCalled());
+
+      const moved = { ...detection, box: { ...detection.box, x: detection.box.x + 10 } };
+      await scanner.processDetections([moved]);
+
+      expect(scanner.currentDetections).toEqual([moved]);
+      expect(scanner.capturePipeline.review.open).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not auto-capture while a shot is being reviewed', async () => {
+      scanner.isAutoMode = true;
+      scanner.tracker.reset();
+      vi.spyOn(scanner, 'isReceiptLike').mockReturnValue(true);
+      vi.spyOn(scanner.capturePipeline, 'capture').mockResolvedValue();
+      scanner.capturePipeline.review.resolve = vi.fn();
+
+      await scanner.processDetections([{ ...detection }]);
+
+      expect(scanner.capturePipeline.capture).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Camera selection', () => {
+    const cameras = [{ deviceId: 'doc-cam', label: 'Document Camera' }];
+
+    beforeEach(() => {
+      scanner.ui.updateStatus = vi.fn();
+      scanner.ui.showLoading = vi.fn();
+      scanner.ui.hideLoading = vi.fn();
+      scanner.ui.setVideoStream = vi.fn().mockResolvedValue();
+      scanner.ui.renderCameraOptions = vi.fn();
+      scanner.camera.selectCamera = vi.fn(async (deviceId) => {
+        scanner.camera.activeDeviceId = deviceId;
+        return new MediaStream();
+      });
+      scanner.camera.listCameras = vi.fn().mockResolvedValue(cameras);
+      vi.spyOn(scanner, 'startDetection').mockImplementation(() => {});
+      vi.spyOn(scanner, 'saveSettings').mockImplementation(() => {});
+    });
+
+    it('should watch the track of a newly selected camera', async () => {
+      const track = new MediaStreamTrack('video');
+      scanner.camera.selectCamera = vi.fn().mockResolvedValue(new MediaStream([track]));
+
+      await scanner.selectCamera('doc-cam');
+
+      expect(scanner.lifecycle.track).toBe(track);
+      expect(scanner.lifecycle.state).toBe('live');
+    });
+
+    it('should switch cameras and remember the choice', async () => {
+      await scanner.selectCamera('doc-cam');
+
+      expect(scanner.camera.selectCamera).toHaveBeenCalledWith('doc-cam');
+      expect(scanner.settings.cameraId).toBe('doc-cam');
+      expect(scanner.saveSettings).toHaveBeenCalled();
+      expect(scanner.ui.renderCameraOptions).toHaveBeenCalledWith(cameras, 'doc-cam');
+      expect(scanner.startDetection).toHaveBeenCalled();
+    });
+
+    it('should carry tracked receipts over to the new camera size', async () => {
+      const video = { videoWidth: 640, videoHeight: 480 };
+      scanner.camera.getVideoElement = vi.fn(() => video);
+      scanner.ui.setVideoStream = vi.fn(async () => {
+        video.videoWidth = 1280;
+        video.videoHeight = 960;
+      });
+      vi.spyOn(scanner.tracker, 'rescale');
+
+      await scanner.selectCamera('doc-cam');
+
+      expect(scanner.tracker.rescale).toHaveBeenCalledWith({ width: 640, height: 480 }, { width: 1280, height: 960 });
+    });
+
+    it('should say so when the picked camera is unavailable', async () => {
+      scanner.camera.selectCamera = vi.fn(async () => {
+        scanner.camera.deviceUnavailable = true;
+        return new MediaStream();
+      });
+
+      await scanner.selectCamera('unplugged');
+
+      expect(scanner.settings.cameraId).toBe('unplugged');
+      expect(scanner.ui.updateStatus).toHaveBeenCalledWith('Selected camera not found - using the default camera', 'warning');
+    });
+
+    it('should hand a failed switch over to reconnecting', async () => {
+      scanner.camera.selectCamera = vi.fn().mockRejectedValue(new Error('Camera is already in use by another application.'));
+      vi.spyOn(scanner.lifecycle, 'scheduleReconnect').mockImplementation(() => {});
+
+      await scanner.selectCamera('doc-cam');
+
+      expect(scanner.ui.updateStatus).toHaveBeenLastCalledWith(
+        'Could not switch camera: Camera is already in use by another application.', 'error'
+      );
+      expect(scanner.ui.hideLoading).toHaveBeenCalled();
+      expect(scanner.lifecycle.scheduleReconnect).toHaveBeenCalled();
+      expect(scanner.startDetection).not.toHaveBeenCalled();
+    });
+
+    it('should not retry a switch the user refused camera access for', async () => {
+      const denied = new Error('Camera permission denied', { cause: Object.assign(new Error('denied'), { name: 'NotAllowedError' }) });
+      scanner.camera.selectCamera = vi.fn().mockRejectedValue(denied);
+      vi.spyOn(scanner.lifecycle, 'scheduleReconnect');
+
+      await scanner.selectCamera('doc-cam');
+
+      expect(scanner.lifecycle.state).toBe('denied');
+      expect(scanner.lifecycle.scheduleReconnect).not.toHaveBeenCalled();
+      expect(scanner.startDetection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Auto torch', () => {
+    const frame = { data: new Uint8ClampedArray(4), width: 1, height: 1, scale: 1, frameWidth: 1, frameHeight: 1 };
+    const receipts = [
+      { label: 'receipt', score: 0.9, box: { x: 0, y: 0, width: 100, height: 200 } },
+      { label: 'receipt', score: 0.95, box: { x: 400, y: 0, width: 100, height: 200 } }
+    ];
+    let analyzeLighting;
+
+    beforeEach(() => {
+      scanner.isAutoMode = false;
+      vi.spyOn(scanner, 'isReceiptLike').mockReturnValue(true);
+      scanner.cameraControls.updateLighting = vi.fn();
+      scanner.cameraControls.support.torch = true;
+      analyzeLighting = vi.fn((imageData, box) => ({ exposure: box.x > 0 ? 0.1 : 0.2 }));
+      scanner.tracker = new Tracker({ createState: () => ({ getStats: vi.fn(), analyzeLighting }) });
+    });
+
+    it('should measure the lighting of the most confident receipt on every frame', async () => {
+      await scanner.processDetections(receipts, frame);
+      await scanner.processDetections(receipts, frame);
+
+      expect(analyzeLighting).toHaveBeenCalledTimes(2);
+      expect(analyzeLighting).toHaveBeenCalledWith(frame, receipts[1].box);
+      expect(scanner.cameraControls.updateLighting).toHaveBeenCalledTimes(2);
+      expect(scanner.cameraControls.updateLighting).toHaveBeenCalledWith({ exposure: 0.1 });
+    });
+
+    it('should measure lighting while the receipt is already captured', async () => {
+      await scanner.processDetections([receipts[0]], frame);
+      scanner.tracker.getTracks()[0].captured = true;
+      scanner.isAutoMode = true;
+
+      await scanner.processDetections([receipts[0]], frame);
+
+      expect(scanner.cameraControls.updateLighting).toHaveBeenLastCalledWith({ exposure: 0.2 });
+    });
+
+    it('should not measure when auto-torch cannot act on it', async () => {
+      scanner.cameraControls.manualTorch = true;
+
+      await scanner.processDetections(receipts, frame);
+
+      expect(analyzeLighting).not.toHaveBeenCalled();
+      expect(scanner.cameraControls.updateLighting).not.toHaveBeenCalled();
+    });
+
+    it('should not be fed without a frame', async () => {
+      await scanner.processDetections(receipts, null);
+      await scanner.processDetections([], null);
+
+      expect(scanner.cameraControls.updateLighting).not.toHaveBeenCalled();
+    });
+
+    it('should measure the whole frame when there is no receipt', async () => {
+      const dark = {
+        data: new Uint8ClampedArray(64 * 36 * 4).fill(20),
+        width: 64,
+        height: 36,
+        scale: 1 / 30,
+        frameWidth: 1920,
+        frameHeight: 1080
+      };
+      scanner.detector.detect = vi.fn().mockResolvedValue([]);
+      scanner.frameSampler.sample = vi.fn().mockReturnValue(dark);
+      scanner.detectionLoop = 1;
+
+      await scanner.runDetection(mockVideo);
+
+      expect(scanner.frameSampler.sample).toHaveBeenCalledWith(mockVideo);
+      expect(analyzeLighting).not.toHaveBeenCalled();
+      expect(scanner.cameraControls.updateLighting).toHaveBeenCalledWith(expect.objectContaining({ exposure: 0 }));
+    });
+  });
+
+  describe('Focus point', () => {
+    const tap = (clientX, clientY) => ({
+      clientX,
+      clientY,
+      currentTarget: { getBoundingClientRect: () => ({ left: 0, top: 0, width: 640, height: 360 }) }
+    });
+
+    beforeEach(() => {
+      scanner.isAutoMode = false;
+      vi.spyOn(scanner, 'isReceiptLike').mockReturnValue(true);
+      scanner.focus.supported = true;
+      scanner.focus.focusAt = vi.fn().mockResolvedValue(true);
+      scanner.focus.followReceipt = vi.fn();
+      scanner.camera.getVideoElement = vi.fn(() => ({ videoWidth: 1280, videoHeight: 720 }));
+    });
+
+    it('should focus where the preview is tapped', async () => {
+      await scanner.focusAtTap(tap(160, 270));
+
+      expect(scanner.focus.focusAt).toHaveBeenCalledWith({ x: 320, y: 540 }, { width: 1280, height: 720 });
+    });
+
+    it('should ignore taps on cameras without points of interest', async () => {
+      scanner.focus.supported = false;
+
+      await scanner.focusAtTap(tap(160, 270));
+
+      expect(scanner.focus.focusAt).not.toHaveBeenCalled();
+    });
+
+    it('should ignore taps while a shot is being reviewed', async () => {
+      scanner.capturePipeline.review.resolve = vi.fn();
+
+      await scanner.focusAtTap(tap(160, 270));
+
+      expect(scanner.focus.focusAt).not.toHaveBeenCalled();
+      scanner.capturePipeline.review.resolve = null;
+    });
+
+    it('should follow the most confident receipt in frame pixels', async () => {
+      const receipts = [
+        { label: 'receipt', score: 0.9, box: { x: 0, y: 0, width: 100, height: 200 } },
+        { label: 'receipt', score: 0.95, box: { x: 400, y: 0, width: 100, height: 200 } }
+      ];
+
+      await scanner.processDetections(receipts, { frameWidth: 1280, frameHeight: 720 });
+
+      expect(scanner.focus.followReceipt).toHaveBeenCalledWith(receipts[1], { width: 1280, height: 720 });
+    });
+
+    it('should let go of the receipt once none is in view', async () => {
+      await scanner.processDetections([]);
+
+      expect(scanner.focus.followReceipt).toHaveBeenCalledWith(undefined, null);
+    });
+
+    it('should draw the focus marker over the detections', () => {
+      const ctx = { clearRect: vi.fn() };
+      scanner.focus.drawIndicator = vi.fn();
+      scanner.currentDetections = [];
+
+      scanner.drawDetections(ctx, { width: 640, height: 480 });
+
+      expect(scanner.focus.drawIndicator).toHaveBeenCalledWith(ctx);
+    });
+  });
+
+  describe('Camera resolution', () => {
+    beforeEach(() => {
+      scanner.ui.updateStatus = vi.fn();
+      scanner.ui.showLoading = vi.fn();
+      scanner.ui.hideLoading = vi.fn();
+      scanner.ui.setVideoStream = vi.fn().mockResolvedValue();
+      scanner.camera.restart = vi.fn().mockResolvedValue(new MediaStream());
+      scanner.camera.describeResolution = vi.fn(() => '1280×720');
+      scanner.refreshCameraList = vi.fn().mockResolvedValue();
+      scanner.renderResolution = vi.fn();
+      vi.spyOn(scanner, 'startDetection').mockImplementation(() => {});
+      vi.spyOn(scanner, 'saveSettings').mockImplementation(() => {});
+    });
+
+    it('should reopen the camera with the new preset and remember it', async () => {
+      scanner.camera.obtainedResolution = { width: 1280, height: 720, step: 0, fallback: false };
+
+      await scanner.selectResolution('speed');
+
+      expect(scanner.settings.resolution).toBe('speed');
+      expect(scanner.saveSettings).toHaveBeenCalled();
+      expect(scanner.camera.resolution).toBe('speed');
+      expect(scanner.camera.restart).toHaveBeenCalled();
+      expect(scanner.renderResolution).toHaveBeenCalled();
+      expect(scanner.ui.updateStatus).toHaveBeenCalledWith('Camera resolution changed (1280×720)', 'success');
+      expect(scanner.startDetection).toHaveBeenCalled();
+    });
+
+    it('should warn when the camera could not give the preferred size', () => {
+      scanner.camera.obtainedResolution = { width: 1280, height: 720, step: 2, fallback: true };
+
+      scanner.reportResolution('Ready');
+
+      expect(scanner.ui.updateStatus).toHaveBeenCalledWith('Camera limited to 1280×720', 'warning');
+    });
+
+    it('should report the resolution it could not read as plain success', () => {
+      scanner.camera.obtainedResolution = { width: null, height: null, step: 0, fallback: false };
+
+      scanner.reportResolution('Ready');
+
+      expect(scanner.ui.updateStatus).toHaveBeenCalledWith('Ready', 'success');
+    });
+  });
+
+  describe('Camera lifecycle', () => {
+    beforeEach(() => {
+      scanner.ui.updateStatus = vi.fn();
+      scanner.ui.setVideoStream = vi.fn().mockResolvedValue();
+      scanner.stopDetection = vi.fn();
+      scanner.startDetection = vi.fn();
+      scanner.refreshCameraControls = vi.fn().mockResolvedValue();
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should stop scanning and say so while the camera is away', async () => {
+      await scanner.handleCameraState('paused');
+      expect(scanner.stopDetection).toHaveBeenCalled();
+      expect(scanner.ui.updateStatus).toHaveBeenLastCalledWith('Camera paused', 'info', true);
+
+      await scanner.handleCameraState('reconnecting', { attempt: 2, delay: 2000 });
+      expect(scanner.ui.updateStatus).toHaveBeenLastCalledWith('Camera lost - reconnecting in 2s', 'warning', true);
+
+      await scanner.handleCameraState('denied');
+      expect(scanner.ui.updateStatus).toHaveBeenLastCalledWith(
+        'Camera access revoked - allow it in browser settings to continue', 'error'
+      );
+    });
+
+    it('should drop a long receipt in progress', async () => {
+      scanner.longReceipt = {};
+      scanner.cancelLongReceipt = vi.fn();
+
+      await scanner.handleCameraState('interrupted');
+
+      expect(scanner.cancelLongReceipt).toHaveBeenCalled();
+    });
+
+    it('should pick scanning up again once the camera is back', async () => {
+      const stream = new MediaStream();
+
+      await scanner.handleCameraState('live', { stream, recovered: true });
+
+      expect(scanner.ui.setVideoStream).toHaveBeenCalledWith(stream);
+      expect(scanner.refreshCameraControls).toHaveBeenCalled();
+      expect(scanner.startDetection).toHaveBeenCalled();
+      expect(scanner.ui.updateStatus).toHaveBeenLastCalledWith('Camera ready', 'success');
+    });
+
+    it('should release the camera when the page is unloaded', () => {
+      const page = new EventTarget();
+      vi.stubGlobal('window', page);
+      scanner.setupEventListeners();
+      scanner.lifecycle.detach = vi.fn();
+      scanner.camera.stop = vi.fn();
+
+      page.dispatchEvent(Object.assign(new Event('pagehide'), { persisted: true }));
+      expect(scanner.lifecycle.detach).not.toHaveBeenCalled();
+
+      page.dispatchEvent(Object.assign(new Event('pagehide'), { persisted: false }));
+      expect(scanner.stopDetection).toHaveBeenCalled();
+      expect(scanner.lifecycle.detach).toHaveBeenCalled();
+      expect(scanner.camera.stop).toHaveBeenCalled();
+    });
+
+    it('should leave the first start to init', async () => {
+      await scanner.handleCameraState('live', { stream: new MediaStream(), recovered: false });
+
+      expect(scanner.startDetection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Detection scheduling', () => {
+    let frames;
+    let overlay;
+
+    // Run the next queued animation frame
+    const nextFrame = () => frames.shift()();
+
+    beforeEach(() => {
+      frames = [];
+      vi.stubGlobal('requestAnimationFrame', vi.fn((cb) => frames.push(cb)));
+      vi.stubGlobal('cancelAnimationFrame', vi.fn());
+
+      mockVideo.videoWidth = 640;
+      mockVideo.videoHeight = 480;
+      mockVideo.readyState = HTMLMediaElement.HAVE_CURRENT_DATA;
+      mockVideo.srcObject = { getVideoTracks: () => [{ enabled: true, readyState: 'live' }] };
+
+      overlay = new HTMLCanvasElement();
+      overlay.getContext = vi.fn(() => ({ clearRect: vi.fn() }));
+
+      scanner.detector = { detect: vi.fn(() => new Promise(() => {})) };
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should keep a single detection in flight', () => {
+      scanner.startDetectionLoop(mockVideo, overlay);
+
+      nextFrame();
+      nextFrame();
+      nextFrame();
+
+      expect(scanner.detector.detect).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for a new video frame when requestVideoFrameCallback is available', () => {
+      const videoFrames = [];
+      mockVideo.requestVideoFrameCallback = vi.fn((cb) => videoFrames.push(cb));
+      mockVideo.cancelVideoFrameCallback = vi.fn();
+      scanner.detector.detect = vi.fn().mockResolvedValue([]);
+
+      scanner.startDetectionLoop(mockVideo, overlay);
+      nextFrame();
+      expect(scanner.detector.detect).not.toHaveBeenCalled();
+
+      videoFrames.shift()();
+      nextFrame();
+      expect(scanner.detector.detect).toHaveBeenCalledTimes(1);
+
+      scanner.stopDetection();
+      expect(mockVideo.cancelVideoFrameCallback).toHaveBeenCalled();
+    });
+
+    it('should record inference latency once detection completes', async () => {
+      scanner.detector.detect = vi.fn().mockResolvedValue([]);
+      scanner.detectionLoop = 1;
+
+      await scanner.runDetection(mockVideo);
+
+      expect(scanner.scheduler.inFlight).toBe(false);
+      expect(scanner.scheduler.samples).toHaveLength(1);
+    });
+
+    it('should free the scheduler when processing the detections fails', async () => {
+      scanner.detector.detect = vi.fn().mockResolvedValue([]);
+      vi.spyOn(scanner, 'processDetections').mockRejectedValue(new Error('Quota exceeded'));
+      scanner.detectionLoop = 1;
+
+      await expect(scanner.runDetection(mockVideo)).rejects.toThrow('Quota exceeded');
+
+      expect(scanner.scheduler.inFlight).toBe(false);
+    });
+
+    it('should report a failed detection pass instead of leaving it unhandled', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const failure = new Error('Quota exceeded');
+      vi.spyOn(scanner, 'runDetection').mockRejectedValue(failure);
+
+      scanner.startDetectionLoop(mockVideo, overlay);
+      nextFrame();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(consoleSpy).toHaveBeenCalledWith('Detection pass failed:', failure);
+    });
+
+    it('should clear the scheduler when detection stops', () => {
+      scanner.scheduler.start();
+
+      scanner.stopDetection();
+
+      expect(scanner.scheduler.inFlight).toBe(false);
+    });
+
+    it('should treat a detector result without detections as none', async () => {
+      scanner.detector.detect = vi.fn().mockResolvedValue(undefined);
+      vi.spyOn(scanner, 'processDetections').mockResolvedValue();
+      scanner.detectionLoop = 1;
+
+      await scanner.runDetection(mockVideo);
+
+      expect(scanner.processDetections).toHaveBeenCalledWith([], null);
+    });
+
+    it('should pass the real video size to quality scoring when sampling fails', async () => {
+      const detection = { label: 'receipt', score: 0.95, box: { x: 100, y: 100, width: 200, height: 300 } };
+      mockVideo.videoWidth = 1080;
+      mockVideo.videoHeight = 1920;
+      scanner.detector.detect = vi.fn().mockResolvedValue([detection]);
+      scanner.frameSampler.sample = vi.fn().mockReturnValue(null);
+      vi.spyOn(scanner, 'processDetections').mockResolvedValue();
+      scanner.detectionLoop = 1;
+
+      await scanner.runDetection(mockVideo);
+
+      expect(scanner.processDetections).toHaveBeenCalledWith([detection], { frameWidth: 1080, frameHeight: 1920 });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  boxToQuad,
+  padQuad,
+  quadOutputSize,
+  solveHomography,
+  warpPerspective,
+  cropReceipt
+} from '../src/js/perspective.js';
+
+// RGBA frame where every pixel encodes its own coordinates
+function createFrame(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = x;
+      data[i + 1] = y;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+function applyHomography(h, { x, y }) {
+  const w = h[6] * x + h[7] * y + h[8];
+  return {
+    x: (h[0] * x + h[1] * y + h[2]) / w,
+    y: (h[3] * x + h[4] * y + h[5]) / w
+  };
+}
+
+describe('perspective', () => {
+  describe('solveHomography', () => {
+    it('should map each source corner onto its target', () => {
+      const from = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 200 }, { x: 0, y: 200 }];
+      const to = [{ x: 12, y: 30 }, { x: 140, y: 18 }, { x: 150, y: 260 }, { x: 5, y: 240 }];
+
+      const h = solveHomography(from, to);
+
+      from.forEach((point, i) => {
+        const mapped = applyHomography(h, point);
+        expect(mapped.x).toBeCloseTo(to[i].x, 6);
+        expect(mapped.y).toBeCloseTo(to[i].y, 6);
+      });
+    });
+
+    it('should reject degenerate quads', () => {
+      const from = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+      const collapsed = [{ x: 5, y: 5 }, { x: 5, y: 5 }, { x: 5, y: 5 }, { x: 5, y: 5 }];
+
+      expect(() => solveHomography(from, collapsed)).toThrow('degenerate');
+    });
+  });
+
+  describe('warpPerspective', () => {
+    it('should reproduce an axis-aligned region unchanged', () => {
+      const frame = createFrame(64, 48);
+      const quad = boxToQuad({ x: 10, y: 5, width: 20, height: 30 });
+
+      const out = warpPerspective(frame, quad, 20, 30);
+
+      expect(out.width).toBe(20);
+      expect(out.height).toBe(30);
+      expect(out.data[0]).toBe(10);
+      expect(out.data[1]).toBe(5);
+      const last = (29 * 20 + 19) * 4;
+      expect(out.data[last]).toBe(29);
+      expect(out.data[last + 1]).toBe(34);
+    });
+
+    it('should flatten a skewed quad into the output rectangle', () => {
+      const frame = createFrame(100, 100);
+      const quad = [{ x: 20, y: 10 }, { x: 80, y: 20 }, { x: 70, y: 90 }, { x: 10, y: 80 }];
+
+      const out = warpPerspective(frame, quad, 40, 40);
+
+      // Output corners sample next to the matching quad corners
+      expect(out.data[0]).toBeCloseTo(20, -1);
+      expect(out.data[1]).toBeCloseTo(10, -1);
+      const bottomRight = (39 * 40 + 39) * 4;
+      expect(out.data[bottomRight]).toBeCloseTo(70, -1);
+      expect(out.data[bottomRight + 1]).toBeCloseTo(90, -1);
+    });
+  });
+
+  describe('padQuad', () => {
+    it('should grow the quad outwards and clamp to the frame', () => {
+      const quad = boxToQuad({ x: 0, y: 40, width: 100, height: 100 });
+
+      const padded = padQuad(quad, 0.1, 200, 200);
+
+      expect(padded[0]).toEqual({ x: 0, y: 30 });
+      expect(padded[2]).toEqual({ x: 110, y: 150 });
+    });
+  });
+
+  describe('cropReceipt', () => {
+    it('should use the detected quad and size the output from its edges', () => {
+      const frame = createFrame(200, 200);
+      const detection = {
+        box: { x: 0, y: 0, width: 200, height: 200 },
+        quad: [{ x: 50, y: 20 }, { x: 110, y: 20 }, { x: 110, y: 140 }, { x: 50, y: 140 }]
+      };
+
+      const crop = cropReceipt(frame, detection);
+
+      expect(quadOutputSize(detection.quad)).toEqual({ width: 60, height: 120 });
+      expect(crop.width).toBe(60);
+      expect(crop.height).toBe(120);
+      expect(crop.data[0]).toBe(50);
+      expect(crop.data[1]).toBe(20);
+    });
+
+    it('should fall back to the bounding box when no quad was found', () => {
+      const frame = createFrame(100, 100);
+
+      const crop = cropReceipt(frame, { box: { x: 10, y: 10, width: 40, height: 20 } }, { padding: 0 });
+
+      expect(crop.width).toBe(40);
+      expect(crop.height).toBe(20);
+      expect(crop.quad[0]).toEqual({ x: 10, y: 10 });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CaptureReview, qualityBreakdown } from '../src/js/review.js';
+
+// Stand-in for a DOM element that records its listeners
+function createElement(extra = {}) {
+  const listeners = {};
+  return {
+    listeners,
+    hidden: false,
+    textContent: '',
+    innerHTML: '',
+    src: '',
+    classList: { add: vi.fn(), remove: vi.fn() },
+    addEventListener: vi.fn((type, handler) => { listeners[type] = handler; }),
+    ...extra
+  };
+}
+
+describe('qualityBreakdown', () => {
+  it('should list the overall score first and the weakest parts next', () => {
+    const rows = qualityBreakdown({ overall: 0.7, confidence: 0.9, blur: 0.4, glare: 0.8, shadow: 1 });
+
+    expect(rows.map(row => row.key)).toEqual(['overall', 'blur', 'glare', 'confidence', 'shadow']);
+    expect(rows[1]).toEqual({ key: 'blur', label: 'Sharpness', value: 0.4 });
+  });
+
+  it('should be empty without quality data', () => {
+    expect(qualityBreakdown(null)).toEqual([]);
+  });
+});
+
+describe('CaptureReview', () => {
+  let elements;
+  let review;
+  let originalGetElementById;
+  let originalCreateObjectURL;
+  let originalRevokeObjectURL;
+  const image = new Blob(['image'], { type: 'image/jpeg' });
+
+  beforeEach(() => {
+    const ctx = {
+      drawImage: vi.fn(), beginPath: vi.fn(), rect: vi.fn(), moveTo: vi.fn(), lineTo: vi.fn(),
+      closePath: vi.fn(), fill: vi.fn(), stroke: vi.fn(), arc: vi.fn()
+    };
+    elements = {
+      'capture-review': createElement(),
+      'review-image': createElement(),
+      'review-quality': createElement(),
+      'review-crop': createElement({
+        width: 0,
+        height: 0,
+        getContext: () => ctx,
+        // Shown at half size
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: 500, height: 375 })
+      }),
+      'review-accept': createElement(),
+      'review-retake': createElement(),
+      'review-adjust': createElement()
+    };
+
+    originalGetElementById = document.getElementById;
+    document.getElementById = vi.fn((id) => elements[id]);
+    originalCreateObjectURL = URL.createObjectURL;
+    originalRevokeObjectURL = URL.revokeObjectURL;
+    URL.createObjectURL = vi.fn(() => 'blob:review');
+    URL.revokeObjectURL = vi.fn();
+    global.createImageBitmap = vi.fn(async () => ({ width: 1000, height: 750, close: vi.fn() }));
+
+    review = new CaptureReview();
+  });
+
+  afterEach(() => {
+    document.getElementById = originalGetElementById;
+    URL.createObjectURL = originalCreateObjectURL;
+    URL.revokeObjectURL = originalRevokeObjectURL;
+    delete global.createImageBitmap;
+  });
+
+  const click = (id) => elements[id].listeners.click();
+
+  it('should show the shot with its quality and resolve on accept', async () => {
+    const decision = review.open({ image, quality: { overall: 0.8, blur: 0.3 } });
+
+    expect(review.isOpen).toBe(true);
+    expect(elements['capture-review'].classList.add).toHaveBeenCalledWith('visible');
+    expect(elements['review-image'].src).toBe('blob:review');
+    expect(elements['review-quality'].innerHTML).toContain('Sharpness');
+    expect(elements['review-quality'].innerHTML).toContain('30%');
+
+    click('review-accept');
+
+    await expect(decision).resolves.toEqual({ action: 'accept' });
+    expect(review.isOpen).toBe(false);
+  });
+
+  it('should resolve on retake', async () => {
+    const decision = review.open({ image });
+
+    click('review-retake');
+
+    await expect(decision).resolves.toEqual({ action: 'retake' });
+  });
+
+  it('should return the dragged crop corners in frame pixels', async () => {
+    const quad = [{ x: 100, y: 100 }, { x: 900, y: 100 }, { x: 900, y: 650 }, { x: 100, y: 650 }];
+    const decision = review.open({ image, frame: image, quad });
+
+    click('review-adjust');
+    await vi.waitFor(() => expect(elements['review-crop'].hidden).toBe(false));
+    expect(elements['review-accept'].textContent).toBe('Apply Crop');
+
+    // Drag the top-left corner from (50, 50) to (60, 40) on screen
+    const crop = elements['review-crop'].listeners;
+    crop.pointerdown({ clientX: 52, clientY: 48, target: {} });
+    crop.pointermove({ clientX: 60, clientY: 40 });
+    crop.pointerup();
+    click('review-accept');
+
+    const result = await decision;
+    expect(result.action).toBe('crop');
+    expect(result.quad[0]).toEqual({ x: 120, y: 80 });
+    expect(result.quad.slice(1)).toEqual(quad.slice(1));
+  });
+
+  it('should start from the whole frame when there is no crop', async () => {
+    const decision = review.open({ image });
+
+    click('review-adjust');
+    await vi.waitFor(() => expect(elements['review-crop'].hidden).toBe(false));
+    click('review-accept');
+
+    const result = await decision;
+    expect(result.quad).toEqual([{ x: 0, y: 0 }, { x: 1000, y: 0 }, { x: 1000, y: 750 }, { x: 0, y: 750 }]);
+  });
+
+  it('should ignore touches away from the corners', async () => {
+    review.open({ image });
+    click('review-adjust');
+    await vi.waitFor(() => expect(elements['review-crop'].hidden).toBe(false));
+
+    elements['review-crop'].listeners.pointerdown({ clientX: 250, clientY: 180, target: {} });
+
+    expect(review.dragging).toBe(-1);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DetectionScheduler } from '../src/js/scheduler.js';
+
+describe('DetectionScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new DetectionScheduler({ targetDps: 5 });
+  });
+
+  it('should run the first detection immediately', () => {
+    expect(scheduler.shouldRun(0)).toBe(true);
+  });
+
+  it('should keep only one detection in flight', () => {
+    scheduler.start(0);
+
+    expect(scheduler.shouldRun(5000)).toBe(false);
+  });
+
+  it('should respect the detections-per-second budget', () => {
+    const startedAt = scheduler.start(0);
+    scheduler.finish(startedAt, 50);
+
+    expect(scheduler.shouldRun(150)).toBe(false);
+    expect(scheduler.shouldRun(200)).toBe(true);
+  });
+
+  it('should run as soon as a slow detection finishes', () => {
+    const startedAt = scheduler.start(0);
+    scheduler.finish(startedAt, 700);
+
+    expect(scheduler.shouldRun(700)).toBe(true);
+  });
+
+  it('should report average latency and achieved rate', () => {
+    for (let i = 0; i < 4; i++) {
+      const startedAt = scheduler.start(i * 500);
+      scheduler.finish(startedAt, i * 500 + 100 + i * 20);
+    }
+
+    const stats = scheduler.getStats(1900);
+
+    expect(stats.latency).toBe(130);
+    expect(stats.dps).toBe(2);
+    expect(stats.targetDps).toBe(5);
+  });
+
+  it('should forget samples older than the averaging window', () => {
+    const startedAt = scheduler.start(0);
+    scheduler.finish(startedAt, 100);
+
+    expect(scheduler.getStats(5000)).toEqual({ latency: 0, dps: 0, targetDps: 5 });
+  });
+
+  it('should change the budget at runtime', () => {
+    scheduler.setTargetDps(10);
+
+    expect(scheduler.interval).toBe(100);
+  });
+
+  it('should clear in-flight state on reset', () => {
+    scheduler.start(0);
+    scheduler.reset();
+
+    expect(scheduler.shouldRun(0)).toBe(true);
+  });
+
+  it('should ignore a detection that finishes after a reset', () => {
+    const stale = scheduler.start(0);
+    scheduler.reset();
+    scheduler.start(500);
+
+    scheduler.finish(stale, 600);
+
+    expect(scheduler.inFlight).toBe(true);
+    expect(scheduler.samples).toHaveLength(0);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { detectFeatures, estimateTranslation, registerImages, stitchSegments } from '../src/js/stitcher.js';
+
+// Tall grayscale receipt: rows of dark "words" of random length on paper
+function createReceipt(width, height, seed = 7) {
+  const gray = new Uint8ClampedArray(width * height).fill(230);
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  for (let row = 6; row < height - 12; row += 11) {
+    let x = 6 + Math.floor(random() * 10);
+    const lineHeight = 4 + Math.floor(random() * 3);
+    while (x < width - 12) {
+      const wordWidth = 4 + Math.floor(random() * 18);
+      for (let y = row; y < row + lineHeight; y++) {
+        for (let dx = 0; dx < wordWidth && x + dx < width - 6; dx++) {
+          gray[y * width + x + dx] = 40 + Math.floor(random() * 30);
+        }
+      }
+      x += wordWidth + 3 + Math.floor(random() * 8);
+    }
+  }
+
+  return gray;
+}
+
+// Window of a gray image, shifted by (x, y)
+function view(gray, width, x, y, viewWidth, viewHeight) {
+  const out = new Uint8ClampedArray(viewWidth * viewHeight);
+  for (let row = 0; row < viewHeight; row++) {
+    out.set(gray.subarray((y + row) * width + x, (y + row) * width + x + viewWidth), row * viewWidth);
+  }
+  return out;
+}
+
+function toRGBA(gray, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < gray.length; i++) {
+    data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = gray[i];
+    data[i * 4 + 3] = 255;
+  }
+  return { data, width, height };
+}
+
+describe('stitcher', () => {
+  const width = 160;
+  const receipt = createReceipt(width + 10, 600);
+
+  it('should find corners on printed text and none on blank paper', () => {
+    expect(detectFeatures(view(receipt, width + 10, 0, 0, width, 120), width, 120).length).toBeGreaterThan(20);
+    expect(detectFeatures(new Uint8ClampedArray(width * 120).fill(230), width, 120)).toEqual([]);
+  });
+
+  it('should register overlapping segments to the slide between them', () => {
+    const a = view(receipt, width + 10, 0, 100, width, 120);
+    const b = view(receipt, width + 10, 0, 160, width, 120);
+
+    const offset = registerImages(a, b, width, 120);
+
+    expect(offset.dx).toBe(0);
+    expect(offset.dy).toBe(60);
+    expect(offset.inliers).toBeGreaterThanOrEqual(8);
+  });
+
+  it('should register sideways drift as well', () => {
+    const a = view(receipt, width + 10, 6, 100, width, 120);
+    const b = view(receipt, width + 10, 2, 170, width, 120);
+
+    expect(registerImages(a, b, width, 120)).toMatchObject({ dx: -4, dy: 70 });
+  });
+
+  it('should refuse segments that do not overlap', () => {
+    const a = view(receipt, width + 10, 0, 0, width, 120);
+    const b = view(receipt, width + 10, 0, 300, width, 120);
+
+    expect(registerImages(a, b, width, 120)).toBeNull();
+  });
+
+  it('should pick the translation most matches agree on', () => {
+    const match = (ax, ay, bx, by) => ({ a: { x: ax, y: ay }, b: { x: bx, y: by } });
+    const matches = [
+      ...Array.from({ length: 10 }, (_, i) => match(10 + i, 50 + i, 10 + i, 10 + i)),
+      match(5, 5, 80, 3),
+      match(70, 20, 2, 90)
+    ];
+
+    expect(estimateTranslation(matches)).toMatchObject({ dx: 0, dy: 40, inliers: 10 });
+    expect(estimateTranslation(matches.slice(0, 5))).toBeNull();
+  });
+
+  it('should stitch segments back into the full receipt', () => {
+    const offsets = [0, 90, 180, 270];
+    const segments = offsets.map(y => toRGBA(view(receipt, width + 10, 0, y, width, 120), width, 120));
+
+    const stitched = stitchSegments(segments, offsets.map(y => ({ x: 0, y })));
+
+    expect(stitched.width).toBe(width);
+    expect(stitched.height).toBe(390);
+    let error = 0;
+    for (let y = 0; y < stitched.height; y++) {
+      for (let x = 0; x < width; x++) {
+        error += Math.abs(stitched.data[(y * width + x) * 4] - receipt[y * (width + 10) + x]);
+      }
+    }
+    expect(error / (width * stitched.height)).toBeLessThan(1);
+  });
+
+  it('should fill gaps from sideways drift with paper white', () => {
+    const segment = toRGBA(new Uint8ClampedArray(20 * 20).fill(100), 20, 20);
+
+    const stitched = stitchSegments([segment, segment], [{ x: 0, y: 0 }, { x: 5, y: 10 }]);
+
+    expect(stitched.width).toBe(25);
+    expect(stitched.height).toBe(30);
+    expect(stitched.data[(29 * 25) * 4]).toBe(255);
+    expect(stitched.data[(5 * 25 + 5) * 4]).toBe(100);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Tracker } from '../src/js/tracker.js';
+import { CaptureManager } from '../src/js/capture.js';
+
+const detection = (x, y, width = 100, height = 200) => ({
+  label: 'receipt',
+  score: 0.95,
+  box: { x, y, width, height }
+});
+
+describe('Tracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new Tracker();
+  });
+
+  it('should give each new detection its own track', () => {
+    const tracks = tracker.update([detection(0, 0), detection(400, 0)]);
+
+    expect(tracks.map(track => track.id)).toEqual([1, 2]);
+    expect(tracks[0].capture).toBeInstanceOf(CaptureManager);
+    expect(tracks[0].capture).not.toBe(tracks[1].capture);
+  });
+
+  it('should keep IDs stable as receipts move slightly', () => {
+    tracker.update([detection(0, 0), detection(400, 0)]);
+    const a = detection(405, 3);
+    const b = detection(4, 2);
+
+    tracker.update([a, b]);
+
+    expect(a.trackId).toBe(2);
+    expect(b.trackId).toBe(1);
+    expect(tracker.getTracks()).toHaveLength(2);
+  });
+
+  it('should follow fast movement by centroid when boxes stop overlapping', () => {
+    tracker.update([detection(0, 0)]);
+    const moved = detection(90, 60);
+
+    tracker.update([moved]);
+
+    expect(moved.trackId).toBe(1);
+  });
+
+  it('should not merge two receipts into one track', () => {
+    tracker.update([detection(0, 0)]);
+    const first = detection(2, 0);
+    const second = detection(10, 5);
+
+    tracker.update([first, second]);
+
+    expect(first.trackId).toBe(1);
+    expect(second.trackId).toBe(2);
+  });
+
+  it('should drop tracks after too many missed frames', () => {
+    tracker = new Tracker({ maxMisses: 2 });
+    tracker.update([detection(0, 0)]);
+
+    tracker.update([]);
+    tracker.update([]);
+    expect(tracker.getTrack(1)).not.toBeNull();
+
+    tracker.update([]);
+    expect(tracker.getTrack(1)).toBeNull();
+  });
+
+  it('should keep the captured flag while the receipt stays in view', () => {
+    const [track] = tracker.update([detection(0, 0)]);
+    track.captured = true;
+
+    const [next] = tracker.update([detection(1, 1)]);
+
+    expect(next).toBe(track);
+    expect(next.captured).toBe(true);
+    expect(next.hits).toBe(2);
+  });
+
+  it('should build stability per track with two receipts in view', () => {
+    let captures = 0;
+    for (let frame = 0; frame < 20; frame++) {
+      const tracks = tracker.update([detection(100, 100), detection(600, 100)]);
+      for (const track of tracks) {
+        if (!track.captured && track.capture.shouldCapture(track.detection, 5)) {
+          track.captured = true;
+          captures++;
+        }
+      }
+    }
+
+    expect(captures).toBe(2);
+  });
+
+  it('should carry captured tracks over to a new frame size', () => {
+    const [track] = tracker.update([detection(100, 100)]);
+    track.captured = true;
+
+    tracker.rescale({ width: 640, height: 480 }, { width: 1280, height: 720 });
+    const [next] = tracker.update([detection(202, 151, 200, 300)]);
+
+    expect(next).toBe(track);
+    expect(next.captured).toBe(true);
+    expect(next.capture.getStats().stabilityFrames).toBe(0);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ReceiptVerifier } from '../src/js/verifier.js';
+
+vi.mock('@xenova/transformers', () => ({
+  pipeline: vi.fn(),
+  RawImage: class RawImage {
+    constructor(data, width, height, channels) {
+      this.data = data;
+      this.width = width;
+      this.height = height;
+      this.channels = channels;
+    }
+  }
+}));
+
+const imageData = {
+  data: new Uint8ClampedArray(400 * 300 * 4),
+  width: 400,
+  height: 300
+};
+
+const detection = (x, score = 0.9) => ({
+  label: 'cell phone',
+  score,
+  box: { x, y: 20, width: 80, height: 160 }
+});
+
+// Zero-shot output with the given share on the receipt prompts
+const classify = (receiptShare) => [
+  { label: 'a photo of a paper receipt', score: receiptShare * 0.7 },
+  { label: 'a photo of a printed shopping receipt', score: receiptShare * 0.3 },
+  { label: 'a photo of a mobile phone', score: 1 - receiptShare }
+];
+
+describe('ReceiptVerifier', () => {
+  let verifier;
+  let classifier;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    classifier = vi.fn().mockResolvedValue(classify(0.9));
+    const { pipeline } = await import('@xenova/transformers');
+    pipeline.mockResolvedValue(classifier);
+
+    verifier = new ReceiptVerifier({ threshold: 0.6 });
+    await verifier.init();
+  });
+
+  it('should load a zero-shot image classification pipeline', async () => {
+    const { pipeline } = await import('@xenova/transformers');
+
+    expect(pipeline).toHaveBeenCalledWith(
+      'zero-shot-image-classification',
+      'Xenova/clip-vit-base-patch32',
+      expect.objectContaining({ quantized: true })
+    );
+  });
+
+  it('should keep candidates above the receipt probability', async () => {
+    const result = await verifier.verify([detection(10)], imageData);
+
+    expect(result).toHaveLength(1);
+    expect(result[0].receiptScore).toBeCloseTo(0.9);
+  });
+
+  it('should reject candidates below the receipt probability', async () => {
+    classifier.mockResolvedValue(classify(0.2));
+
+    const result = await verifier.verify([detection(10)], imageData);
+
+    expect(result).toEqual([]);
+  });
+
+  it('should classify the cropped candidate in model input coordinates', async () => {
+    await verifier.verify([detection(100)], imageData, { x: 0.5, y: 0.5 });
+
+    const [image, labels] = classifier.mock.calls[0];
+    expect(image.width).toBe(40);
+    expect(image.height).toBe(80);
+    expect(labels).toContain('a photo of a paper receipt');
+  });
+
+  it('should only score the most confident candidates', async () => {
+    verifier.maxCandidates = 2;
+
+    const result = await verifier.verify([detection(0, 0.6), detection(100, 0.95), detection(200, 0.8)], imageData);
+
+    expect(classifier).toHaveBeenCalledTimes(2);
+    expect(result.map(d => d.score)).toEqual([0.95, 0.8]);
+  });
+
+  it('should reuse recent verdicts for boxes that barely moved', async () => {
+    await verifier.verify([detection(10)], imageData);
+    await verifier.verify([detection(12)], imageData);
+
+    expect(classifier).toHaveBeenCalledTimes(1);
+  });
+
+  it('should let candidates through when classification fails', async () => {
+    classifier.mockRejectedValue(new Error('Session run failed'));
+
+    const result = await verifier.verify([detection(10)], imageData);
+
+    expect(result).toHaveLength(1);
+    expect(result[0].receiptScore).toBeNull();
+  });
+
+  it('should require init before verifying', async () => {
+    const uninitialized = new ReceiptVerifier();
+
+    await expect(uninitialized.verify([], imageData)).rejects.toThrow('Verifier not initialized');
+  });
+});
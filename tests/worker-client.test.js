@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { WorkerClient } from '../src/js/worker-client.js';
+
+// Worker that answers only when told to
+class FakeWorker extends EventTarget {
+  constructor() {
+    super();
+    this.postMessage = vi.fn();
+    this.terminate = vi.fn();
+  }
+
+  reply(data) {
+    this.dispatchEvent(Object.assign(new Event('message'), { data }));
+  }
+}
+
+describe('WorkerClient', () => {
+  let workers;
+  let client;
+  let onMessage;
+  let onFailure;
+
+  beforeEach(() => {
+    workers = [];
+    onMessage = vi.fn();
+    onFailure = vi.fn();
+    client = new WorkerClient(() => {
+      const worker = new FakeWorker();
+      workers.push(worker);
+      return worker;
+    }, { name: 'Test worker', onMessage, onFailure });
+  });
+
+  it('should resolve requests with the matching reply', async () => {
+    const first = client.request('ping', { n: 1 });
+    const second = client.request('ping', { n: 2 });
+
+    workers[0].reply({ id: 2, result: 'two' });
+    workers[0].reply({ id: 1, error: 'bad ping' });
+
+    await expect(second).resolves.toBe('two');
+    await expect(first).rejects.toThrow('bad ping');
+    expect(workers).toHaveLength(1);
+  });
+
+  it('should pass messages that are not replies to onMessage', () => {
+    client.ensureWorker();
+    workers[0].reply({ type: 'progress', progress: 10 });
+
+    expect(onMessage).toHaveBeenCalledWith({ type: 'progress', progress: 10 });
+  });
+
+  it('should terminate a failed worker and start a new one on the next request', async () => {
+    const pending = client.request('ping');
+
+    workers[0].dispatchEvent(Object.assign(new Event('error'), { message: 'boom' }));
+
+    await expect(pending).rejects.toThrow('Test worker failed: boom');
+    expect(workers[0].terminate).toHaveBeenCalled();
+    expect(onFailure).toHaveBeenCalledWith(expect.any(Error));
+    expect(client.worker).toBeNull();
+
+    client.request('ping');
+    expect(workers).toHaveLength(2);
+  });
+
+  it('should reject requests that time out and ignore late replies', async () => {
+    vi.useFakeTimers();
+    try {
+      const pending = client.request('ping', {}, [], 500);
+
+      vi.advanceTimersByTime(500);
+      workers[0].reply({ id: 1, result: 'late' });
+
+      await expect(pending).rejects.toThrow('Test worker did not answer ping within 500ms');
+      expect(client.pending.size).toBe(0);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
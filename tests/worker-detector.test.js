@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { WorkerDetector } from '../src/js/worker-detector.js';
+
+// Minimal stand-in for a dedicated worker running detector.worker.js
+class FakeWorker extends EventTarget {
+  constructor(respond) {
+    super();
+    this.respond = respond;
+    this.postMessage = vi.fn((message, transfer) => {
+      const reply = this.respond(message, transfer);
+      if (reply) {
+        queueMicrotask(() => {
+          this.dispatchEvent(Object.assign(new Event('message'), { data: reply }));
+        });
+      }
+    });
+    this.terminate = vi.fn();
+  }
+}
+
+describe('WorkerDetector', () => {
+  let detector;
+  let worker;
+  let mockVideo;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    worker = new FakeWorker(({ id, type }) => {
+      if (type === 'init') {
+        return { id, result: { name: 'yolos-tiny', size: 'tiny' } };
+      }
+      if (type === 'detect') {
+        return {
+          id,
+          result: [{ label: 'paper', score: 0.9, box: { x: 1, y: 2, width: 30, height: 40 } }]
+        };
+      }
+      return { id, result: null };
+    });
+
+    global.createImageBitmap = vi.fn(async () => ({ width: 640, height: 480, close: vi.fn() }));
+
+    mockVideo = new HTMLVideoElement();
+    mockVideo.videoWidth = 640;
+    mockVideo.videoHeight = 480;
+    mockVideo.readyState = HTMLMediaElement.HAVE_CURRENT_DATA;
+
+    detector = new WorkerDetector({ createWorker: () => worker });
+  });
+
+  afterEach(() => {
+    delete global.createImageBitmap;
+  });
+
+  it('should load the model inside the worker', async () => {
+    await detector.init('yolos-tiny');
+
+    expect(worker.postMessage).toHaveBeenCalledWith(
+      { id: 1, type: 'init', payload: { modelName: 'yolos-tiny' } },
+      []
+    );
+    expect(detector.modelName).toBe('yolos-tiny');
+    expect(detector.getModelInfo()).toEqual({ name: 'yolos-tiny', size: 'tiny' });
+  });
+
+  it('should throw when detecting before init', async () => {
+    await expect(detector.detect(mockVideo)).rejects.toThrow(
+      'Model not initialized. Call init() first.'
+    );
+  });
+
+  it('should transfer frames to the worker as ImageBitmaps', async () => {
+    await detector.init();
+    const detections = await detector.detect(mockVideo);
+
+    expect(createImageBitmap).toHaveBeenCalledWith(mockVideo);
+    const [message, transfer] = worker.postMessage.mock.calls[1];
+    expect(message.type).toBe('detect');
+    expect(transfer).toEqual([message.payload.frame]);
+    expect(detections).toHaveLength(1);
+    expect(detections[0].label).toBe('paper');
+  });
+
+  it('should skip frames from a video that is not ready', async () => {
+    await detector.init();
+    mockVideo.readyState = HTMLMediaElement.HAVE_METADATA;
+
+    const detections = await detector.detect(mockVideo);
+
+    expect(detections).toEqual([]);
+    expect(createImageBitmap).not.toHaveBeenCalled();
+  });
+
+  it('should reject with the error reported by the worker', async () => {
+    worker.respond = ({ id }) => ({ id, error: 'Unknown model: missing' });
+
+    await expect(detector.init('missing')).rejects.toThrow('Unknown model: missing');
+    expect(detector.isLoading).toBe(false);
+  });
+
+  it('should list a custom model only once the worker accepts it', async () => {
+    worker.respond = ({ id, type }) => (
+      type === 'registerModel' ? { id, error: 'Worker rejected model' } : { id, result: null }
+    );
+
+    await expect(detector.registerModel('receipt-yolo', { format: 'yolo', path: '/models/receipt.onnx' }))
+      .rejects.toThrow('Worker rejected model');
+    expect(detector.models['receipt-yolo']).toBeUndefined();
+
+    worker.respond = ({ id }) => ({ id, result: null });
+    const config = await detector.registerModel('receipt-yolo', { format: 'yolo', path: '/models/receipt.onnx' });
+    expect(detector.models['receipt-yolo']).toBe(config);
+  });
+
+  it('should start a new worker after the old one fails', async () => {
+    const failed = worker;
+    worker.respond = () => null;
+    const loading = detector.init('yolos-tiny');
+
+    failed.dispatchEvent(Object.assign(new Event('error'), { message: 'Failed to fetch model' }));
+    await expect(loading).rejects.toThrow('Detector worker failed: Failed to fetch model');
+    expect(failed.terminate).toHaveBeenCalled();
+    expect(detector.client.worker).toBeNull();
+
+    worker = new FakeWorker(({ id }) => ({ id, error: 'Unknown model: classic-cv' }));
+    await expect(detector.switchModel('classic-cv')).rejects.toThrow('Unknown model: classic-cv');
+    expect(worker.postMessage).toHaveBeenCalled();
+  });
+
+  it('should reject requests the worker never answers', async () => {
+    vi.useFakeTimers();
+    try {
+      worker.respond = () => null;
+      detector = new WorkerDetector({ createWorker: () => worker, requestTimeoutMs: 1000 });
+      const pending = detector.request('detect', {});
+
+      vi.advanceTimersByTime(1000);
+
+      await expect(pending).rejects.toThrow('Detector worker did not answer detect within 1000ms');
+      expect(detector.client.pending.size).toBe(0);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should forward loading progress as a model-progress event', () => {
+    detector.handleMessage({ type: 'progress', progress: { status: 'progress', progress: 50 } });
+
+    expect(window.dispatchEvent).toHaveBeenCalledWith(expect.any(CustomEvent));
+  });
+
+  it('should terminate the worker and reject pending requests on dispose', async () => {
+    worker.respond = () => null;
+    const pending = detector.request('detect', {});
+
+    detector.dispose();
+
+    await expect(pending).rejects.toThrow('Detector disposed');
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(detector.client.worker).toBeNull();
+  });
+});
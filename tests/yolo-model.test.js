@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { letterbox, decodeYoloOutput, nonMaxSuppression } from '../src/js/yolo-model.js';
+
+describe('YOLO model runner', () => {
+  describe('letterbox', () => {
+    it('should fit a wide image into a padded square', () => {
+      const image = {
+        data: new Uint8ClampedArray(4 * 2 * 4).fill(255),
+        width: 4,
+        height: 2,
+        channels: 4
+      };
+      
+      const { tensor, scale, padX, padY } = letterbox(image, 8);
+      
+      expect(scale).toBe(2);
+      expect(padX).toBe(0);
+      expect(padY).toBe(2);
+      expect(tensor).toHaveLength(3 * 64);
+      // Padding rows keep the grey fill, image rows are white
+      expect(tensor[0]).toBeCloseTo(114 / 255);
+      expect(tensor[2 * 8]).toBe(1);
+    });
+  });
+
+  describe('decodeYoloOutput', () => {
+    // Two anchors, two classes: [cx, cy, w, h, class0, class1] per anchor
+    const dims = [1, 6, 2];
+    const data = new Float32Array([
+      50, 10,   // cx
+      60, 10,   // cy
+      20, 4,    // w
+      40, 4,    // h
+      0.9, 0.1, // class 0
+      0.05, 0.2 // class 1
+    ]);
+
+    it('should map boxes back through the letterbox transform', () => {
+      const results = decodeYoloOutput(data, dims, {
+        threshold: 0.5,
+        iouThreshold: 0.45,
+        scale: 0.5,
+        padX: 10,
+        padY: 0,
+        width: 400,
+        height: 400
+      });
+      
+      expect(results).toHaveLength(1);
+      expect(results[0]).toEqual({
+        label: 'LABEL_0',
+        score: expect.closeTo(0.9),
+        box: { xmin: 60, ymin: 80, xmax: 100, ymax: 160 }
+      });
+    });
+
+    it('should name classes by index for the detector to map', () => {
+      const results = decodeYoloOutput(data, dims, {
+        threshold: 0.15,
+        iouThreshold: 0.45,
+        scale: 1,
+        padX: 0,
+        padY: 0,
+        width: 100,
+        height: 100
+      });
+      
+      expect(results.map(r => r.label)).toEqual(['LABEL_0', 'LABEL_1']);
+    });
+  });
+
+  describe('nonMaxSuppression', () => {
+    it('should keep the highest scoring of overlapping boxes', () => {
+      const box = { xmin: 0, ymin: 0, xmax: 10, ymax: 10 };
+      const kept = nonMaxSuppression([
+        { label: 'receipt', score: 0.6, box },
+        { label: 'receipt', score: 0.9, box: { ...box, xmin: 1 } },
+        { label: 'receipt', score: 0.7, box: { xmin: 50, ymin: 50, xmax: 60, ymax: 60 } }
+      ], 0.45);
+      
+      expect(kept.map(d => d.score)).toEqual([0.9, 0.7]);
+    });
+  });
+});
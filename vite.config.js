@@ -1,5 +1,9 @@
 import { defineConfig } from 'vite';
 import { VitePWA } from 'vite-plugin-pwa';
+import { DEFAULT_MODELS } from './src/js/models.js';
+
+// Self-hosted model to ship in the service worker precache (see scripts/fetch-models.js)
+const precacheModel = DEFAULT_MODELS[process.env.VITE_PRECACHE_MODEL]?.name;
 
 export default defineConfig({
   base: '/receipt-scanner-ai/',
@@ -29,7 +33,12 @@ export default defineConfig({
         ]
       },
       workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2}'],
+        globPatterns: [
+          '**/*.{js,css,html,ico,png,svg,woff2}',
+          ...(precacheModel ? [`models/${precacheModel}/**/*.{json,onnx}`, 'models/wasm/*.wasm'] : [])
+        ],
+        // Quantized weights and the onnxruntime wasm exceed workbox's 2 MB default
+        maximumFileSizeToCacheInBytes: 64 * 1024 * 1024,
         runtimeCaching: [
           {
             urlPattern: /^https:\/\/cdn\.jsdelivr\.net\/.*/i,
@@ -68,6 +77,10 @@ export default defineConfig({
     port: 3000,
     https: true // Required for camera access
   },
+  worker: {
+    // The detector worker imports transformers.js as an ES module
+    format: 'es'
+  },
   optimizeDeps: {
     exclude: ['@xenova/transformers']
   },